@@ -7,17 +7,22 @@
  * 
  * Features:
  * - Trip CRUD operations (Create, Read, Update, Delete)
- * - Photo upload and storage (Base64 in IndexedDB)
+ * - Photo upload and storage (Blobs with thumbnails in IndexedDB)
  * - Interactive maps with Leaflet.js
  * - Timeline view for chronological display
  * - Search and filter functionality
  * - Social media sharing (Facebook, Instagram)
+ * - Expense tracking with offline exchange rates
  * - Dark/Light theme support
  * - Full offline capability via Service Worker
  * 
  * Dependencies:
  * - Leaflet.js (for maps)
  * - IndexedDB (for local storage via db.js)
+ * - photos.js (photo resizing and object URLs)
+ * - geocoder.js (offline-first geocoding)
+ * - outbox.js (background sync of network tasks)
+ * - tiles.js (offline map regions)
  */
 
 // =============================================================================
@@ -32,10 +37,18 @@ const state = {
     currentView: 'dashboard',    // Active view: dashboard, trips, map, timeline, profile
     currentTrip: null,           // Currently selected trip for viewing/editing
     currentFilter: 'all',        // Trip filter: all, recent, favorites
+    currentCollection: null,     // Smart collection tab shown instead of the filter, by id
+    smartCollections: [],        // Saved searches (tripDB.getSmartCollections)
+    collections: [],             // Manual trip collections (tripDB.getCollections)
+    collectionMap: null,         // Leaflet map instance for the collection detail
+    timelineMode: 'list',        // Timeline layout: list, gantt
+    timelineZoom: 2,             // Index into GANTT_ZOOM_LEVELS
     searchQuery: '',             // Current search query
     mapPreview: null,            // Leaflet map instance for dashboard preview
     fullMap: null,               // Leaflet map instance for full map view
     pendingPhotos: [],           // Photos pending upload during trip creation
+    pendingStops: [],            // Itinerary stops being edited in the trip form
+    detailMap: null,             // Leaflet map instance for the trip detail route
     viewerImages: [],            // Images for the full-screen viewer
     viewerIndex: 0               // Current index in image viewer
 };
@@ -47,6 +60,7 @@ const elements = {
     searchToggle: null,
     searchBar: null,
     searchInput: null,
+    searchSuggestions: null,
     settingsToggle: null,
     views: {},
     navItems: null,
@@ -61,6 +75,10 @@ async function initApp() {
     // Cache DOM elements
     cacheElements();
 
+    // Offline support and update prompt
+    registerServiceWorker();
+    tripDB.onVersionChange(() => showUpdateBanner());
+
     // Setup event listeners
     setupEventListeners();
 
@@ -69,6 +87,23 @@ async function initApp() {
 
     // Load initial data
     await loadDashboard();
+    renderSmartCollections();
+    renderCollections();
+
+    // Generate thumbnails for photos migrated from Base64
+    backfillPhotoSizes().then(count => {
+        if (count > 0) loadDashboard();
+    });
+
+    // Replay network tasks queued while offline
+    await geocoder.configure();
+    syncOutbox();
+
+    // Automatic snapshots, if the user turned them on
+    startSnapshotSchedule().catch((error) => {
+        showToast(error.message);
+        console.error(error);
+    });
 
     // Hide splash screen
     setTimeout(() => {
@@ -86,6 +121,7 @@ function cacheElements() {
     elements.searchToggle = document.getElementById('search-toggle');
     elements.searchBar = document.getElementById('search-bar');
     elements.searchInput = document.getElementById('search-input');
+    elements.searchSuggestions = document.getElementById('search-suggestions');
     elements.settingsToggle = document.getElementById('settings-toggle');
     elements.addTripBtn = document.getElementById('add-trip-btn');
     elements.navItems = document.querySelectorAll('.nav-item[data-view]');
@@ -96,7 +132,7 @@ function cacheElements() {
     });
 
     // Modals
-    ['trip', 'trip-detail', 'share', 'settings'].forEach(modal => {
+    ['trip', 'trip-detail', 'collection-detail', 'collection', 'share', 'settings'].forEach(modal => {
         elements.modals[modal] = document.getElementById(`${modal}-modal`);
     });
 }
@@ -138,9 +174,85 @@ function setupEventListeners() {
     setupSettings();
 
     // Filter tabs
-    document.querySelectorAll('.filter-tab').forEach(tab => {
+    document.querySelectorAll('.filter-tab[data-filter]').forEach(tab => {
         tab.addEventListener('click', () => handleFilter(tab));
     });
+
+    // Smart collections: save the current search, keep counts current
+    document.getElementById('search-save')?.addEventListener('click', saveSearchAsCollection);
+    tripDB.onTripsChanged(debounce(renderSmartCollections, 300));
+    tripDB.onTripsChanged(debounce(renderCollections, 300));
+    document.getElementById('new-collection')?.addEventListener('click', () => openCollectionForm());
+
+    // Timeline year and layout
+    document.getElementById('timeline-year')?.addEventListener('change', loadTimeline);
+    document.querySelectorAll('.filter-tab[data-timeline-mode]').forEach(tab => {
+        tab.addEventListener('click', () => {
+            document.querySelectorAll('.filter-tab[data-timeline-mode]').forEach(t => t.classList.remove('active'));
+            tab.classList.add('active');
+            state.timelineMode = tab.dataset.timelineMode;
+            loadTimeline();
+        });
+    });
+
+    // Replay the outbox when the connection comes back
+    window.addEventListener('online', syncOutbox);
+
+    // Outbox reports from the service worker
+    navigator.serviceWorker?.addEventListener('message', (event) => {
+        if (event.data?.type === 'outbox') handleOutboxReport(event.data.report);
+    });
+}
+
+// Service Worker
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    // Without a controller this is the first install, not an update
+    const isUpdate = Boolean(navigator.serviceWorker.controller);
+
+    try {
+        const registration = await navigator.serviceWorker.register('sw.js');
+
+        // A new version finished installing and waits for the running one to let go
+        const promptIfWaiting = () => {
+            if (registration.waiting && isUpdate) showUpdateBanner(registration.waiting);
+        };
+        promptIfWaiting();
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => {
+                if (worker.state === 'installed') promptIfWaiting();
+            });
+        });
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+        return;
+    }
+
+    // The new version took over: reload once to run its code
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!isUpdate || reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+}
+
+// Without a waiting worker (another tab upgraded the database), Reload just reloads
+function showUpdateBanner(worker = null) {
+    const banner = document.getElementById('update-banner');
+    if (!banner) return;
+
+    banner.classList.remove('hidden');
+    banner.querySelector('#update-reload').onclick = () => {
+        if (worker) worker.postMessage({ action: 'skipWaiting' });
+        else window.location.reload();
+    };
+    banner.querySelector('#update-later').onclick = () => {
+        banner.classList.add('hidden');
+    };
 }
 
 // View Management
@@ -195,7 +307,7 @@ async function loadDashboard() {
     updateMapPreview();
 }
 
-async function renderRecentTrips(trips) {
+async function renderRecentTrips(trips, terms = []) {
     const container = document.getElementById('recent-trips');
     const emptyState = document.getElementById('empty-trips');
 
@@ -205,7 +317,11 @@ async function renderRecentTrips(trips) {
         return;
     }
 
-    container.innerHTML = trips.map(trip => createTripCard(trip)).join('');
+    const covers = await tripDB.getCoverPhotos();
+    const checklists = await tripDB.getChecklistProgress();
+    container.innerHTML = trips.map(trip =>
+        createTripCard(trip, covers.get(trip.id), terms, checklists.get(trip.id))
+    ).join('');
 
     // Add click listeners
     container.querySelectorAll('.trip-card').forEach(card => {
@@ -226,27 +342,40 @@ function createEmptyState() {
     return div;
 }
 
-function createTripCard(trip) {
+/**
+ * Trip card markup
+ * @param {Object} trip
+ * @param {Object} [coverPhoto]
+ * @param {Array<Object>} [terms] - Search terms to highlight (getHighlightTerms)
+ * @param {Object} [checklist] - Checklist progress { done, total } (tripDB.getChecklistProgress)
+ */
+function createTripCard(trip, coverPhoto, terms = [], checklist = null) {
     const startDate = trip.startDate ? new Date(trip.startDate).toLocaleDateString('en-US', {
         month: 'short', day: 'numeric', year: 'numeric'
     }) : '';
 
     const tags = trip.tags?.slice(0, 3) || [];
-    const tagsHtml = tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
+    const tagsHtml = tags.map(tag => `<span class="tag">${highlightMatches(tag, terms, 'tag')}</span>`).join('');
 
     return `
         <div class="trip-card" data-id="${trip.id}">
-            <div class="trip-card-image" style="background-image: url('${trip.coverPhoto || ''}')">
+            <div class="trip-card-image" style="background-image: url('${photoURLs.get(coverPhoto, 'thumb')}')">
                 ${trip.favorite ? '<span class="trip-card-favorite">⭐</span>' : ''}
                 <span class="trip-card-date">${startDate}</span>
             </div>
             <div class="trip-card-body">
-                <h3 class="trip-card-title">${escapeHtml(trip.title || 'Untitled Trip')}</h3>
+                <h3 class="trip-card-title">${trip.title ? highlightMatches(trip.title, terms, 'title') : 'Untitled Trip'}</h3>
                 <div class="trip-card-location">
                     <span>📍</span>
-                    <span>${escapeHtml(trip.city || '')}, ${escapeHtml(trip.country || '')}</span>
+                    <span>${highlightMatches(trip.city, terms, 'city')}, ${highlightMatches(trip.country, terms, 'country')}</span>
                 </div>
                 ${tagsHtml ? `<div class="trip-card-tags">${tagsHtml}</div>` : ''}
+                ${checklist ? `
+                    <div class="trip-card-checklist" title="Checklist">
+                        <div class="checklist-bar"><div style="width: ${Math.round(checklist.done / checklist.total * 100)}%"></div></div>
+                        <span>${checklist.done === checklist.total ? '✅' : '☑️'} ${checklist.done}/${checklist.total}</span>
+                    </div>
+                ` : ''}
             </div>
         </div>
     `;
@@ -254,26 +383,37 @@ function createTripCard(trip) {
 
 // Trips View
 async function loadTrips() {
-    let trips = await tripDB.getAllTrips();
+    const { trips, terms, suggestions } = await tripDB.search(getTripListQuery());
+
+    renderTripsGrid(trips, terms);
+    renderSearchSuggestions(suggestions);
+}
+
+// Query behind the trips list: the filter tab narrows the search rather than replacing it
+function getTripListQuery() {
+    const collection = getActiveCollection();
+    const tab = collection ? getCollectionQuery(collection) : getFilterQuery(state.currentFilter);
+    return combineQueries(tab, parseSearchQuery(state.searchQuery));
+}
 
-    // Apply filter
-    if (state.currentFilter === 'favorites') {
-        trips = trips.filter(t => t.favorite);
-    } else if (state.currentFilter === 'recent') {
+/**
+ * Query equivalent of a filter tab
+ * @param {string} filter - all, recent or favorites
+ * @returns {Object|null}
+ */
+function getFilterQuery(filter) {
+    if (filter === 'favorites') {
+        return { type: 'term', field: 'fav', value: 'true' };
+    }
+    if (filter === 'recent') {
         const thirtyDaysAgo = new Date();
         thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-        trips = trips.filter(t => new Date(t.startDate) >= thirtyDaysAgo);
+        return { type: 'term', field: 'after', value: thirtyDaysAgo.toISOString().split('T')[0] };
     }
-
-    // Apply search
-    if (state.searchQuery) {
-        trips = await tripDB.searchTrips(state.searchQuery);
-    }
-
-    renderTripsGrid(trips);
+    return null;
 }
 
-function renderTripsGrid(trips) {
+async function renderTripsGrid(trips, terms = []) {
     const container = document.getElementById('trips-list');
 
     if (trips.length === 0) {
@@ -281,7 +421,11 @@ function renderTripsGrid(trips) {
         return;
     }
 
-    container.innerHTML = trips.map(trip => createTripCard(trip)).join('');
+    const covers = await tripDB.getCoverPhotos();
+    const checklists = await tripDB.getChecklistProgress();
+    container.innerHTML = trips.map(trip =>
+        createTripCard(trip, covers.get(trip.id), terms, checklists.get(trip.id))
+    ).join('');
 
     // Add click listeners
     container.querySelectorAll('.trip-card').forEach(card => {
@@ -290,12 +434,445 @@ function renderTripsGrid(trips) {
 }
 
 function handleFilter(tab) {
-    document.querySelectorAll('.filter-tab').forEach(t => t.classList.remove('active'));
-    tab.classList.add('active');
+    setActiveTripTab(tab);
     state.currentFilter = tab.dataset.filter;
+    state.currentCollection = null;
     loadTrips();
 }
 
+function setActiveTripTab(tab) {
+    document.querySelectorAll('#trip-filter-tabs .filter-tab').forEach(t => t.classList.toggle('active', t === tab));
+}
+
+// Smart Collections
+const FILTER_LABELS = {
+    all: 'All trips',
+    recent: 'Recent',
+    favorites: 'Favorites'
+};
+
+function getActiveCollection() {
+    return state.smartCollections.find(c => c.id === state.currentCollection) || null;
+}
+
+// A collection is its saved search, within its filter tab
+function getCollectionQuery(collection) {
+    return combineQueries(getFilterQuery(collection.filter), parseSearchQuery(collection.query));
+}
+
+/**
+ * Render smart collections as Trips view tabs and dashboard cards, with their trip counts
+ * Runs again whenever trips change, so the counts stay current.
+ */
+async function renderSmartCollections() {
+    state.smartCollections = await tripDB.getSmartCollections();
+    const counts = await Promise.all(state.smartCollections.map(async collection =>
+        (await tripDB.search(getCollectionQuery(collection))).trips.length));
+
+    // Deleted while shown: fall back to the filter tabs
+    if (state.currentCollection !== null && !getActiveCollection()) {
+        state.currentCollection = null;
+        setActiveTripTab(document.querySelector(`.filter-tab[data-filter="${state.currentFilter}"]`));
+        if (state.currentView === 'trips') loadTrips();
+    }
+
+    const tabs = document.getElementById('trip-filter-tabs');
+    tabs.querySelectorAll('.filter-tab[data-collection]').forEach(tab => tab.remove());
+    state.smartCollections.forEach((collection, index) => {
+        const tab = document.createElement('button');
+        tab.className = `filter-tab${collection.id === state.currentCollection ? ' active' : ''}`;
+        tab.dataset.collection = collection.id;
+        tab.innerHTML = `${escapeHtml(collection.name)} <span class="tab-count">${counts[index]}</span>`;
+        tab.addEventListener('click', () => {
+            setActiveTripTab(tab);
+            state.currentCollection = collection.id;
+            loadTrips();
+        });
+        tabs.appendChild(tab);
+    });
+
+    updateCollectionsSection();
+    const container = document.getElementById('dashboard-collections');
+    container.innerHTML = state.smartCollections.map((collection, index) => `
+        <div class="collection-card" data-id="${collection.id}">
+            <div class="collection-info">
+                <span class="collection-name">${escapeHtml(collection.name)}</span>
+                <span class="collection-query">${escapeHtml([FILTER_LABELS[collection.filter], collection.query].filter(Boolean).join(' · '))}</span>
+            </div>
+            <span class="collection-count">${counts[index]}</span>
+            <button class="collection-remove" aria-label="Delete collection">✕</button>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('.collection-card').forEach(card => {
+        const id = parseInt(card.dataset.id);
+        card.addEventListener('click', () => {
+            state.currentCollection = id;
+            setActiveTripTab(document.querySelector(`.filter-tab[data-collection="${id}"]`));
+            switchView('trips');
+        });
+        card.querySelector('.collection-remove').addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const { name } = state.smartCollections.find(c => c.id === id);
+            if (!confirm(`Delete the collection "${name}"? Its trips are kept.`)) return;
+            await tripDB.deleteSmartCollection(id);
+            renderSmartCollections();
+        });
+    });
+}
+
+/**
+ * Save the current search, with the Trips view tab it is narrowed by, as a smart collection
+ */
+async function saveSearchAsCollection() {
+    const inTrips = state.currentView === 'trips';
+    const active = inTrips ? getActiveCollection() : null;
+    const filter = active?.filter || (inTrips ? state.currentFilter : 'all');
+    const query = [active?.query && `(${active.query})`, state.searchQuery.trim()].filter(Boolean).join(' ');
+
+    if (!query && filter === 'all') {
+        showToast('Type a search to save it');
+        return;
+    }
+
+    const name = prompt('Name this collection', state.searchQuery.trim() || FILTER_LABELS[filter]);
+    if (!name?.trim()) return;
+
+    const collection = await tripDB.addSmartCollection({ name, query, filter });
+    showToast(`Saved "${collection.name}"`);
+    renderSmartCollections();
+}
+
+// Collections
+function updateCollectionsSection() {
+    const empty = state.smartCollections.length === 0 && state.collections.length === 0;
+    document.getElementById('collections-section').classList.toggle('hidden', empty);
+}
+
+/**
+ * Cover photo of a collection: the chosen one while its trip is still in the
+ * collection, otherwise the first trip's cover
+ * @param {Object} collection
+ * @param {Map<number, Object>} covers - Trip id -> cover photo (tripDB.getCoverPhotos)
+ * @returns {Object|undefined} Photo record
+ */
+function getCollectionCover(collection, covers) {
+    const candidates = collection.tripIds.map(id => covers.get(id)).filter(Boolean);
+    return candidates.find(photo => photo.id === collection.coverPhotoId) || candidates[0];
+}
+
+// Collection cards on the dashboard
+async function renderCollections() {
+    state.collections = await tripDB.getCollections();
+    const covers = await tripDB.getCoverPhotos();
+    updateCollectionsSection();
+
+    const container = document.getElementById('manual-collections');
+    container.innerHTML = state.collections.map(collection => `
+        <div class="collection-cover-card" data-id="${collection.id}">
+            <div class="collection-cover" style="background-image: url('${photoURLs.get(getCollectionCover(collection, covers), 'thumb')}')"></div>
+            <span class="collection-name">${escapeHtml(collection.name)}</span>
+            <span class="collection-query">${collection.tripIds.length} trip${collection.tripIds.length === 1 ? '' : 's'}</span>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('.collection-cover-card').forEach(card => {
+        card.addEventListener('click', () => openCollectionDetail(card.dataset.id));
+    });
+
+    // Keep an open collection in step with its trips
+    const detail = elements.modals['collection-detail'];
+    if (detail.classList.contains('active')) openCollectionDetail(detail.dataset.id);
+}
+
+async function openCollectionDetail(id) {
+    const collection = await tripDB.getCollection(id);
+    const modal = elements.modals['collection-detail'];
+    if (!collection) {
+        modal.classList.remove('active');
+        return;
+    }
+
+    const found = new Map((await tripDB.getTripsById(collection.tripIds)).map(trip => [trip.id, trip]));
+    const trips = collection.tripIds.map(tripId => found.get(tripId)).filter(Boolean);
+    const stats = await tripDB.getStats(trips);
+    const covers = await tripDB.getCoverPhotos();
+
+    modal.dataset.id = collection.id;
+    modal.innerHTML = getCollectionDetailHTML(collection, trips, stats, covers);
+    modal.classList.add('active');
+    renderCollectionMap(trips);
+    if (trips.length > 0) renderListTimeline(modal.querySelector('#collection-timeline'), trips, 'all');
+
+    const saveOrder = async (tripIds) => {
+        await tripDB.updateCollection({ ...collection, tripIds });
+        renderCollections();
+    };
+
+    modal.querySelector('#close-collection')?.addEventListener('click', () => {
+        modal.classList.remove('active');
+    });
+
+    modal.querySelector('#edit-collection')?.addEventListener('click', () => openCollectionForm(collection));
+
+    modal.querySelector('#collection-calendar')?.addEventListener('click', () => exportTripsCalendar(trips, collection.name));
+    modal.querySelector('#collection-book')?.addEventListener('click', () => openTravelBook(trips, collection.name));
+
+    modal.querySelector('#delete-collection')?.addEventListener('click', async () => {
+        if (!confirm(`Delete the collection "${collection.name}"? Its trips are kept.`)) return;
+        await tripDB.deleteCollection(collection.id);
+        modal.classList.remove('active');
+        showToast('Collection deleted');
+        renderCollections();
+    });
+
+    modal.querySelector('#sort-collection')?.addEventListener('click', () => {
+        const sorted = [...trips].sort((a, b) => (a.startDate || '').localeCompare(b.startDate || ''));
+        saveOrder(sorted.map(trip => trip.id));
+    });
+
+    modal.querySelectorAll('.collection-trip').forEach((row, index) => {
+        const tripIds = trips.map(trip => trip.id);
+
+        row.addEventListener('click', () => openTripDetail(tripIds[index]));
+        row.querySelector('.collection-trip-up')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            [tripIds[index - 1], tripIds[index]] = [tripIds[index], tripIds[index - 1]];
+            saveOrder(tripIds);
+        });
+        row.querySelector('.collection-trip-down')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            [tripIds[index], tripIds[index + 1]] = [tripIds[index + 1], tripIds[index]];
+            saveOrder(tripIds);
+        });
+        row.querySelector('.collection-trip-remove').addEventListener('click', (e) => {
+            e.stopPropagation();
+            saveOrder(tripIds.filter(tripId => tripId !== tripIds[index]));
+        });
+    });
+}
+
+function getCollectionDetailHTML(collection, trips, stats, covers) {
+    const cover = getCollectionCover(collection, covers);
+    const statsHtml = [
+        [stats.trips, 'Trips'],
+        [stats.countries, 'Countries'],
+        [stats.cities, 'Cities'],
+        [stats.days, 'Days'],
+        [stats.photos, 'Photos']
+    ].map(([value, label]) => `
+        <div class="collection-stat"><span class="stat-value">${value}</span><span class="stat-label">${label}</span></div>
+    `).join('');
+
+    const tripsHtml = trips.map((trip, index) => `
+        <li class="collection-trip">
+            <span class="stop-number">${index + 1}</span>
+            <div class="collection-info">
+                <span class="collection-name">${escapeHtml(trip.title || 'Untitled Trip')}</span>
+                <span class="collection-query">${[escapeHtml([trip.city, trip.country].filter(Boolean).join(', ')), formatDateRange(trip.startDate, trip.endDate)].filter(Boolean).join(' · ')}</span>
+            </div>
+            ${index > 0 ? '<button class="collection-trip-up" aria-label="Move up">↑</button>' : ''}
+            ${index < trips.length - 1 ? '<button class="collection-trip-down" aria-label="Move down">↓</button>' : ''}
+            <button class="collection-trip-remove" aria-label="Remove from collection">✕</button>
+        </li>
+    `).join('');
+
+    return `
+        <div class="modal-content modal-fullscreen">
+            <div class="detail-header">
+                <button class="back-btn" id="close-collection">← Back</button>
+                <div class="detail-actions">
+                    ${trips.length > 0 ? `
+                        <button class="icon-btn" id="collection-calendar" aria-label="Export to calendar">🗓️</button>
+                        <button class="icon-btn" id="collection-book" aria-label="Print travel book">📖</button>
+                    ` : ''}
+                    <button class="icon-btn" id="edit-collection" aria-label="Edit">✏️</button>
+                    <button class="icon-btn" id="delete-collection" aria-label="Delete">🗑️</button>
+                </div>
+            </div>
+            <div class="detail-content">
+                ${cover ? `<div class="collection-hero" style="background-image: url('${photoURLs.get(cover, 'medium')}')"></div>` : ''}
+                <div class="detail-info">
+                    <h1 class="detail-title">${escapeHtml(collection.name)}</h1>
+                    ${collection.description ? `<p class="collection-description">${escapeHtml(collection.description)}</p>` : ''}
+                </div>
+                <div class="collection-stats">${statsHtml}</div>
+                ${trips.length === 0 ? `
+                    <div class="empty-state">
+                        <div class="empty-icon">📚</div>
+                        <h3>No trips yet</h3>
+                        <p>Add trips from their detail page</p>
+                    </div>
+                ` : `
+                    <div id="collection-map" class="detail-map"></div>
+                    <div class="section-header">
+                        <h3>Trips</h3>
+                        <button class="see-all-btn" id="sort-collection">Sort by date</button>
+                    </div>
+                    <ol class="collection-trips">${tripsHtml}</ol>
+                    <h3>Timeline</h3>
+                    <div id="collection-timeline" class="timeline-container"></div>
+                `}
+            </div>
+        </div>
+    `;
+}
+
+// Every trip's route, numbered in collection order
+function renderCollectionMap(trips) {
+    if (state.collectionMap) {
+        state.collectionMap.remove();
+        state.collectionMap = null;
+    }
+
+    const mapEl = document.getElementById('collection-map');
+    const routes = trips.map(getTripRoute);
+    const points = routes.flat();
+    if (!mapEl) return;
+    if (points.length === 0) {
+        mapEl.remove();
+        return;
+    }
+
+    state.collectionMap = L.map(mapEl, {
+        zoomControl: false,
+        attributionControl: false
+    });
+    L.tileLayer(getMapTileUrl(), TILE_OPTIONS).addTo(state.collectionMap);
+
+    routes.forEach((route, index) => {
+        if (route.length === 0) return;
+        if (route.length > 1) {
+            L.polyline(route, ROUTE_STYLE).addTo(state.collectionMap);
+        }
+        L.marker(route[0], { icon: createStopIcon(index + 1) })
+            .on('click', () => openTripDetail(trips[index].id))
+            .addTo(state.collectionMap);
+    });
+    state.collectionMap.fitBounds(points, { padding: [30, 30], maxZoom: 10 });
+
+    // The modal animates in, so measure again once it has its final size
+    setTimeout(() => state.collectionMap?.invalidateSize(), 350);
+}
+
+/**
+ * Create or edit a collection: name, description and cover
+ * @param {Object} [collection] - Existing collection; a new one is created without it
+ * @param {number} [tripId] - Trip to put in a new collection
+ */
+async function openCollectionForm(collection = null, tripId = null) {
+    const modal = elements.modals['collection'];
+    const covers = await tripDB.getCoverPhotos();
+    const coverChoices = (collection?.tripIds || []).map(id => covers.get(id)).filter(Boolean);
+    const currentCover = collection && getCollectionCover(collection, covers);
+
+    modal.innerHTML = `
+        <div class="modal-content modal-small">
+            <div class="modal-header">
+                <h2>${collection ? 'Edit Collection' : 'New Collection'}</h2>
+                <button class="modal-close" id="close-collection-modal">✕</button>
+            </div>
+            <form id="collection-form">
+                <div class="form-group">
+                    <label for="collection-name">Name</label>
+                    <input type="text" id="collection-name" value="${escapeHtml(collection?.name || '')}" placeholder="e.g. Honeymoon" required>
+                </div>
+                <div class="form-group">
+                    <label for="collection-description">Description</label>
+                    <textarea id="collection-description" rows="3">${escapeHtml(collection?.description || '')}</textarea>
+                </div>
+                ${coverChoices.length > 1 ? `
+                    <div class="form-group">
+                        <label>Cover</label>
+                        <div class="collection-cover-choices">
+                            ${coverChoices.map(photo => `
+                                <label class="collection-cover-choice">
+                                    <input type="radio" name="collection-cover" value="${photo.id}" ${photo === currentCover ? 'checked' : ''}>
+                                    <img src="${photoURLs.get(photo, 'thumb')}" alt="Cover option">
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+                <div class="form-actions">
+                    <button type="button" class="btn-secondary" id="cancel-collection">Cancel</button>
+                    <button type="submit" class="btn-primary">Save</button>
+                </div>
+            </form>
+        </div>
+    `;
+    modal.classList.add('active');
+
+    modal.querySelector('#close-collection-modal').addEventListener('click', () => closeModal('collection'));
+    modal.querySelector('#cancel-collection').addEventListener('click', () => closeModal('collection'));
+    modal.querySelector('#collection-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const name = modal.querySelector('#collection-name').value.trim();
+        if (!name) return;
+
+        const description = modal.querySelector('#collection-description').value;
+        const cover = modal.querySelector('input[name="collection-cover"]:checked');
+        if (collection) {
+            await tripDB.updateCollection({
+                ...collection,
+                name,
+                description: description.trim(),
+                coverPhotoId: cover ? parseInt(cover.value) : collection.coverPhotoId
+            });
+        } else {
+            await tripDB.addCollection({ name, description, tripIds: tripId ? [tripId] : [] });
+        }
+
+        closeModal('collection');
+        showToast(`Saved "${name}"`);
+        await renderCollections();
+        if (tripId) openTripDetail(tripId);
+    });
+}
+
+/**
+ * Choose the collections a trip belongs to
+ * @param {Object} trip
+ */
+async function openCollectionPicker(trip) {
+    const modal = elements.modals['collection'];
+    const collections = await tripDB.getCollections();
+
+    modal.innerHTML = `
+        <div class="modal-content modal-small">
+            <div class="modal-header">
+                <h2>Collections</h2>
+                <button class="modal-close" id="close-collection-modal">✕</button>
+            </div>
+            ${collections.length === 0 ? '<p class="collection-description">No collections yet.</p>' : `
+                <div class="collection-choices">
+                    ${collections.map(collection => `
+                        <label class="layer-option">
+                            <input type="checkbox" value="${collection.id}" ${collection.tripIds.includes(trip.id) ? 'checked' : ''}>
+                            ${escapeHtml(collection.name)}
+                        </label>
+                    `).join('')}
+                </div>
+            `}
+            <div class="form-actions">
+                <button type="button" class="btn-secondary" id="new-collection-for-trip">New Collection</button>
+                <button type="button" class="btn-primary" id="save-trip-collections">Done</button>
+            </div>
+        </div>
+    `;
+    modal.classList.add('active');
+
+    modal.querySelector('#close-collection-modal').addEventListener('click', () => closeModal('collection'));
+    modal.querySelector('#new-collection-for-trip').addEventListener('click', () => openCollectionForm(null, trip.id));
+    modal.querySelector('#save-trip-collections').addEventListener('click', async () => {
+        const selected = [...modal.querySelectorAll('.collection-choices input:checked')].map(input => parseInt(input.value));
+        await tripDB.setTripCollections(trip.id, selected);
+        closeModal('collection');
+        await renderCollections();
+        openTripDetail(trip.id);
+    });
+}
+
 // Map Functions
 // Tile layer URLs - using Voyager (colorful) as default, with dark option
 const MAP_TILES = {
@@ -303,12 +880,110 @@ const MAP_TILES = {
     dark: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png'
 };
 
+// CORS tiles can be stored by the service worker without opaque-response padding
+const TILE_OPTIONS = {
+    maxZoom: 19,
+    crossOrigin: true
+};
+
+// Polyline style for itinerary routes
+const ROUTE_STYLE = {
+    color: '#6c5ce7',
+    weight: 3,
+    opacity: 0.8,
+    dashArray: '6 8'
+};
+
+// Marker colors; the last one is used for "Other"
+const MARKER_PALETTE = ['#6c5ce7', '#00b894', '#e17055', '#0984e3', '#fdcb6e', '#e84393', '#00cec9', '#636e72'];
+
+// Ways to color trip markers on the full map: each maps a trip to a category
+const MARKER_STYLES = {
+    favorite: { label: 'Favorites', category: trip => trip.favorite ? 'Favorite' : 'Other' },
+    tag: { label: 'First tag', category: trip => trip.tags?.[0] || 'Untagged' },
+    year: { label: 'Year', category: trip => (trip.startDate || '').slice(0, 4) || 'Undated' }
+};
+
+const CARTO_ATTRIBUTION = '&copy; OpenStreetMap contributors &copy; CARTO';
+
+// Base maps offered in the layers panel; 'auto' follows the light/dark theme.
+// noDownload: the provider's usage policy forbids bulk downloads for offline use
+const MAP_BASE_LAYERS = {
+    auto: { label: 'Match theme' },
+    voyager: { label: 'Voyager', url: MAP_TILES.light, attribution: CARTO_ATTRIBUTION },
+    dark: { label: 'Dark', url: MAP_TILES.dark, attribution: CARTO_ATTRIBUTION },
+    osm: {
+        label: 'OpenStreetMap',
+        url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+        attribution: '&copy; OpenStreetMap contributors',
+        noDownload: true
+    },
+    satellite: {
+        label: 'Satellite',
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+        attribution: 'Imagery &copy; Esri'
+    }
+};
+
+const MAP_OVERLAYS = {
+    heatmap: 'Trip density',
+    countries: 'Visited countries',
+    photos: 'Photo locations'
+};
+
+const DEFAULT_MAP_LAYERS = {
+    base: 'auto',
+    heatmap: false,
+    countries: false,
+    photos: true
+};
+
+const COUNTRIES_GEOJSON_URL = 'data/countries.geojson';
+
 let mapPreviewTileLayer = null;
 let fullMapTileLayer = null;
+let fullMapRouteLayer = null;
+let fullMapPhotoLayer = null;
+let fullMapClusterLayer = null;
+let fullMapTrips = [];          // Trips currently plotted, re-rendered when the marker style changes
+let markerLegendControl = null;
+let fullMapHeatLayer = null;
+let fullMapCountriesLayer = null;
+let countriesGeoJSON = null;
+
+// Layer choices from the layers panel, kept like the theme in localStorage
+function getMapLayerSettings() {
+    try {
+        return { ...DEFAULT_MAP_LAYERS, ...JSON.parse(localStorage.getItem('mapLayers')) };
+    } catch (error) {
+        return { ...DEFAULT_MAP_LAYERS };
+    }
+}
+
+function saveMapLayerSettings(changes) {
+    localStorage.setItem('mapLayers', JSON.stringify({ ...getMapLayerSettings(), ...changes }));
+}
+
+function getMapBaseLayer() {
+    const { base } = getMapLayerSettings();
+    if (base !== 'auto' && MAP_BASE_LAYERS[base]) return MAP_BASE_LAYERS[base];
 
-function getMapTileUrl() {
     const isDarkMode = !document.body.classList.contains('light-theme');
-    return isDarkMode ? MAP_TILES.dark : MAP_TILES.light;
+    return isDarkMode ? MAP_BASE_LAYERS.dark : MAP_BASE_LAYERS.voyager;
+}
+
+function getMapTileUrl() {
+    return getMapBaseLayer().url;
+}
+
+// Tile layers a downloaded area is saved for: 'auto' switches between the dark
+// and voyager maps with the theme, so the area needs both to work offline.
+// Empty when the base map may not be downloaded.
+function getRegionTileTemplates() {
+    const { base } = getMapLayerSettings();
+    const layer = MAP_BASE_LAYERS[base];
+    if (base !== 'auto' && layer) return layer.noDownload ? [] : [layer.url];
+    return [MAP_BASE_LAYERS.dark.url, MAP_BASE_LAYERS.voyager.url];
 }
 
 function initMaps() {
@@ -320,9 +995,7 @@ function initMaps() {
             dragging: false
         }).setView([20, 0], 1);
 
-        mapPreviewTileLayer = L.tileLayer(MAP_TILES.light, {
-            maxZoom: 19
-        }).addTo(state.mapPreview);
+        mapPreviewTileLayer = L.tileLayer(getMapTileUrl(), TILE_OPTIONS).addTo(state.mapPreview);
     }
 }
 
@@ -332,18 +1005,56 @@ function loadFullMap() {
             zoomControl: false
         }).setView([20, 0], 2);
 
-        fullMapTileLayer = L.tileLayer(MAP_TILES.light, {
-            maxZoom: 19
+        fullMapTileLayer = createFullMapTileLayer().addTo(state.fullMap);
+
+        fullMapRouteLayer = L.layerGroup().addTo(state.fullMap);
+        fullMapPhotoLayer = L.layerGroup().addTo(state.fullMap);
+
+        // Nearby trips merge into a count badge; trips at the same spot spread out on demand
+        fullMapClusterLayer = L.markerClusterGroup({
+            showCoverageOnHover: false,
+            zoomToBoundsOnClick: false,
+            spiderfyOnMaxZoom: false,
+            maxClusterRadius: 50,
+            iconCreateFunction: createClusterIcon
         }).addTo(state.fullMap);
+        fullMapClusterLayer.on('clusterclick', (e) => openClusterPopup(e.layer));
+
+        markerLegendControl = L.control({ position: 'topright' });
+        markerLegendControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'marker-legend');
+            L.DomEvent.disableClickPropagation(container);
+            return container;
+        };
+        markerLegendControl.addTo(state.fullMap);
 
         // Map controls
         document.getElementById('map-locate')?.addEventListener('click', locateUser);
+        document.getElementById('map-layers')?.addEventListener('click', toggleMapLayersPanel);
+        document.getElementById('map-download')?.addEventListener('click', () => {
+            const bounds = state.fullMap.getBounds();
+            openRegionDownload({
+                name: 'Map area',
+                bounds: {
+                    south: bounds.getSouth(),
+                    west: bounds.getWest(),
+                    north: bounds.getNorth(),
+                    east: bounds.getEast()
+                },
+                minZoom: Math.min(state.fullMap.getZoom(), TILE_MAX_ZOOM)
+            });
+        });
     }
 
     updateFullMapMarkers();
 }
 
-// Function to update map tiles when theme changes
+function createFullMapTileLayer() {
+    const base = getMapBaseLayer();
+    return L.tileLayer(base.url, { ...TILE_OPTIONS, attribution: base.attribution });
+}
+
+// Function to update map tiles when theme or base layer changes
 function updateMapTiles() {
     const tileUrl = getMapTileUrl();
 
@@ -351,65 +1062,402 @@ function updateMapTiles() {
         mapPreviewTileLayer.setUrl(tileUrl);
     }
     if (fullMapTileLayer) {
-        fullMapTileLayer.setUrl(tileUrl);
+        // Replaced rather than setUrl() so the attribution follows the base layer
+        state.fullMap.removeLayer(fullMapTileLayer);
+        fullMapTileLayer = createFullMapTileLayer().addTo(state.fullMap);
+        fullMapTileLayer.bringToBack();
     }
 }
 
-async function updateMapPreview() {
-    if (!state.mapPreview) return;
+// Layers Panel
+function toggleMapLayersPanel() {
+    const panel = document.getElementById('map-layers-panel');
+    if (!panel) return;
 
-    const trips = await tripDB.getAllTrips();
+    const opening = panel.classList.contains('hidden');
+    panel.classList.toggle('hidden', !opening);
+    if (!opening) return;
 
-    // Clear existing markers
-    state.mapPreview.eachLayer(layer => {
-        if (layer instanceof L.Marker) {
-            state.mapPreview.removeLayer(layer);
-        }
+    panel.innerHTML = getMapLayersHTML(getMapLayerSettings());
+
+    panel.querySelectorAll('input[name="map-base"]').forEach(input => {
+        input.addEventListener('change', () => {
+            saveMapLayerSettings({ base: input.value });
+            updateMapTiles();
+        });
     });
 
-    // Add markers for trips with coordinates
-    trips.forEach(trip => {
-        if (trip.lat && trip.lng) {
-            const marker = L.marker([trip.lat, trip.lng], {
-                icon: createCustomIcon()
-            }).addTo(state.mapPreview);
-        }
+    panel.querySelectorAll('input[data-overlay]').forEach(input => {
+        input.addEventListener('change', () => {
+            saveMapLayerSettings({ [input.dataset.overlay]: input.checked });
+            renderMapOverlays(fullMapTrips);
+        });
     });
 }
 
-async function updateFullMapMarkers() {
-    if (!state.fullMap) return;
+function getMapLayersHTML(settings) {
+    return `
+        <h4>Base map</h4>
+        ${Object.entries(MAP_BASE_LAYERS).map(([key, { label }]) => `
+            <label class="layer-option">
+                <input type="radio" name="map-base" value="${key}" ${settings.base === key ? 'checked' : ''}>
+                ${label}
+            </label>
+        `).join('')}
+        <h4>Overlays</h4>
+        ${Object.entries(MAP_OVERLAYS).map(([key, label]) => `
+            <label class="layer-option">
+                <input type="checkbox" data-overlay="${key}" ${settings[key] ? 'checked' : ''}>
+                ${label}
+            </label>
+        `).join('')}
+    `;
+}
+
+/**
+ * Show or hide the optional overlays and refresh their data
+ * @param {Array<Object>} trips - Trips plotted on the map
+ */
+async function renderMapOverlays(trips) {
+    if (!state.fullMap) return;
+    const settings = getMapLayerSettings();
+
+    // Heatmap of every located trip and stop
+    if (fullMapHeatLayer) {
+        state.fullMap.removeLayer(fullMapHeatLayer);
+        fullMapHeatLayer = null;
+    }
+    if (settings.heatmap) {
+        const points = trips.flatMap(trip => getTripRoute(trip)).map(([lat, lng]) => [lat, lng, 1]);
+        fullMapHeatLayer = L.heatLayer(points, { radius: 25, blur: 20, maxZoom: 10 }).addTo(state.fullMap);
+    }
+
+    if (settings.photos) {
+        fullMapPhotoLayer.addTo(state.fullMap);
+    } else {
+        state.fullMap.removeLayer(fullMapPhotoLayer);
+    }
+
+    if (fullMapCountriesLayer) {
+        state.fullMap.removeLayer(fullMapCountriesLayer);
+        fullMapCountriesLayer = null;
+    }
+    if (settings.countries) {
+        fullMapCountriesLayer = await createCountriesLayer();
+        fullMapCountriesLayer?.addTo(state.fullMap);
+    }
+}
+
+// Choropleth of visited countries, shaded by number of trips
+async function createCountriesLayer() {
+    try {
+        countriesGeoJSON = countriesGeoJSON || await fetch(COUNTRIES_GEOJSON_URL).then(response => response.json());
+    } catch (error) {
+        console.warn('Could not load country shapes:', error);
+        return null;
+    }
+
+    // Trip countries are free text: resolve aliases ("USA", "Holland") through the gazetteer
+    await geocoder.gazetteer.load();
+    const counts = new Map();
+    (await tripDB.getCountriesList()).forEach(({ name, count }) => {
+        const key = foldText(geocoder.gazetteer.countries.get(foldText(name))?.name || name);
+        counts.set(key, (counts.get(key) || 0) + count);
+    });
+    const maxCount = Math.max(1, ...counts.values());
+
+    return L.geoJSON(countriesGeoJSON, {
+        filter: (feature) => counts.has(foldText(feature.properties.name)),
+        style: (feature) => ({
+            color: ROUTE_STYLE.color,
+            weight: 1,
+            fillColor: ROUTE_STYLE.color,
+            fillOpacity: 0.15 + 0.5 * counts.get(foldText(feature.properties.name)) / maxCount
+        }),
+        onEachFeature: (feature, layer) => {
+            const count = counts.get(foldText(feature.properties.name));
+            layer.bindTooltip(`${escapeHtml(feature.properties.name)}: ${count} trip${count === 1 ? '' : 's'}`, { sticky: true });
+        }
+    });
+}
+
+async function updateMapPreview() {
+    if (!state.mapPreview) return;
 
     const trips = await tripDB.getAllTrips();
 
     // Clear existing markers
-    state.fullMap.eachLayer(layer => {
+    state.mapPreview.eachLayer(layer => {
         if (layer instanceof L.Marker) {
-            state.fullMap.removeLayer(layer);
+            state.mapPreview.removeLayer(layer);
         }
     });
 
-    const bounds = [];
-
+    // Add markers for trips with coordinates
     trips.forEach(trip => {
         if (trip.lat && trip.lng) {
             const marker = L.marker([trip.lat, trip.lng], {
                 icon: createCustomIcon()
-            }).addTo(state.fullMap);
+            }).addTo(state.mapPreview);
+        }
+    });
+}
+
+async function updateFullMapMarkers() {
+    if (!state.fullMap) return;
+
+    const trips = await tripDB.getAllTrips();
+    const bounds = trips.flatMap(trip => getTripRoute(trip));
+
+    renderFullMapRoutes(trips);
+    renderTripMarkers(trips);
+    await renderPhotoMarkers();
+    await renderMapOverlays(trips);
+
+    if (bounds.length > 0) {
+        state.fullMap.fitBounds(bounds, { padding: [50, 50] });
+    }
+}
+
+function getMarkerStyle() {
+    const style = localStorage.getItem('markerStyle');
+    return MARKER_STYLES[style] ? style : 'favorite';
+}
+
+/**
+ * Color for each category of the current marker style
+ * The most common categories (newest first for years) get a color, the rest share "Other".
+ * @param {Array<Object>} trips
+ * @param {string} style - Key of MARKER_STYLES
+ * @returns {Map<string, string>} category -> color
+ */
+function getMarkerColors(trips, style) {
+    if (style === 'favorite') {
+        return new Map([['Favorite', '#fdcb6e'], ['Other', MARKER_PALETTE[0]]]);
+    }
+
+    const counts = {};
+    trips.forEach(trip => {
+        const category = MARKER_STYLES[style].category(trip);
+        counts[category] = (counts[category] || 0) + 1;
+    });
+
+    const categories = Object.keys(counts).sort(style === 'year'
+        ? (a, b) => b.localeCompare(a)
+        : (a, b) => counts[b] - counts[a]);
+
+    const colors = new Map();
+    categories.forEach((category, index) => {
+        colors.set(category, index < MARKER_PALETTE.length - 1
+            ? MARKER_PALETTE[index]
+            : MARKER_PALETTE[MARKER_PALETTE.length - 1]);
+    });
+    return colors;
+}
+
+// Trip pins on the full map, clustered and colored by the chosen marker style
+function renderTripMarkers(trips) {
+    if (!fullMapClusterLayer) return;
+
+    fullMapClusterLayer.clearLayers();
+    fullMapTrips = trips;
+
+    // A new set of trips replaces any searched place
+    if (searchMarker) {
+        state.fullMap.removeLayer(searchMarker);
+        searchMarker = null;
+    }
+
+    const style = getMarkerStyle();
+    const colors = getMarkerColors(trips, style);
+
+    const markers = trips
+        .filter(trip => trip.lat && trip.lng)
+        .map(trip => {
+            const color = colors.get(MARKER_STYLES[style].category(trip));
+            const marker = L.marker([trip.lat, trip.lng], {
+                icon: createTripIcon(color, trip.favorite),
+                trip,
+                color
+            });
 
             marker.bindPopup(`
                 <strong>${escapeHtml(trip.title)}</strong><br>
                 📍 ${escapeHtml(trip.city)}, ${escapeHtml(trip.country)}
             `);
-
             marker.on('click', () => openTripDetail(trip.id));
-            bounds.push([trip.lat, trip.lng]);
+            return marker;
+        });
+
+    fullMapClusterLayer.addLayers(markers);
+    renderMarkerLegend(style, colors);
+}
+
+function renderMarkerLegend(style, colors) {
+    const container = markerLegendControl?.getContainer();
+    if (!container) return;
+
+    const entries = [...colors.entries()];
+    const shown = entries.slice(0, MARKER_PALETTE.length - 1);
+    const hasOther = entries.length > shown.length;
+
+    container.innerHTML = `
+        <select class="marker-style-select" aria-label="Color markers by">
+            ${Object.entries(MARKER_STYLES).map(([key, { label }]) => `
+                <option value="${key}" ${key === style ? 'selected' : ''}>${label}</option>
+            `).join('')}
+        </select>
+        <ul class="marker-legend-list">
+            ${shown.map(([category, color]) => `
+                <li><span class="legend-swatch" style="background: ${color}"></span>${escapeHtml(category)}</li>
+            `).join('')}
+            ${hasOther ? `<li><span class="legend-swatch" style="background: ${MARKER_PALETTE[MARKER_PALETTE.length - 1]}"></span>Other</li>` : ''}
+        </ul>
+    `;
+
+    container.querySelector('.marker-style-select').addEventListener('change', (e) => {
+        localStorage.setItem('markerStyle', e.target.value);
+        renderTripMarkers(fullMapTrips);
+    });
+}
+
+function createClusterIcon(cluster) {
+    const markers = cluster.getAllChildMarkers();
+    const count = markers.length;
+    const size = count < 10 ? 36 : count < 50 ? 44 : 52;
+
+    // One shared color when every trip in the cluster has the same category
+    const colors = new Set(markers.map(marker => marker.options.color));
+    const background = colors.size === 1 ? [...colors][0] : '';
+
+    return L.divIcon({
+        html: `<div class="cluster-marker" ${background ? `style="background: ${background}"` : ''}><span>${count}</span></div>`,
+        className: '',
+        iconSize: [size, size]
+    });
+}
+
+// List the trips of a cluster; pick one to open it
+function openClusterPopup(cluster) {
+    const markers = cluster.getAllChildMarkers();
+    const trips = markers
+        .map(marker => marker.options.trip)
+        .sort((a, b) => (b.startDate || '').localeCompare(a.startDate || ''));
+    const first = markers[0].getLatLng();
+    const sameSpot = markers.every(marker => marker.getLatLng().equals(first));
+
+    const content = document.createElement('div');
+    content.className = 'cluster-popup';
+    content.innerHTML = `
+        <strong>${trips.length} trips</strong>
+        <ul class="cluster-trip-list">
+            ${trips.map(trip => `
+                <li>
+                    <button type="button" class="cluster-trip" data-id="${trip.id}">
+                        ${trip.favorite ? '⭐ ' : ''}${escapeHtml(trip.title)}
+                        <span>${escapeHtml(trip.city)} · ${formatDateRange(trip.startDate, trip.endDate)}</span>
+                    </button>
+                </li>
+            `).join('')}
+        </ul>
+        <button type="button" class="btn-secondary btn-block cluster-expand">${sameSpot ? 'Show pins' : 'Zoom in'}</button>
+    `;
+
+    content.querySelectorAll('.cluster-trip').forEach(btn => {
+        btn.addEventListener('click', () => {
+            state.fullMap.closePopup();
+            openTripDetail(parseInt(btn.dataset.id));
+        });
+    });
+
+    // Trips at exactly the same place never split by zooming, so fan them out instead
+    content.querySelector('.cluster-expand').addEventListener('click', () => {
+        state.fullMap.closePopup();
+        if (sameSpot) {
+            cluster.spiderfy();
+        } else {
+            cluster.zoomToBounds({ padding: [50, 50] });
         }
     });
 
-    if (bounds.length > 0) {
-        state.fullMap.fitBounds(bounds, { padding: [50, 50] });
-    }
+    L.popup({ maxWidth: 260 })
+        .setLatLng(cluster.getLatLng())
+        .setContent(content)
+        .openOn(state.fullMap);
+}
+
+// Plot photos at the GPS position they were taken
+async function renderPhotoMarkers() {
+    if (!fullMapPhotoLayer) return;
+
+    const photos = await tripDB.getAllPhotos();
+    fullMapPhotoLayer.clearLayers();
+
+    photos
+        .filter(photo => typeof photo.lat === 'number' && typeof photo.lng === 'number')
+        .forEach(photo => {
+            L.marker([photo.lat, photo.lng], {
+                icon: L.divIcon({
+                    html: `<div class="photo-marker"><img src="${photoURLs.get(photo, 'thumb')}" alt=""></div>`,
+                    className: '',
+                    iconSize: [36, 36],
+                    iconAnchor: [18, 18]
+                })
+            })
+                .on('click', () => openTripDetail(photo.tripId))
+                .addTo(fullMapPhotoLayer);
+        });
+}
+
+// Ordered [lat, lng] points of a trip's itinerary
+function getTripRoute(trip) {
+    return TripDatabase.tripLocations(trip)
+        .filter(location => location.lat && location.lng)
+        .map(location => [location.lat, location.lng]);
+}
+
+// Draw the route between stops for every multi-stop trip
+function renderFullMapRoutes(trips) {
+    if (!fullMapRouteLayer) return;
+    fullMapRouteLayer.clearLayers();
+
+    trips.forEach(trip => {
+        const route = getTripRoute(trip);
+        if (route.length < 2) return;
+
+        L.polyline(route, ROUTE_STYLE)
+            .on('click', () => openTripDetail(trip.id))
+            .addTo(fullMapRouteLayer);
+
+        // Stops after the main location get a small dot
+        route.slice(1).forEach(point => {
+            L.circleMarker(point, {
+                radius: 5,
+                color: '#ffffff',
+                weight: 2,
+                fillColor: ROUTE_STYLE.color,
+                fillOpacity: 1
+            }).on('click', () => openTripDetail(trip.id)).addTo(fullMapRouteLayer);
+        });
+    });
+}
+
+function createStopIcon(number) {
+    return L.divIcon({
+        html: `<div class="custom-marker stop-marker">${number}</div>`,
+        className: '',
+        iconSize: [26, 26],
+        iconAnchor: [13, 13]
+    });
+}
+
+function createTripIcon(color, favorite) {
+    return L.divIcon({
+        html: `<div class="custom-marker" style="background: ${color}">${favorite ? '⭐' : '📍'}</div>`,
+        className: '',
+        iconSize: [30, 30],
+        iconAnchor: [15, 30]
+    });
 }
 
 function createCustomIcon() {
@@ -446,34 +1494,88 @@ async function loadTimeline() {
         return;
     }
 
-    // Group by year and month
+    const year = populateTimelineYears(trips);
+    const shown = year === 'all'
+        ? trips
+        : trips.filter(trip => getTripYears(trip).includes(year));
+
+    container.classList.toggle('gantt-mode', state.timelineMode === 'gantt');
+    if (state.timelineMode === 'gantt') {
+        renderGanttTimeline(container, shown, year);
+    } else {
+        renderListTimeline(container, shown, year);
+    }
+}
+
+// Calendar years a trip touches, from its start date to its end date
+function getTripYears(trip) {
+    if (!trip.startDate) return [];
+
+    const first = parseInt(trip.startDate.slice(0, 4));
+    const last = Math.max(first, parseInt((trip.endDate || trip.startDate).slice(0, 4)));
+    return Array.from({ length: last - first + 1 }, (_, i) => String(first + i));
+}
+
+// Fill the year select from trip dates, keeping the current choice when it still exists
+function populateTimelineYears(trips) {
+    const select = document.getElementById('timeline-year');
+    if (!select) return 'all';
+
+    const years = [...new Set(trips.flatMap(getTripYears))].sort().reverse();
+    const selected = years.includes(select.value) ? select.value : 'all';
+
+    select.innerHTML = `
+        <option value="all">All Years</option>
+        ${years.map(year => `<option value="${year}">${year}</option>`).join('')}
+    `;
+    select.value = selected;
+    return selected;
+}
+
+function renderListTimeline(container, trips, year) {
+    // Group by month: the start month, or January for a trip continuing into the selected year.
+    // Dates are read as strings so a time zone can't move a trip into the previous month.
     const grouped = {};
     trips.forEach(trip => {
-        const date = new Date(trip.startDate);
-        const yearMonth = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        let yearMonth = trip.startDate ? trip.startDate.slice(0, 7) : 'undated';
+        if (year !== 'all' && trip.startDate && !trip.startDate.startsWith(year)) {
+            yearMonth = `${year}-01`;
+        }
         if (!grouped[yearMonth]) {
             grouped[yearMonth] = [];
         }
         grouped[yearMonth].push(trip);
     });
 
-    // Render timeline
+    // Render timeline, undated trips last
     let html = '';
     Object.keys(grouped).sort().reverse().forEach(yearMonth => {
-        const [year, month] = yearMonth.split('-');
-        const monthName = new Date(year, month - 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
-
-        grouped[yearMonth].forEach((trip, index) => {
-            html += `
-                <div class="timeline-item" data-id="${trip.id}">
-                    ${index === 0 ? `<div class="timeline-date">${monthName}</div>` : ''}
-                    <div class="timeline-card">
-                        <h4>${escapeHtml(trip.title)}</h4>
-                        <p>📍 ${escapeHtml(trip.city)}, ${escapeHtml(trip.country)}</p>
+        const [groupYear, month] = yearMonth.split('-');
+        const monthName = yearMonth === 'undated'
+            ? 'Undated'
+            : new Date(groupYear, month - 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+        grouped[yearMonth]
+            .sort((a, b) => (b.startDate || '').localeCompare(a.startDate || ''))
+            .forEach((trip, index) => {
+                const years = getTripYears(trip);
+                html += `
+                    <div class="timeline-item" data-id="${trip.id}">
+                        ${index === 0 ? `<div class="timeline-date">${monthName}</div>` : ''}
+                        <div class="timeline-card">
+                            <h4>${escapeHtml(trip.title)}</h4>
+                            <p>📍 ${escapeHtml(trip.city)}, ${escapeHtml(trip.country)}</p>
+                            ${years.length > 1 ? `<p class="timeline-span">📅 ${formatDateRange(trip.startDate, trip.endDate)}</p>` : ''}
+                            ${trip.stops?.length ? `
+                                <div class="timeline-route">
+                                    ${createRouteSparkline(getTripRoute(trip))}
+                                    <span>${TripDatabase.tripLocations(trip).map(l => escapeHtml(l.city)).join(' → ')}</span>
+                                </div>
+                            ` : ''}
+                        </div>
                     </div>
-                </div>
-            `;
-        });
+                `;
+            });
     });
 
     container.innerHTML = html;
@@ -484,6 +1586,148 @@ async function loadTimeline() {
     });
 }
 
+// Gantt Timeline
+const GANTT_ZOOM_LEVELS = [0.25, 0.5, 1, 2, 4, 8, 16];   // Pixels per day
+const GANTT_ROW_HEIGHT = 36;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole days since the epoch for a "YYYY-MM-DD" string
+function dayNumber(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+/**
+ * Put each trip on the first row where it doesn't overlap an earlier one
+ * @param {Array<Object>} trips - Dated trips
+ * @returns {Array<Object>} { trip, start, end, row } with start/end as day numbers
+ */
+function layoutGanttBars(trips) {
+    const rowEnds = [];
+
+    return trips
+        .map(trip => {
+            const start = dayNumber(trip.startDate);
+            const end = Math.max(start, trip.endDate ? dayNumber(trip.endDate) : start);
+            return { trip, start, end };
+        })
+        .sort((a, b) => a.start - b.start)
+        .map(bar => {
+            let row = rowEnds.findIndex(rowEnd => rowEnd < bar.start);
+            if (row === -1) row = rowEnds.length;
+            rowEnds[row] = bar.end;
+            return { ...bar, row };
+        });
+}
+
+function renderGanttTimeline(container, trips, year) {
+    const dated = trips.filter(trip => trip.startDate);
+    const undated = trips.length - dated.length;
+
+    if (dated.length === 0) {
+        container.innerHTML = '<div class="empty-state"><div class="empty-icon">📅</div><h3>No dated trips</h3><p>Add start dates to see trips on the timeline</p></div>';
+        return;
+    }
+
+    const bars = layoutGanttBars(dated);
+
+    // A selected year shows exactly that year; otherwise whole years around every trip
+    const firstYear = year === 'all' ? new Date(Math.min(...bars.map(b => b.start)) * DAY_MS).getUTCFullYear() : parseInt(year);
+    const lastYear = year === 'all' ? new Date(Math.max(...bars.map(b => b.end)) * DAY_MS).getUTCFullYear() : parseInt(year);
+    const rangeStart = Date.UTC(firstYear, 0, 1) / DAY_MS;
+    const rangeEnd = Date.UTC(lastYear + 1, 0, 1) / DAY_MS;
+
+    const pxPerDay = GANTT_ZOOM_LEVELS[state.timelineZoom];
+    const width = Math.ceil((rangeEnd - rangeStart) * pxPerDay);
+    const rows = Math.max(...bars.map(b => b.row)) + 1;
+    const x = (day) => (Math.min(Math.max(day, rangeStart), rangeEnd) - rangeStart) * pxPerDay;
+
+    // Month ticks when there is room for them, otherwise years only
+    const showMonths = pxPerDay * 30 >= 36;
+    const ticks = [];
+    for (let y = firstYear; y <= lastYear; y++) {
+        for (let m = 0; m < 12; m += showMonths ? 1 : 12) {
+            const day = Date.UTC(y, m, 1) / DAY_MS;
+            const label = m === 0
+                ? String(y)
+                : new Date(Date.UTC(y, m, 1)).toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' });
+            ticks.push(`<div class="gantt-tick ${m === 0 ? 'year' : ''}" style="left: ${x(day)}px">${label}</div>`);
+        }
+    }
+
+    const barsHtml = bars.map(({ trip, start, end, row }) => {
+        const left = x(start);
+        const barWidth = Math.max(x(end + 1) - left, 6);
+        return `
+            <button type="button" class="gantt-bar ${trip.favorite ? 'favorite' : ''}" data-id="${trip.id}"
+                style="left: ${left}px; width: ${barWidth}px; top: ${row * GANTT_ROW_HEIGHT}px"
+                title="${escapeHtml(trip.title)} · ${formatDateRange(trip.startDate, trip.endDate)}">
+                <span>${escapeHtml(trip.title)}</span>
+            </button>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="gantt-toolbar">
+            <button type="button" class="btn-secondary" id="gantt-zoom-out" aria-label="Zoom out" ${state.timelineZoom === 0 ? 'disabled' : ''}>−</button>
+            <button type="button" class="btn-secondary" id="gantt-zoom-in" aria-label="Zoom in" ${state.timelineZoom === GANTT_ZOOM_LEVELS.length - 1 ? 'disabled' : ''}>+</button>
+            ${undated > 0 ? `<span>${undated} undated trip(s) not shown</span>` : ''}
+        </div>
+        <div class="gantt-scroll">
+            <div class="gantt" style="width: ${width}px">
+                <div class="gantt-axis">${ticks.join('')}</div>
+                <div class="gantt-rows" style="height: ${rows * GANTT_ROW_HEIGHT}px">${barsHtml}</div>
+            </div>
+        </div>
+    `;
+
+    const scroller = container.querySelector('.gantt-scroll');
+
+    // Zoom around the middle of what is on screen
+    const zoom = (step) => {
+        const centerDay = rangeStart + (scroller.scrollLeft + scroller.clientWidth / 2) / pxPerDay;
+        state.timelineZoom = Math.min(Math.max(state.timelineZoom + step, 0), GANTT_ZOOM_LEVELS.length - 1);
+        renderGanttTimeline(container, trips, year);
+
+        const newScroller = container.querySelector('.gantt-scroll');
+        newScroller.scrollLeft = (centerDay - rangeStart) * GANTT_ZOOM_LEVELS[state.timelineZoom] - newScroller.clientWidth / 2;
+    };
+    container.querySelector('#gantt-zoom-in').addEventListener('click', () => zoom(1));
+    container.querySelector('#gantt-zoom-out').addEventListener('click', () => zoom(-1));
+
+    container.querySelectorAll('.gantt-bar').forEach(bar => {
+        bar.addEventListener('click', () => openTripDetail(bar.dataset.id));
+    });
+}
+
+// Small inline SVG of a route, projected into a fixed box
+function createRouteSparkline(route) {
+    if (route.length < 2) return '';
+
+    const width = 80;
+    const height = 40;
+    const pad = 5;
+    const lats = route.map(([lat]) => lat);
+    const lngs = route.map(([, lng]) => lng);
+    const minLat = Math.min(...lats);
+    const minLng = Math.min(...lngs);
+    const spanLat = Math.max(...lats) - minLat || 1;
+    const spanLng = Math.max(...lngs) - minLng || 1;
+    const scale = Math.min((width - pad * 2) / spanLng, (height - pad * 2) / spanLat);
+
+    const points = route.map(([lat, lng]) => [
+        (pad + (lng - minLng) * scale).toFixed(1),
+        (height - pad - (lat - minLat) * scale).toFixed(1)
+    ]);
+
+    return `
+        <svg class="route-sparkline" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+            <polyline points="${points.map(p => p.join(',')).join(' ')}"></polyline>
+            ${points.map(([x, y]) => `<circle cx="${x}" cy="${y}" r="2.5"></circle>`).join('')}
+        </svg>
+    `;
+}
+
 // Profile/Stats
 async function loadProfile() {
     const countriesList = await tripDB.getCountriesList();
@@ -508,6 +1752,28 @@ async function loadProfile() {
     } else {
         tagsContainer.innerHTML = '<p style="color: var(--text-muted)">No tags used yet</p>';
     }
+
+    // Render spending
+    const spending = await tripDB.getSpendingStats();
+    const spendingContainer = document.getElementById('spending-summary');
+    if (spending.byCountry.length > 0) {
+        const rows = (items, label) => items.map(item => `
+            <span class="stat-list-item">${escapeHtml(label(item))} · ${formatMoney(item.amount, spending.homeCurrency)}</span>
+        `).join('');
+
+        spendingContainer.innerHTML = `
+            <div class="spending-total">${formatMoney(spending.total, spending.homeCurrency)}</div>
+            <h4>By Country</h4>
+            <div class="stat-list">${rows(spending.byCountry, item => item.name)}</div>
+            <h4>By Year</h4>
+            <div class="stat-list">${rows(spending.byYear, item => item.year)}</div>
+            ${spending.missingRates.length > 0 ? `
+                <p class="expense-warning">Excludes ${spending.missingRates.map(escapeHtml).join(', ')} (no exchange rate)</p>
+            ` : ''}
+        `;
+    } else {
+        spendingContainer.innerHTML = '<p style="color: var(--text-muted)">No expenses recorded yet</p>';
+    }
 }
 
 // Modal Management
@@ -592,10 +1858,18 @@ function getTripFormHTML() {
                 </div>
                 
                 <div class="form-group">
-                    <label for="trip-notes">Notes & Thoughts</label>
-                    <textarea id="trip-notes" rows="3" placeholder="Share your experience...">${escapeHtml(trip.notes || '')}</textarea>
+                    <label>Itinerary Stops</label>
+                    <div id="stops-list" class="stops-list"></div>
+                    <button type="button" class="btn-secondary btn-block" id="add-stop">+ Add Stop</button>
                 </div>
                 
+                ${isEdit ? '' : `
+                    <div class="form-group">
+                        <label for="trip-notes">First Journal Entry</label>
+                        <textarea id="trip-notes" rows="3" placeholder="Share your experience... (Markdown: **bold**, - lists, [links](https://...))"></textarea>
+                    </div>
+                `}
+                
                 <div class="form-group">
                     <label for="trip-tags">Tags</label>
                     <input type="text" id="trip-tags" placeholder="e.g., beach, adventure, food (comma separated)" value="${(trip.tags || []).join(', ')}">
@@ -610,6 +1884,9 @@ function getTripFormHTML() {
                         </div>
                         <div id="photo-preview" class="photo-preview"></div>
                     </div>
+                    <div id="photo-suggestions" class="photo-suggestions"></div>
+                    <input type="hidden" id="trip-lat" value="${trip.locationSource === 'photos' ? trip.lat : ''}">
+                    <input type="hidden" id="trip-lng" value="${trip.locationSource === 'photos' ? trip.lng : ''}">
                 </div>
                 
                 <div class="form-group checkbox-group">
@@ -642,18 +1919,23 @@ function setupTripForm() {
     closeBtn?.addEventListener('click', () => {
         closeModal('trip');
         state.currentTrip = null;
-        state.pendingPhotos = [];
+        clearPendingPhotos();
+        state.pendingStops = [];
     });
 
     cancelBtn?.addEventListener('click', () => {
         closeModal('trip');
         state.currentTrip = null;
-        state.pendingPhotos = [];
+        clearPendingPhotos();
+        state.pendingStops = [];
     });
 
     photoUploadArea?.addEventListener('click', () => photoInput?.click());
     photoInput?.addEventListener('change', handlePhotoSelect);
 
+    modal.querySelector('#add-stop')?.addEventListener('click', addStop);
+    renderStopsEditor();
+
     form?.addEventListener('submit', handleTripSubmit);
 }
 
@@ -662,13 +1944,22 @@ async function handlePhotoSelect(e) {
     const preview = document.getElementById('photo-preview');
     const placeholder = document.getElementById('upload-placeholder');
 
+    const settings = await getPhotoSettings();
     for (const file of files) {
-        const base64 = await fileToBase64(file);
-        state.pendingPhotos.push({
-            data: base64,
-            name: file.name,
-            type: file.type
-        });
+        try {
+            // Read EXIF first: processing strips it
+            const metadata = await readPhotoMetadata(file);
+            const processed = await processPhoto(file, settings);
+            state.pendingPhotos.push({
+                ...processed,
+                ...metadata,
+                name: file.name,
+                previewUrl: URL.createObjectURL(processed.thumb)
+            });
+        } catch (error) {
+            console.error('Could not process photo:', error);
+            showToast(`Could not read ${file.name}`);
+        }
     }
 
     renderPhotoPreview();
@@ -679,24 +1970,221 @@ function renderPhotoPreview() {
     const preview = document.getElementById('photo-preview');
     if (!preview) return;
 
+    const stopOptions = state.pendingStops.map((stop, i) =>
+        `<option value="${escapeHtml(stop.id)}">${escapeHtml(stop.city || `Stop ${i + 1}`)}</option>`
+    ).join('');
+
     preview.innerHTML = state.pendingPhotos.map((photo, index) => `
         <div class="photo-preview-item">
-            <img src="${photo.data}" alt="Photo ${index + 1}">
+            <img src="${photo.previewUrl}" alt="Photo ${index + 1}">
             <button type="button" class="remove-photo" data-index="${index}">✕</button>
+            ${stopOptions ? `
+                <select class="photo-stop" data-index="${index}" aria-label="Stop">
+                    <option value="">Main</option>
+                    ${stopOptions}
+                </select>
+            ` : ''}
         </div>
     `).join('');
 
+    preview.querySelectorAll('.photo-stop').forEach(select => {
+        const photo = state.pendingPhotos[parseInt(select.dataset.index)];
+        select.value = photo.stopId || '';
+        select.addEventListener('click', (e) => e.stopPropagation());
+        select.addEventListener('change', () => {
+            photo.stopId = select.value || null;
+        });
+    });
+
     preview.querySelectorAll('.remove-photo').forEach(btn => {
         btn.addEventListener('click', (e) => {
             e.stopPropagation();
             const index = parseInt(btn.dataset.index);
-            state.pendingPhotos.splice(index, 1);
+            const [removed] = state.pendingPhotos.splice(index, 1);
+            URL.revokeObjectURL(removed.previewUrl);
             renderPhotoPreview();
 
             const placeholder = document.getElementById('upload-placeholder');
             placeholder.style.display = state.pendingPhotos.length > 0 ? 'none' : 'block';
         });
     });
+
+    renderPhotoSuggestions();
+}
+
+// Suggest trip dates and location from the photos' EXIF data
+function renderPhotoSuggestions() {
+    const container = document.getElementById('photo-suggestions');
+    if (!container) return;
+
+    const dated = state.pendingPhotos
+        .filter(photo => photo.takenAt)
+        .sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+    const located = dated.find(photo => photo.lat !== null) ||
+        state.pendingPhotos.find(photo => photo.lat !== null && photo.lat !== undefined);
+
+    const startDate = dated[0]?.takenAt.slice(0, 10);
+    const endDate = dated[dated.length - 1]?.takenAt.slice(0, 10);
+    const usingPhotoLocation = !!document.getElementById('trip-lat')?.value;
+
+    container.innerHTML = `
+        ${startDate ? `
+            <button type="button" class="suggestion-chip" id="use-photo-dates">
+                📅 Use photo dates: ${formatDateRange(startDate, endDate)}
+            </button>
+        ` : ''}
+        ${located ? `
+            <button type="button" class="suggestion-chip ${usingPhotoLocation ? 'active' : ''}" id="use-photo-location">
+                📍 ${usingPhotoLocation ? 'Using photo location ✓' : 'Use photo location for the map'}
+            </button>
+        ` : ''}
+    `;
+
+    container.querySelector('#use-photo-dates')?.addEventListener('click', () => {
+        document.getElementById('trip-start-date').value = startDate;
+        document.getElementById('trip-end-date').value = endDate;
+        showToast('Dates set from photos');
+    });
+
+    container.querySelector('#use-photo-location')?.addEventListener('click', () => {
+        const latInput = document.getElementById('trip-lat');
+        const lngInput = document.getElementById('trip-lng');
+        const enable = !latInput.value;
+        latInput.value = enable ? located.lat : '';
+        lngInput.value = enable ? located.lng : '';
+        renderPhotoSuggestions();
+    });
+}
+
+function clearPendingPhotos() {
+    state.pendingPhotos.forEach(photo => URL.revokeObjectURL(photo.previewUrl));
+    state.pendingPhotos = [];
+}
+
+// Itinerary Stops
+function createStopId() {
+    return `stop-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function renderStopsEditor() {
+    const list = document.getElementById('stops-list');
+    if (!list) return;
+
+    const lastIndex = state.pendingStops.length - 1;
+    list.innerHTML = state.pendingStops.map((stop, index) => `
+        <div class="stop-editor" data-index="${index}">
+            <div class="stop-editor-header">
+                <span class="stop-number">${index + 1}</span>
+                <div class="stop-editor-actions">
+                    <button type="button" class="stop-move" data-dir="-1" aria-label="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="stop-move" data-dir="1" aria-label="Move down" ${index === lastIndex ? 'disabled' : ''}>↓</button>
+                    <button type="button" class="stop-remove" aria-label="Remove stop">✕</button>
+                </div>
+            </div>
+            <div class="form-row">
+                <input type="text" class="stop-city" placeholder="City" value="${escapeHtml(stop.city || '')}">
+                <input type="text" class="stop-country" placeholder="Country" value="${escapeHtml(stop.country || '')}">
+            </div>
+            <input type="text" class="stop-place" placeholder="Specific place" value="${escapeHtml(stop.place || '')}">
+            <div class="form-row">
+                <input type="date" class="stop-start-date" aria-label="Arrival" value="${escapeHtml(stop.startDate || '')}">
+                <input type="date" class="stop-end-date" aria-label="Departure" value="${escapeHtml(stop.endDate || '')}">
+            </div>
+            <textarea class="stop-notes" rows="2" placeholder="Notes for this stop">${escapeHtml(stop.notes || '')}</textarea>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.stop-editor').forEach(editor => {
+        const index = parseInt(editor.dataset.index);
+
+        editor.querySelectorAll('.stop-move').forEach(btn => {
+            btn.addEventListener('click', () => moveStop(index, parseInt(btn.dataset.dir)));
+        });
+        editor.querySelector('.stop-remove').addEventListener('click', () => removeStop(index));
+
+        // Keep the photo stop selectors labelled with the current city
+        editor.querySelector('.stop-city').addEventListener('change', () => {
+            syncStopsFromForm();
+            renderPhotoPreview();
+        });
+    });
+}
+
+function syncStopsFromForm() {
+    document.querySelectorAll('#stops-list .stop-editor').forEach(editor => {
+        const stop = state.pendingStops[parseInt(editor.dataset.index)];
+        stop.city = editor.querySelector('.stop-city').value.trim();
+        stop.country = editor.querySelector('.stop-country').value.trim();
+        stop.place = editor.querySelector('.stop-place').value.trim();
+        stop.startDate = editor.querySelector('.stop-start-date').value;
+        stop.endDate = editor.querySelector('.stop-end-date').value;
+        stop.notes = editor.querySelector('.stop-notes').value;
+    });
+    return state.pendingStops;
+}
+
+function addStop() {
+    syncStopsFromForm();
+    state.pendingStops.push({
+        id: createStopId(),
+        country: document.getElementById('trip-country')?.value || '',
+        city: '',
+        place: '',
+        startDate: '',
+        endDate: '',
+        notes: ''
+    });
+    renderStopsEditor();
+    renderPhotoPreview();
+}
+
+function moveStop(index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= state.pendingStops.length) return;
+
+    syncStopsFromForm();
+    const [stop] = state.pendingStops.splice(index, 1);
+    state.pendingStops.splice(target, 0, stop);
+    renderStopsEditor();
+    renderPhotoPreview();
+}
+
+function removeStop(index) {
+    syncStopsFromForm();
+    const [removed] = state.pendingStops.splice(index, 1);
+    state.pendingPhotos.forEach(photo => {
+        if (photo.stopId === removed.id) photo.stopId = null;
+    });
+    renderStopsEditor();
+    renderPhotoPreview();
+}
+
+// Returns false when some stop could not be looked up and needs a retry
+async function geocodeStops(stops) {
+    const previousStops = state.currentTrip?.stops || [];
+
+    let complete = true;
+    for (const stop of stops) {
+        const previous = previousStops.find(s => s.id === stop.id);
+        if (previous?.lat && !previous.needsGeocode
+            && previous.city === stop.city && previous.country === stop.country) {
+            stop.lat = previous.lat;
+            stop.lng = previous.lng;
+            continue;
+        }
+
+        delete stop.lat;
+        delete stop.lng;
+        delete stop.needsGeocode;
+        const { result, complete: found } = await geocoder.lookup([stop.city, stop.country].filter(Boolean).join(', '));
+        if (result) {
+            stop.lat = result.lat;
+            stop.lng = result.lng;
+        }
+        if (!found) stop.needsGeocode = true;
+        complete = complete && found;
+    }
+    return complete;
 }
 
 async function handleTripSubmit(e) {
@@ -710,18 +2198,38 @@ async function handleTripSubmit(e) {
         place: document.getElementById('trip-place')?.value,
         startDate: document.getElementById('trip-start-date')?.value,
         endDate: document.getElementById('trip-end-date')?.value,
-        notes: document.getElementById('trip-notes')?.value,
+        journal: state.currentTrip?.journal || [],
         tags: document.getElementById('trip-tags')?.value.split(',').map(t => t.trim()).filter(Boolean),
         favorite: document.getElementById('trip-favorite')?.checked,
-        coverPhoto: state.pendingPhotos[0]?.data || state.currentTrip?.coverPhoto || ''
+        stops: syncStopsFromForm().filter(stop => stop.city || stop.country)
     };
 
-    // Get coordinates for the location
+    const firstEntry = document.getElementById('trip-notes')?.value.trim();
+    if (firstEntry) {
+        tripData.journal = [createJournalEntry(tripData.startDate, firstEntry)];
+    }
+
+    // Get coordinates for the location: from photo GPS if chosen, else geocoded
+    const photoLat = parseFloat(document.getElementById('trip-lat')?.value);
+    const photoLng = parseFloat(document.getElementById('trip-lng')?.value);
     try {
-        const coords = await geocodeLocation(`${tripData.city}, ${tripData.country}`);
-        if (coords) {
-            tripData.lat = coords.lat;
-            tripData.lng = coords.lng;
+        let complete = true;
+        if (!isNaN(photoLat) && !isNaN(photoLng)) {
+            tripData.lat = photoLat;
+            tripData.lng = photoLng;
+            tripData.locationSource = 'photos';
+        } else {
+            const lookup = await geocoder.lookup(`${tripData.city}, ${tripData.country}`);
+            if (lookup.result) {
+                tripData.lat = lookup.result.lat;
+                tripData.lng = lookup.result.lng;
+            }
+            complete = lookup.complete;
+        }
+
+        // Offline: keep what the gazetteer knew and finish later
+        if (!(await geocodeStops(tripData.stops)) || !complete) {
+            tripData.needsGeocode = 1;
         }
     } catch (err) {
         console.warn('Could not geocode location');
@@ -742,17 +2250,24 @@ async function handleTripSubmit(e) {
             showToast('Trip added successfully!');
         }
 
+        // Finish geocoding once back online
+        if (tripData.needsGeocode) {
+            queueTask('geocode', { tripId: savedTripId }).then(handleOutboxReport);
+        }
+
         // Save photos
-        for (const photo of state.pendingPhotos) {
+        for (const { previewUrl, ...photo } of state.pendingPhotos) {
             await tripDB.addPhoto({
                 tripId: savedTripId,
-                ...photo
+                ...photo,
+                createdAt: new Date().toISOString()
             });
         }
 
         // Reset state
         state.currentTrip = null;
-        state.pendingPhotos = [];
+        clearPendingPhotos();
+        state.pendingStops = [];
 
         // Close modal and refresh
         closeModal('trip');
@@ -770,7 +2285,8 @@ async function handleTripSubmit(e) {
 
 function openTripModal(trip = null) {
     state.currentTrip = trip;
-    state.pendingPhotos = [];
+    clearPendingPhotos();
+    state.pendingStops = (trip?.stops || []).map(stop => ({ ...stop }));
     openModal('trip');
 }
 
@@ -780,27 +2296,37 @@ async function openTripDetail(tripId) {
     if (!trip) return;
 
     const photos = await tripDB.getPhotosByTripId(tripId);
+    const collections = (await tripDB.getCollections()).filter(c => c.tripIds.includes(trip.id));
     state.currentTrip = trip;
-    state.viewerImages = photos.map(p => p.data);
+    state.viewerImages = photos.map(p => photoURLs.get(p, 'blob'));
 
     const modal = elements.modals['trip-detail'];
-    modal.innerHTML = getTripDetailHTML(trip, photos);
+    modal.innerHTML = getTripDetailHTML(trip, photos, collections);
     modal.classList.add('active');
+    renderDetailMap(trip);
+    renderTripExpenses(trip);
+    renderTripChecklist(trip);
+    renderTripJournal(trip, photos);
+    renderTripMedia(trip);
 
     // Setup event listeners
     modal.querySelector('#close-detail')?.addEventListener('click', () => {
         modal.classList.remove('active');
         state.currentTrip = null;
+        stopMediaPlayback();
     });
 
     modal.querySelector('#edit-trip')?.addEventListener('click', () => {
         modal.classList.remove('active');
+        stopMediaPlayback();
         openTripModal(trip);
     });
 
     modal.querySelector('#delete-trip')?.addEventListener('click', async () => {
         if (confirm('Are you sure you want to delete this trip?')) {
             await tripDB.deleteTrip(tripId);
+            photos.forEach(photo => photoURLs.revoke(photo.id));
+            stopMediaPlayback();
             modal.classList.remove('active');
             showToast('Trip deleted');
             loadDashboard();
@@ -812,13 +2338,100 @@ async function openTripDetail(tripId) {
         openShareModal(trip);
     });
 
-    // Image viewer
-    modal.querySelectorAll('.detail-gallery-item').forEach((item, index) => {
-        item.addEventListener('click', () => openImageViewer(index));
+    modal.querySelector('#trip-collections')?.addEventListener('click', () => {
+        openCollectionPicker(trip);
     });
-}
-
-function getTripDetailHTML(trip, photos) {
+    modal.querySelectorAll('.collection-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            modal.classList.remove('active');
+            openCollectionDetail(chip.dataset.id);
+        });
+    });
+
+    modal.querySelector('#offline-map')?.addEventListener('click', () => {
+        openRegionDownload({
+            name: trip.title,
+            bounds: boundsAround(getTripRoute(trip)),
+            minZoom: 8,
+            tripId: trip.id
+        });
+    });
+
+    // Image viewer
+    modal.querySelectorAll('.detail-gallery-item').forEach((item, index) => {
+        item.addEventListener('click', () => openImageViewer(index));
+    });
+    modal.querySelectorAll('.itinerary-photo').forEach(item => {
+        item.addEventListener('click', () => openImageViewer(parseInt(item.dataset.index)));
+    });
+}
+
+function renderDetailMap(trip) {
+    if (state.detailMap) {
+        state.detailMap.remove();
+        state.detailMap = null;
+    }
+
+    const mapEl = document.getElementById('detail-map');
+    const route = getTripRoute(trip);
+    if (!mapEl || route.length === 0) return;
+
+    state.detailMap = L.map(mapEl, {
+        zoomControl: false,
+        attributionControl: false
+    });
+    L.tileLayer(getMapTileUrl(), TILE_OPTIONS).addTo(state.detailMap);
+
+    if (route.length > 1) {
+        L.polyline(route, ROUTE_STYLE).addTo(state.detailMap);
+    }
+    route.forEach((point, index) => {
+        L.marker(point, { icon: createStopIcon(index + 1) }).addTo(state.detailMap);
+    });
+    state.detailMap.fitBounds(route, { padding: [30, 30], maxZoom: 10 });
+
+    // The modal animates in, so measure again once it has its final size
+    setTimeout(() => state.detailMap?.invalidateSize(), 350);
+}
+
+function getItineraryHTML(trip, photos) {
+    if (!trip.stops?.length) return '';
+
+    const stopsHtml = TripDatabase.tripLocations(trip).map((location, index) => {
+        const stopPhotos = location.id
+            ? photos.map((photo, i) => ({ photo, i })).filter(({ photo }) => photo.stopId === location.id)
+            : [];
+
+        return `
+            <li class="itinerary-stop">
+                <div class="itinerary-stop-header">
+                    <span class="stop-number">${index + 1}</span>
+                    <strong>${escapeHtml([location.city, location.country].filter(Boolean).join(', '))}</strong>
+                </div>
+                ${location.place ? `<div class="itinerary-stop-meta">📍 ${escapeHtml(location.place)}</div>` : ''}
+                ${location.startDate ? `<div class="itinerary-stop-meta">📅 ${formatDateRange(location.startDate, location.endDate)}</div>` : ''}
+                ${location.notes ? `<p class="itinerary-stop-notes">${escapeHtml(location.notes)}</p>` : ''}
+                ${stopPhotos.length > 0 ? `
+                    <div class="itinerary-photos">
+                        ${stopPhotos.map(({ photo, i }) => `
+                            <img class="itinerary-photo" data-index="${i}" src="${photoURLs.get(photo, 'thumb')}" alt="Photo ${i + 1}">
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </li>
+        `;
+    }).join('');
+
+    return `
+        <div class="detail-itinerary">
+            <h3>Itinerary</h3>
+            <div id="detail-map" class="detail-map"></div>
+            <ol class="itinerary-list">${stopsHtml}</ol>
+        </div>
+    `;
+}
+
+function getTripDetailHTML(trip, photos, collections = []) {
     const startDate = trip.startDate ? new Date(trip.startDate).toLocaleDateString('en-US', {
         month: 'long', day: 'numeric', year: 'numeric'
     }) : '';
@@ -830,7 +2443,7 @@ function getTripDetailHTML(trip, photos) {
         <div class="detail-gallery">
             ${photos.map((photo, i) => `
                 <div class="detail-gallery-item" data-index="${i}">
-                    <img src="${photo.data}" alt="Photo ${i + 1}">
+                    <img src="${photoURLs.get(photo, 'medium')}" alt="Photo ${i + 1}">
                 </div>
             `).join('')}
         </div>
@@ -842,11 +2455,19 @@ function getTripDetailHTML(trip, photos) {
         </div>
     ` : '';
 
+    const collectionsHtml = collections.length > 0 ? `
+        <div class="trip-card-tags" style="margin-top: 8px;">
+            ${collections.map(c => `<button class="tag collection-chip" data-id="${c.id}">📚 ${escapeHtml(c.name)}</button>`).join('')}
+        </div>
+    ` : '';
+
     return `
         <div class="modal-content modal-fullscreen">
             <div class="detail-header">
                 <button class="back-btn" id="close-detail">← Back</button>
                 <div class="detail-actions">
+                    ${getTripRoute(trip).length > 0 ? '<button class="icon-btn" id="offline-map" aria-label="Save map offline">⬇️</button>' : ''}
+                    <button class="icon-btn" id="trip-collections" aria-label="Add to collection">📚</button>
                     <button class="icon-btn" id="share-trip" aria-label="Share">📤</button>
                     <button class="icon-btn" id="edit-trip" aria-label="Edit">✏️</button>
                     <button class="icon-btn" id="delete-trip" aria-label="Delete">🗑️</button>
@@ -866,16 +2487,548 @@ function getTripDetailHTML(trip, photos) {
                         <span>${startDate}${endDate ? ` - ${endDate}` : ''}</span>
                     </div>
                     ${tagsHtml}
+                    ${collectionsHtml}
                 </div>
-                ${trip.notes ? `
-                    <div class="detail-notes">
-                        <h3>Notes & Thoughts</h3>
-                        <p>${escapeHtml(trip.notes)}</p>
-                    </div>
-                ` : ''}
+                ${getItineraryHTML(trip, photos)}
+                <div id="detail-checklist" class="detail-notes"></div>
+                <div id="detail-media" class="detail-notes"></div>
+                <div id="detail-journal" class="detail-notes"></div>
+                <div id="detail-expenses" class="detail-expenses"></div>
+            </div>
+        </div>
+    `;
+}
+
+// Checklists
+const CHECKLIST_CATEGORIES = {
+    packing: { label: 'Packing', icon: '🧳' },
+    documents: { label: 'Documents', icon: '🛂' },
+    bookings: { label: 'Bookings', icon: '🎫' }
+};
+
+async function renderTripChecklist(trip) {
+    const container = document.getElementById('detail-checklist');
+    if (!container) return;
+
+    const items = await tripDB.getChecklistByTripId(trip.id);
+    const templates = await tripDB.getChecklistTemplates();
+    container.innerHTML = getChecklistHTML(items, templates);
+
+    // Trip cards show checklist progress
+    const refresh = () => {
+        renderTripChecklist(trip);
+        loadDashboard();
+        if (state.currentView === 'trips') loadTrips();
+    };
+
+    container.querySelectorAll('.checklist-item input').forEach(checkbox => {
+        checkbox.addEventListener('change', async () => {
+            const item = items.find(i => i.id === parseInt(checkbox.dataset.id));
+            await tripDB.updateChecklistItem({ ...item, done: checkbox.checked });
+            refresh();
+        });
+    });
+
+    container.querySelectorAll('.checklist-delete').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            await tripDB.deleteChecklistItem(btn.dataset.id);
+            refresh();
+        });
+    });
+
+    container.querySelector('#checklist-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const text = container.querySelector('#checklist-text').value.trim();
+        if (!text) return;
+
+        await tripDB.addChecklistItem({
+            tripId: trip.id,
+            category: container.querySelector('#checklist-category').value,
+            text
+        });
+        refresh();
+    });
+
+    container.querySelector('#apply-template')?.addEventListener('click', async () => {
+        const template = templates.find(t => t.id === parseInt(container.querySelector('#checklist-template').value));
+        if (!template) return;
+
+        const added = await tripDB.applyChecklistTemplate(trip.id, template);
+        showToast(added > 0 ? `Added ${added} item${added === 1 ? '' : 's'} from "${template.name}"` : 'Checklist already has every item');
+        refresh();
+    });
+
+    container.querySelector('#delete-template')?.addEventListener('click', async () => {
+        const template = templates.find(t => t.id === parseInt(container.querySelector('#checklist-template').value));
+        if (!template || !confirm(`Delete the template "${template.name}"? Trip checklists are kept.`)) return;
+
+        await tripDB.deleteChecklistTemplate(template.id);
+        renderTripChecklist(trip);
+    });
+
+    container.querySelector('#save-template')?.addEventListener('click', async () => {
+        const name = prompt('Template name', trip.title || '')?.trim();
+        if (!name) return;
+        if (templates.some(t => t.name === name)) {
+            showToast('A template with that name already exists');
+            return;
+        }
+
+        await tripDB.addChecklistTemplate({ name, items });
+        showToast('Template saved');
+        renderTripChecklist(trip);
+    });
+}
+
+function getChecklistHTML(items, templates) {
+    const done = items.filter(item => item.done).length;
+    const percent = items.length > 0 ? Math.round(done / items.length * 100) : 0;
+
+    const groupsHtml = Object.entries(CHECKLIST_CATEGORIES).map(([category, info]) => {
+        const group = items.filter(item => item.category === category);
+        if (group.length === 0) return '';
+        return `
+            <div class="checklist-group">
+                <h4>${info.icon} ${info.label}</h4>
+                ${group.map(item => `
+                    <label class="checklist-item ${item.done ? 'done' : ''}">
+                        <input type="checkbox" data-id="${item.id}" ${item.done ? 'checked' : ''}>
+                        <span>${escapeHtml(item.text)}</span>
+                        <button type="button" class="checklist-delete" data-id="${item.id}" aria-label="Delete item">✕</button>
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <h3>Checklist</h3>
+        ${items.length > 0 ? `
+            <div class="checklist-progress">
+                <div class="checklist-bar"><div style="width: ${percent}%"></div></div>
+                <span>${done}/${items.length}</span>
             </div>
+            ${groupsHtml}
+        ` : '<p class="journal-empty">Nothing to prepare yet. Add items or start from a template.</p>'}
+        <form id="checklist-form" class="checklist-form">
+            <select id="checklist-category" aria-label="Category">
+                ${Object.entries(CHECKLIST_CATEGORIES).map(([id, info]) =>
+                    `<option value="${id}">${info.icon} ${info.label}</option>`
+                ).join('')}
+            </select>
+            <input type="text" id="checklist-text" placeholder="New item" required>
+            <button type="submit" class="btn-primary">Add</button>
+        </form>
+        <div class="checklist-templates">
+            ${templates.length > 0 ? `
+                <select id="checklist-template" aria-label="Template">
+                    ${templates.map(t => `<option value="${t.id}">${escapeHtml(t.name)} (${t.items.length})</option>`).join('')}
+                </select>
+                <button class="btn-secondary" id="apply-template">Apply</button>
+                <button class="icon-btn" id="delete-template" aria-label="Delete template">🗑️</button>
+            ` : ''}
+            ${items.length > 0 ? '<button class="btn-secondary" id="save-template">Save as Template</button>' : ''}
+        </div>
+    `;
+}
+
+// Voice Memos & Media
+let mediaRecorder = null;       // Recording in progress, if any
+let mediaObjectURLs = [];       // Blob URLs of the players on screen
+
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
+
+// Stop any recording and free the players when the trip closes
+function stopMediaPlayback() {
+    if (mediaRecorder?.state === 'recording') mediaRecorder.stop();
+    mediaObjectURLs.forEach(url => URL.revokeObjectURL(url));
+    mediaObjectURLs = [];
+}
+
+async function renderTripMedia(trip) {
+    const container = document.getElementById('detail-media');
+    if (!container) return;
+
+    const media = await tripDB.getMediaByTripId(trip.id);
+    mediaObjectURLs.forEach(url => URL.revokeObjectURL(url));
+    mediaObjectURLs = media.map(item => URL.createObjectURL(item.blob));
+
+    const canRecord = Boolean(navigator.mediaDevices?.getUserMedia && window.MediaRecorder);
+    container.innerHTML = `
+        <h3>Voice Memos & Media</h3>
+        ${media.length === 0 ? '<p class="journal-empty">No recordings or files yet.</p>' : ''}
+        <ul class="media-list">
+            ${media.map((item, index) => `
+                <li class="media-item">
+                    <div class="media-item-header">
+                        <span class="media-name">${item.source === 'recording' ? '🎙️' : item.kind === 'video' ? '🎬' : '🎵'} ${escapeHtml(item.name)}</span>
+                        <span class="media-meta">${item.duration ? `${formatDuration(item.duration)} · ` : ''}${formatBytes(item.size)}</span>
+                        <button class="icon-btn media-delete" data-id="${item.id}" aria-label="Delete">🗑️</button>
+                    </div>
+                    ${item.kind === 'video'
+                        ? `<video controls preload="metadata" src="${mediaObjectURLs[index]}"></video>`
+                        : `<audio controls preload="metadata" src="${mediaObjectURLs[index]}"></audio>`}
+                </li>
+            `).join('')}
+        </ul>
+        <div class="media-actions">
+            ${canRecord ? '<button class="btn-secondary" id="record-memo">🎙️ Record Memo</button>' : ''}
+            <button class="btn-secondary" id="attach-media">📎 Attach Audio/Video</button>
+            <input type="file" id="media-input" multiple accept="audio/*,video/*" hidden>
         </div>
     `;
+
+    container.querySelectorAll('.media-delete').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            if (!confirm('Delete this recording?')) return;
+            await tripDB.deleteMedia(parseInt(btn.dataset.id));
+            renderTripMedia(trip);
+        });
+    });
+
+    const input = container.querySelector('#media-input');
+    container.querySelector('#attach-media').addEventListener('click', () => input.click());
+    input.addEventListener('change', async () => {
+        const files = [...input.files].filter(file => /^(audio|video)\//.test(file.type));
+        for (const file of files) {
+            await tripDB.addMedia({ tripId: trip.id, blob: file, name: file.name });
+        }
+        if (files.length < input.files.length) showToast('Only audio and video files can be attached');
+        renderTripMedia(trip);
+    });
+
+    container.querySelector('#record-memo')?.addEventListener('click', (e) => {
+        if (mediaRecorder?.state === 'recording') {
+            mediaRecorder.stop();
+        } else {
+            recordVoiceMemo(trip, e.currentTarget);
+        }
+    });
+}
+
+/**
+ * Record from the microphone until stopped, then save the memo to the trip
+ * @param {Object} trip
+ * @param {HTMLButtonElement} button - Shows the elapsed time while recording
+ */
+async function recordVoiceMemo(trip, button) {
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+        showToast('Microphone access was denied');
+        return;
+    }
+
+    const chunks = [];
+    const startedAt = Date.now();
+    const recorder = new MediaRecorder(stream);
+    mediaRecorder = recorder;
+
+    const timer = setInterval(() => {
+        button.textContent = `⏹️ Stop ${formatDuration((Date.now() - startedAt) / 1000)}`;
+    }, 500);
+    button.textContent = '⏹️ Stop 0:00';
+    button.classList.add('recording');
+
+    recorder.addEventListener('dataavailable', (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    });
+    recorder.addEventListener('stop', async () => {
+        clearInterval(timer);
+        stream.getTracks().forEach(track => track.stop());
+        mediaRecorder = null;
+        if (chunks.length === 0) return;
+
+        await tripDB.addMedia({
+            tripId: trip.id,
+            blob: new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }),
+            name: `Voice memo ${formatTimestamp(new Date(startedAt).toISOString())}`,
+            duration: Math.round((Date.now() - startedAt) / 1000),
+            source: 'recording'
+        });
+        showToast('Voice memo saved');
+        // The memo is saved even if the trip was closed while recording
+        if (state.currentTrip?.id === trip.id) renderTripMedia(trip);
+    });
+
+    recorder.start();
+}
+
+// Journal
+function createJournalEntry(date, body) {
+    const now = new Date().toISOString();
+    return {
+        id: `entry-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        date: date || '',
+        body,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+// Day of the trip an entry belongs to, or null outside the trip's dates
+function getJournalDay(trip, date) {
+    if (!trip.startDate || !date) return null;
+    const day = dayNumber(date) - dayNumber(trip.startDate) + 1;
+    const length = dayNumber(trip.endDate || trip.startDate) - dayNumber(trip.startDate) + 1;
+    return day >= 1 && day <= length ? day : null;
+}
+
+function formatTimestamp(iso) {
+    return new Date(iso).toLocaleString('en-US', {
+        month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+}
+
+async function renderTripJournal(trip, photos) {
+    const container = document.getElementById('detail-journal');
+    if (!container) return;
+
+    container.innerHTML = getJournalHTML(trip, photos);
+
+    const save = async (journal) => {
+        trip.journal = journal;
+        await tripDB.updateTrip(trip.id, trip);
+        renderTripJournal(trip, photos);
+    };
+
+    container.querySelector('#add-journal-entry')?.addEventListener('click', () => {
+        openJournalEditor(container, trip, photos, null, save);
+    });
+
+    container.querySelectorAll('.journal-entry').forEach(item => {
+        const entry = trip.journal.find(e => e.id === item.dataset.id);
+
+        item.querySelector('.journal-edit').addEventListener('click', () => {
+            openJournalEditor(container, trip, photos, entry, save);
+        });
+        item.querySelector('.journal-delete').addEventListener('click', () => {
+            if (confirm('Delete this journal entry?')) {
+                save(trip.journal.filter(e => e !== entry));
+            }
+        });
+    });
+
+    container.querySelectorAll('.journal-photo').forEach(img => {
+        img.addEventListener('click', () => {
+            openImageViewer(photos.findIndex(photo => photo.id === parseInt(img.dataset.photoId)));
+        });
+    });
+}
+
+function getJournalHTML(trip, photos) {
+    const journal = trip.journal || [];
+    const photoURL = (id) => photoURLs.get(photos.find(photo => photo.id === id), 'medium');
+
+    // One group per day, in date order, undated entries last
+    const days = {};
+    journal.forEach(entry => {
+        (days[entry.date || 'undated'] = days[entry.date || 'undated'] || []).push(entry);
+    });
+
+    const daysHtml = Object.keys(days).sort().map(date => {
+        const day = getJournalDay(trip, date);
+        const title = date === 'undated'
+            ? 'Undated'
+            : `${day ? `Day ${day} · ` : ''}${new Date(`${date}T00:00`).toLocaleDateString('en-US', {
+                weekday: 'short', month: 'short', day: 'numeric', year: 'numeric'
+            })}`;
+
+        const entriesHtml = days[date]
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(entry => `
+                <article class="journal-entry" data-id="${entry.id}">
+                    <div class="journal-body">${renderMarkdown(entry.body, { photoURL })}</div>
+                    <div class="journal-meta">
+                        <span>Written ${formatTimestamp(entry.createdAt)}${entry.updatedAt !== entry.createdAt ? ` · edited ${formatTimestamp(entry.updatedAt)}` : ''}</span>
+                        <button class="journal-edit" aria-label="Edit entry">✏️</button>
+                        <button class="journal-delete" aria-label="Delete entry">🗑️</button>
+                    </div>
+                </article>
+            `).join('');
+
+        return `<section class="journal-day"><h4>${title}</h4>${entriesHtml}</section>`;
+    }).join('');
+
+    return `
+        <h3>Journal</h3>
+        ${daysHtml || '<p class="journal-empty">No entries yet.</p>'}
+        <div id="journal-editor"></div>
+        <button class="btn-secondary btn-block" id="add-journal-entry">+ Add Entry</button>
+    `;
+}
+
+/**
+ * Show the entry form in place of the Add Entry button
+ * @param {HTMLElement} container - #detail-journal
+ * @param {Object} trip
+ * @param {Array<Object>} photos - The trip's photos, offered for inline references
+ * @param {Object|null} entry - Entry to edit, or null for a new one
+ * @param {Function} save - Called with the updated journal array
+ */
+function openJournalEditor(container, trip, photos, entry, save) {
+    const today = new Date().toISOString().split('T')[0];
+    const defaultDate = getJournalDay(trip, today) ? today : trip.startDate || '';
+    const editor = container.querySelector('#journal-editor');
+
+    container.querySelector('#add-journal-entry').classList.add('hidden');
+    editor.innerHTML = `
+        <form class="journal-editor">
+            <input type="date" id="journal-date" value="${entry ? entry.date : defaultDate}">
+            <textarea id="journal-body" rows="6" placeholder="What happened today?">${escapeHtml(entry?.body || '')}</textarea>
+            <p class="journal-hint">Markdown: # heading, **bold**, *italic*, - list, [link](https://...)</p>
+            ${photos.length > 0 ? `
+                <div class="journal-photo-picker">
+                    ${photos.map(photo => `
+                        <img src="${photoURLs.get(photo, 'thumb')}" data-photo-id="${photo.id}" alt="Insert photo" title="Insert photo">
+                    `).join('')}
+                </div>
+            ` : ''}
+            <div class="form-actions">
+                <button type="button" class="btn-secondary" id="cancel-journal">Cancel</button>
+                <button type="submit" class="btn-primary">Save Entry</button>
+            </div>
+        </form>
+    `;
+
+    const textarea = editor.querySelector('#journal-body');
+    textarea.focus();
+
+    // Insert a photo reference at the cursor, on its own line
+    editor.querySelectorAll('.journal-photo-picker img').forEach(img => {
+        img.addEventListener('click', () => {
+            const { selectionStart, selectionEnd, value } = textarea;
+            const reference = `\n![](photo:${img.dataset.photoId})\n`;
+            textarea.value = value.slice(0, selectionStart) + reference + value.slice(selectionEnd);
+            textarea.selectionStart = textarea.selectionEnd = selectionStart + reference.length;
+            textarea.focus();
+        });
+    });
+
+    editor.querySelector('#cancel-journal').addEventListener('click', () => {
+        editor.innerHTML = '';
+        container.querySelector('#add-journal-entry').classList.remove('hidden');
+    });
+
+    editor.querySelector('form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const body = textarea.value.trim();
+        const date = editor.querySelector('#journal-date').value;
+        if (!body) return;
+
+        const journal = trip.journal || [];
+        save(entry
+            ? journal.map(item => item === entry ? { ...entry, date, body, updatedAt: new Date().toISOString() } : item)
+            : [...journal, createJournalEntry(date, body)]);
+    });
+}
+
+// Expenses
+const EXPENSE_CATEGORIES = {
+    transport: { label: 'Transport', icon: '✈️' },
+    lodging: { label: 'Lodging', icon: '🏨' },
+    food: { label: 'Food & Drink', icon: '🍜' },
+    activities: { label: 'Activities', icon: '🎟️' },
+    shopping: { label: 'Shopping', icon: '🛍️' },
+    other: { label: 'Other', icon: '💸' }
+};
+
+async function renderTripExpenses(trip) {
+    const container = document.getElementById('detail-expenses');
+    if (!container) return;
+
+    const expenses = await tripDB.getExpensesByTripId(trip.id);
+    const exchangeRates = await tripDB.getExchangeRates();
+    container.innerHTML = getExpensesHTML(trip, expenses, exchangeRates);
+
+    container.querySelector('#expense-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const amount = parseFloat(container.querySelector('#expense-amount').value);
+        if (!(amount > 0)) return;
+
+        await tripDB.addExpense({
+            tripId: trip.id,
+            amount,
+            currency: container.querySelector('#expense-currency').value.trim() || exchangeRates.homeCurrency,
+            category: container.querySelector('#expense-category').value,
+            date: container.querySelector('#expense-date').value,
+            note: container.querySelector('#expense-note').value.trim()
+        });
+        renderTripExpenses(trip);
+    });
+
+    container.querySelectorAll('.expense-delete').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            await tripDB.deleteExpense(btn.dataset.id);
+            renderTripExpenses(trip);
+        });
+    });
+}
+
+function getExpensesHTML(trip, expenses, exchangeRates) {
+    const { total, byCategory, missingRates } = TripDatabase.totalExpenses(expenses, exchangeRates);
+    const home = exchangeRates.homeCurrency;
+    const lastCurrency = expenses[expenses.length - 1]?.currency || home;
+
+    const breakdownHtml = Object.entries(byCategory)
+        .sort((a, b) => b[1] - a[1])
+        .map(([category, amount]) => {
+            const info = EXPENSE_CATEGORIES[category] || EXPENSE_CATEGORIES.other;
+            const percent = total > 0 ? Math.round((amount / total) * 100) : 0;
+            return `
+                <div class="expense-category">
+                    <span>${info.icon} ${info.label}</span>
+                    <div class="expense-bar"><div style="width: ${percent}%"></div></div>
+                    <span>${formatMoney(amount, home)}</span>
+                </div>
+            `;
+        }).join('');
+
+    const listHtml = expenses.map(expense => {
+        const info = EXPENSE_CATEGORIES[expense.category] || EXPENSE_CATEGORIES.other;
+        return `
+            <div class="expense-item">
+                <span class="expense-icon">${info.icon}</span>
+                <div class="expense-info">
+                    <span>${escapeHtml(expense.note || info.label)}</span>
+                    <small>${formatDateRange(expense.date)}</small>
+                </div>
+                <span class="expense-amount">${formatMoney(expense.amount, expense.currency)}</span>
+                <button class="expense-delete" data-id="${expense.id}" aria-label="Delete expense">✕</button>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <h3>Expenses</h3>
+        ${expenses.length > 0 ? `
+            <div class="expense-total">
+                <span>Total</span>
+                <strong>${formatMoney(total, home)}</strong>
+            </div>
+            ${missingRates.length > 0 ? `
+                <p class="expense-warning">No exchange rate for ${missingRates.map(escapeHtml).join(', ')} — set one in Settings.</p>
+            ` : ''}
+            <div class="expense-breakdown">${breakdownHtml}</div>
+            <div class="expense-list">${listHtml}</div>
+        ` : ''}
+        <form id="expense-form" class="expense-form">
+            <input type="number" id="expense-amount" step="0.01" min="0" placeholder="Amount" required>
+            <input type="text" id="expense-currency" maxlength="3" value="${escapeHtml(lastCurrency)}" aria-label="Currency">
+            <select id="expense-category" aria-label="Category">
+                ${Object.entries(EXPENSE_CATEGORIES).map(([id, info]) =>
+                    `<option value="${id}">${info.icon} ${info.label}</option>`
+                ).join('')}
+            </select>
+            <input type="date" id="expense-date" value="${trip.startDate || ''}" aria-label="Date">
+            <input type="text" id="expense-note" placeholder="Note">
+            <button type="submit" class="btn-primary">Add</button>
+        </form>
+    `;
 }
 
 // Image Viewer
@@ -997,20 +3150,139 @@ function getSettingsHTML() {
                 </div>
                 
                 <div class="setting-item">
+                    <div class="setting-info">
+                        <h3>Photo Size</h3>
+                        <p>Longest edge of stored photos</p>
+                    </div>
+                    <select id="photo-max-dimension">
+                        <option value="1280">1280 px</option>
+                        <option value="2048">2048 px</option>
+                        <option value="4096">4096 px</option>
+                        <option value="0">Original</option>
+                    </select>
+                </div>
+                
+                <div class="setting-item">
+                    <div class="setting-info">
+                        <h3>Keep Photo Metadata</h3>
+                        <p>Keep EXIF data (camera, time, GPS) in stored photos</p>
+                    </div>
+                    <label class="toggle-switch">
+                        <input type="checkbox" id="keep-exif-toggle">
+                        <span class="toggle-slider"></span>
+                    </label>
+                </div>
+                
+                <div class="setting-item">
+                    <div class="setting-info">
+                        <h3>Geocoding Server</h3>
+                        <p>Nominatim-compatible endpoint for place lookups</p>
+                    </div>
+                    <input type="text" id="geocoder-endpoint" placeholder="${DEFAULT_GEOCODER_ENDPOINT}">
+                </div>
+                
+                <div class="setting-item">
+                    <div class="setting-info">
+                        <h3>Currency & Exchange Rates</h3>
+                        <p>Home currency and offline rates for expense totals</p>
+                    </div>
+                    <button class="btn-secondary" id="edit-rates">Edit</button>
+                </div>
+                
+                <div class="setting-item">
+                    <div class="setting-info">
+                        <h3>Offline Maps</h3>
+                        <p id="tile-usage">Map areas saved for use without a connection</p>
+                    </div>
+                    <button class="btn-secondary" id="manage-regions">Manage</button>
+                </div>
+                
+                <div class="setting-item">
+                    <div class="setting-info">
+                        <h3>Backup Server</h3>
+                        <p>URL that receives uploaded JSON backups</p>
+                    </div>
+                    <input type="text" id="backup-endpoint" placeholder="https://example.com/backups">
+                </div>
+                
+                <div class="setting-item">
+                    <div class="setting-info">
+                        <h3>Sync Queue</h3>
+                        <p id="outbox-status">Work waiting for a connection</p>
+                    </div>
+                    <button class="btn-secondary" id="view-outbox">View</button>
+                </div>
+                
+                <div class="setting-item backup-export">
                     <div class="setting-info">
                         <h3>Export Data</h3>
-                        <p>Download all your trips as JSON</p>
+                        <p>Back up all trips, photos and memos as a .zip archive</p>
                     </div>
+                    <input type="password" id="export-password" placeholder="Password (optional)"
+                           autocomplete="new-password" aria-label="Backup password">
                     <button class="btn-secondary" id="export-data">Export</button>
                 </div>
                 
+                <div class="setting-item geo-export">
+                    <div class="setting-info">
+                        <h3>Map Export</h3>
+                        <p>Trip locations for Google Earth, QGIS or OsmAnd</p>
+                    </div>
+                    <select id="geo-export-format" aria-label="Format">
+                        ${Object.entries(GEO_FORMATS).map(([id, format]) =>
+                            `<option value="${id}">${format.label}</option>`
+                        ).join('')}
+                    </select>
+                    <select id="geo-export-scope" aria-label="Trips">
+                        <option value="all">All trips</option>
+                        <option value="list">Trips list as filtered</option>
+                    </select>
+                    <button class="btn-secondary" id="export-geo">Export</button>
+                </div>
+                
+                <div class="setting-item">
+                    <div class="setting-info">
+                        <h3>Calendar & Travel Book</h3>
+                        <p>All trips as calendar events, or a printable book (save it as PDF)</p>
+                    </div>
+                    <div class="setting-actions">
+                        <button class="btn-secondary" id="export-calendar">.ics</button>
+                        <button class="btn-secondary" id="print-book">Book</button>
+                    </div>
+                </div>
+                
                 <div class="setting-item">
                     <div class="setting-info">
                         <h3>Import Data</h3>
-                        <p>Restore from a backup file</p>
+                        <p>Merge or restore from a backup (.zip or .json), or add trips from GPX, KML, GeoJSON or a calendar (.ics)</p>
                     </div>
                     <button class="btn-secondary" id="import-data">Import</button>
-                    <input type="file" id="import-file" accept=".json" hidden>
+                    <input type="file" id="import-file" accept=".zip,.json,.gpx,.kml,.geojson,.ics" hidden>
+                </div>
+                
+                <div class="setting-item snapshot-settings">
+                    <div class="setting-info">
+                        <h3>Automatic Backups</h3>
+                        <p id="snapshot-status">Snapshots kept on this device or in a folder</p>
+                    </div>
+                    <select id="snapshot-schedule" aria-label="Schedule">
+                        ${Object.entries(SNAPSHOT_SCHEDULES).map(([id, schedule]) =>
+                            `<option value="${id}">${schedule.label}</option>`
+                        ).join('')}
+                    </select>
+                    <input type="number" id="snapshot-changes" class="hidden" min="1" max="1000"
+                           aria-label="Changes between snapshots">
+                    <select id="snapshot-target" aria-label="Location">
+                        <option value="opfs">On this device</option>
+                        <option value="directory">In a folder…</option>
+                    </select>
+                    <select id="snapshot-keep" aria-label="Snapshots kept">
+                        ${SNAPSHOT_KEEP_OPTIONS.map(count => `<option value="${count}">Keep ${count}</option>`).join('')}
+                    </select>
+                    <div class="setting-actions">
+                        <button class="btn-secondary" id="snapshot-now">Back up now</button>
+                        <button class="btn-secondary" id="snapshot-restore">Restore</button>
+                    </div>
                 </div>
                 
                 <div class="setting-item danger">
@@ -1038,40 +3310,144 @@ function setupSettings() {
         updateMapTiles();
     });
 
-    modal.querySelector('#export-data')?.addEventListener('click', async () => {
-        const data = await tripDB.exportData();
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `trip-logbook-backup-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
-        showToast('Data exported successfully!');
+    // Photo settings live in IndexedDB, so fill them in once loaded
+    const maxDimensionSelect = modal.querySelector('#photo-max-dimension');
+    const keepExifToggle = modal.querySelector('#keep-exif-toggle');
+    getPhotoSettings().then(settings => {
+        if (maxDimensionSelect) maxDimensionSelect.value = String(settings.maxDimension);
+        if (keepExifToggle) keepExifToggle.checked = settings.keepExif;
     });
 
-    const importFile = modal.querySelector('#import-file');
-    modal.querySelector('#import-data')?.addEventListener('click', () => importFile?.click());
+    const savePhotoSettings = async (changes) => {
+        const settings = await getPhotoSettings();
+        await tripDB.setSetting('photoSettings', { ...settings, ...changes });
+    };
+    maxDimensionSelect?.addEventListener('change', () => {
+        savePhotoSettings({ maxDimension: parseInt(maxDimensionSelect.value) });
+    });
+    keepExifToggle?.addEventListener('change', () => {
+        savePhotoSettings({ keepExif: keepExifToggle.checked });
+    });
 
-    importFile?.addEventListener('change', async (e) => {
-        const file = e.target.files[0];
-        if (!file) return;
+    const endpointInput = modal.querySelector('#geocoder-endpoint');
+    tripDB.getSetting('geocoderEndpoint').then(endpoint => {
+        if (endpointInput) endpointInput.value = endpoint || '';
+    });
+    endpointInput?.addEventListener('change', async () => {
+        await tripDB.setSetting('geocoderEndpoint', endpointInput.value.trim());
+        await geocoder.configure();
+        showToast('Geocoding server saved');
+    });
+
+    const backupInput = modal.querySelector('#backup-endpoint');
+    tripDB.getSetting('backupEndpoint').then(endpoint => {
+        if (backupInput) backupInput.value = endpoint || '';
+    });
+    backupInput?.addEventListener('change', async () => {
+        await tripDB.setSetting('backupEndpoint', backupInput.value.trim());
+        showToast('Backup server saved');
+    });
+
+    refreshOutboxStatus();
+    modal.querySelector('#view-outbox')?.addEventListener('click', openOutbox);
+
+    Promise.all([getTileUsage(), getTileQuota()]).then(([usage, quota]) => {
+        const usageText = modal.querySelector('#tile-usage');
+        if (usageText && usage > 0) usageText.textContent = `${formatBytes(usage)} of ${formatBytes(quota)} used`;
+    });
+    modal.querySelector('#manage-regions')?.addEventListener('click', openTileRegions);
+
+    modal.querySelector('#edit-rates')?.addEventListener('click', openExchangeRates);
 
+    modal.querySelector('#export-data')?.addEventListener('click', async (e) => {
+        const button = e.currentTarget;
+        button.disabled = true;
         try {
-            const text = await file.text();
-            const data = JSON.parse(text);
-            await tripDB.importData(data);
-            showToast('Data imported successfully!');
-            loadDashboard();
-        } catch (error) {
-            showToast('Error importing data');
-            console.error(error);
+            await saveBackupArchive(modal.querySelector('#export-password').value);
+        } finally {
+            button.disabled = false;
         }
     });
 
-    modal.querySelector('#clear-data')?.addEventListener('click', async () => {
-        if (confirm('Are you sure? This will delete ALL your trips and photos permanently.')) {
+    modal.querySelector('#export-geo')?.addEventListener('click', async () => {
+        const format = modal.querySelector('#geo-export-format').value;
+        const trips = modal.querySelector('#geo-export-scope').value === 'list'
+            ? (await tripDB.search(getTripListQuery())).trips
+            : await tripDB.getAllTrips();
+
+        // KML descriptions show the cover thumbnail, embedded in the file
+        const thumbnails = new Map();
+        if (format === 'kml') {
+            for (const [tripId, photo] of await tripDB.getCoverPhotos()) {
+                if (photo.thumb) thumbnails.set(tripId, await blobToDataURL(photo.thumb));
+            }
+        }
+
+        const located = trips.filter(geoTripFeature).length;
+        if (located === 0) {
+            showToast('No trips with a location to export');
+            return;
+        }
+        downloadBlob(
+            exportGeoFile(format, trips, thumbnails),
+            `trip-logbook-${new Date().toISOString().split('T')[0]}.${GEO_FORMATS[format].extension}`
+        );
+        showToast(`Exported ${located} trip(s)${located < trips.length ? `, ${trips.length - located} without a location skipped` : ''}`);
+    });
+
+    modal.querySelector('#export-calendar')?.addEventListener('click', async () => {
+        exportTripsCalendar(await tripDB.getAllTrips(), 'Trip Logbook');
+    });
+    modal.querySelector('#print-book')?.addEventListener('click', async () => {
+        openTravelBook(await tripDB.getAllTrips(), 'Trip Logbook');
+    });
+
+    const importFile = modal.querySelector('#import-file');
+    modal.querySelector('#import-data')?.addEventListener('click', () => importFile?.click());
+
+    importFile?.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        // Archives are read in pieces, never as one string
+        const signature = await file.slice(0, 2).text();
+        if (/\.zip$/i.test(file.name) || signature === 'PK') {
+            importBackupArchive(file);
+            return;
+        }
+
+        const text = await file.text();
+        if (/\.ics$/i.test(file.name) || text.startsWith('BEGIN:VCALENDAR')) {
+            importCalendar(text);
+            return;
+        }
+
+        const format = detectGeoFormat(file.name, text);
+        try {
+            const data = format ? parseGeoFile(format, text) : JSON.parse(text);
+            const plan = await tripDB.planImport(data);
+            openImportReview(plan);
+        } catch (error) {
+            showToast(format ? `Could not import this ${GEO_FORMATS[format].label} file` : 'Error reading backup file');
+            console.error(error);
+        }
+    });
+
+    setupSnapshotSettings(modal);
+
+    modal.querySelector('#clear-data')?.addEventListener('click', async () => {
+        if (confirm('Are you sure? This will delete ALL your trips and photos permanently.')) {
+            // With automatic backups on, keep a way back
+            if ((await getSnapshotSettings()).schedule !== 'off') {
+                try {
+                    await takeSnapshot({ interactive: true });
+                } catch (error) {
+                    console.error(error);
+                    if (!confirm(`Could not save a snapshot first (${error.message}). Clear anyway?`)) return;
+                }
+            }
             await tripDB.clearAllData();
+            photoURLs.clear();
             showToast('All data cleared');
             loadDashboard();
             closeModal('settings');
@@ -1079,6 +3455,963 @@ function setupSettings() {
     });
 }
 
+// Outbox
+const OUTBOX_TASK_LABELS = {
+    geocode: 'Locate trip',
+    backup: 'Upload backup'
+};
+
+function syncOutbox() {
+    return requestOutboxSync().then(handleOutboxReport);
+}
+
+// Report from a replay, run by the service worker or by this page (null when delegated)
+function handleOutboxReport(report) {
+    if (!report) return;
+
+    const located = report.completed.geocode || 0;
+    if (located > 0) {
+        showToast(`Located ${located} trip(s) saved offline`);
+        loadDashboard();
+        if (state.currentView === 'map') updateFullMapMarkers();
+    }
+    if (report.completed.backup) {
+        showToast('Backup uploaded');
+    }
+
+    refreshOutboxStatus();
+}
+
+// Update the Settings summary or task list if either is on screen
+async function refreshOutboxStatus() {
+    const modal = elements.modals['settings'];
+    const status = modal?.querySelector('#outbox-status');
+    const list = modal?.querySelector('#outbox-list');
+    if (!status && !list) return;
+
+    const tasks = await tripDB.getOutboxTasks();
+    if (status) {
+        const pending = tasks.filter(task => task.status === 'pending').length;
+        const failed = tasks.length - pending;
+        status.textContent = tasks.length === 0
+            ? 'Nothing waiting for a connection'
+            : [pending && `${pending} pending`, failed && `${failed} failed`].filter(Boolean).join(' · ');
+    }
+    if (list) {
+        renderOutboxList(list, tasks);
+    }
+}
+
+async function openOutbox() {
+    const modal = elements.modals['settings'];
+    modal.innerHTML = getOutboxHTML();
+
+    const backToSettings = () => renderModalContent('settings');
+    modal.querySelector('#close-outbox')?.addEventListener('click', backToSettings);
+
+    modal.querySelector('#outbox-sync')?.addEventListener('click', () => {
+        showToast(navigator.onLine ? 'Syncing...' : 'Will sync when back online');
+        syncOutbox();
+    });
+
+    modal.querySelector('#outbox-backup')?.addEventListener('click', async () => {
+        if (!(await tripDB.getSetting('backupEndpoint'))) {
+            showToast('Set a backup server first');
+            return;
+        }
+        showToast('Backup queued');
+        queueTask('backup').then(handleOutboxReport);
+        refreshOutboxStatus();
+    });
+
+    refreshOutboxStatus();
+}
+
+async function renderOutboxList(list, tasks) {
+    if (tasks.length === 0) {
+        list.innerHTML = '<p class="outbox-empty">Nothing waiting for a connection</p>';
+        return;
+    }
+
+    const trips = await tripDB.getAllTrips();
+    const titles = new Map(trips.map(trip => [trip.id, trip.title]));
+
+    list.innerHTML = tasks.map(task => {
+        const subject = task.payload?.tripId ? titles.get(task.payload.tripId) : null;
+        const detail = task.status === 'failed'
+            ? `Failed after ${task.attempts} attempts: ${task.lastError}`
+            : task.attempts > 0
+                ? `Retry ${task.attempts + 1} after ${new Date(task.nextAttemptAt).toLocaleTimeString()}: ${task.lastError}`
+                : 'Waiting for connection';
+
+        return `
+            <div class="outbox-item ${task.status}" data-id="${task.id}">
+                <div class="outbox-info">
+                    <strong>${OUTBOX_TASK_LABELS[task.type] || escapeHtml(task.type)}${subject ? `: ${escapeHtml(subject)}` : ''}</strong>
+                    <span>${escapeHtml(detail)}</span>
+                </div>
+                ${task.status === 'failed' ? '<button type="button" class="btn-secondary outbox-retry">Retry</button>' : ''}
+                <button type="button" class="outbox-discard" aria-label="Discard task">✕</button>
+            </div>
+        `;
+    }).join('');
+
+    list.querySelectorAll('.outbox-item').forEach(item => {
+        const task = tasks.find(t => t.id === parseInt(item.dataset.id));
+        item.querySelector('.outbox-retry')?.addEventListener('click', async () => {
+            const report = await retryTask(task);
+            handleOutboxReport(report);
+            refreshOutboxStatus();
+        });
+        item.querySelector('.outbox-discard')?.addEventListener('click', async () => {
+            await tripDB.deleteTask(task.id);
+            refreshOutboxStatus();
+        });
+    });
+}
+
+function getOutboxHTML() {
+    return `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>Sync Queue</h2>
+                <button class="modal-close" id="close-outbox">✕</button>
+            </div>
+            <div class="settings-content">
+                <div id="outbox-list" class="outbox-list"></div>
+
+                <div class="form-actions">
+                    <button type="button" class="btn-secondary" id="outbox-backup">Back Up Now</button>
+                    <button type="button" class="btn-primary" id="outbox-sync">Sync Now</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Offline Maps
+const TILE_QUOTA_OPTIONS = [50, 100, 200, 500, 1000];   // MB
+
+/**
+ * Show the download form for a map area in the settings sheet
+ * @param {Object} region - { name, bounds, minZoom, tripId }
+ */
+function openRegionDownload({ name, bounds, minZoom = 8, tripId = null }) {
+    const modal = elements.modals['settings'];
+    modal.classList.add('active');
+    modal.innerHTML = getRegionDownloadHTML(name, minZoom);
+
+    const minSelect = modal.querySelector('#region-min-zoom');
+    const maxSelect = modal.querySelector('#region-max-zoom');
+    const estimate = modal.querySelector('#region-estimate');
+    const downloadBtn = modal.querySelector('#region-download');
+    const templates = getRegionTileTemplates();
+    let controller = null;
+
+    const refreshEstimate = async () => {
+        if (templates.length === 0) {
+            estimate.textContent = `${getMapBaseLayer().label} maps cannot be saved offline: choose another base map under Layers`;
+            estimate.classList.add('over-quota');
+            downloadBtn.disabled = true;
+            return;
+        }
+
+        const minZoom = parseInt(minSelect.value);
+        const maxZoom = Math.max(minZoom, parseInt(maxSelect.value));
+        const count = countTiles(bounds, minZoom, maxZoom) * templates.length;
+        const available = (await getTileQuota()) - (await getTileUsage());
+        const size = count * TILE_ESTIMATED_BYTES;
+
+        estimate.textContent = `About ${count.toLocaleString()} tiles`
+            + (templates.length > 1 ? ' for the light and dark maps' : '')
+            + `, ${formatBytes(size)}`
+            + (size > available ? ` (only ${formatBytes(Math.max(0, available))} left)` : '');
+        estimate.classList.toggle('over-quota', size > available);
+        downloadBtn.disabled = size > available;
+    };
+    minSelect.addEventListener('change', refreshEstimate);
+    maxSelect.addEventListener('change', refreshEstimate);
+    refreshEstimate();
+
+    const close = () => {
+        controller?.abort();
+        closeModal('settings');
+    };
+    modal.querySelector('#close-region')?.addEventListener('click', close);
+    modal.querySelector('#cancel-region')?.addEventListener('click', close);
+
+    downloadBtn.addEventListener('click', async () => {
+        const progressBar = modal.querySelector('#region-progress');
+        controller = new AbortController();
+        downloadBtn.disabled = true;
+        progressBar.hidden = false;
+
+        try {
+            const region = await downloadTileRegion({
+                name: modal.querySelector('#region-name').value.trim() || name,
+                bounds,
+                minZoom: parseInt(minSelect.value),
+                maxZoom: Math.max(parseInt(minSelect.value), parseInt(maxSelect.value)),
+                templates,
+                retina: L.Browser.retina ? '@2x' : '',
+                tripId
+            }, {
+                signal: controller.signal,
+                onProgress: ({ done, total, bytes }) => {
+                    progressBar.value = done / total;
+                    estimate.textContent = `${done.toLocaleString()} of ${total.toLocaleString()} tiles, ${formatBytes(bytes)}`;
+                }
+            });
+
+            showToast(region.status === 'partial'
+                ? 'Storage limit reached: map area saved in part'
+                : `Saved ${region.tileCount.toLocaleString()} tiles for offline use`);
+            closeModal('settings');
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Map download failed:', error);
+            showToast(error.message);
+            downloadBtn.disabled = false;
+        }
+    });
+}
+
+function getZoomOptionsHTML(selected) {
+    return Array.from({ length: TILE_MAX_ZOOM + 1 }, (_, zoom) => `
+        <option value="${zoom}" ${zoom === selected ? 'selected' : ''}>${zoom}</option>
+    `).join('');
+}
+
+function getRegionDownloadHTML(name, minZoom) {
+    return `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>Save Map Offline</h2>
+                <button class="modal-close" id="close-region">✕</button>
+            </div>
+            <div class="settings-content">
+                <div class="form-group">
+                    <label for="region-name">Name</label>
+                    <input type="text" id="region-name" value="${escapeHtml(name)}">
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="region-min-zoom">From zoom</label>
+                        <select id="region-min-zoom">${getZoomOptionsHTML(minZoom)}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="region-max-zoom">To zoom</label>
+                        <select id="region-max-zoom">${getZoomOptionsHTML(Math.min(minZoom + 4, TILE_MAX_ZOOM))}</select>
+                    </div>
+                </div>
+                <p id="region-estimate" class="region-estimate"></p>
+                <progress id="region-progress" class="region-progress" max="1" value="0" hidden></progress>
+
+                <div class="form-actions">
+                    <button type="button" class="btn-secondary" id="cancel-region">Cancel</button>
+                    <button type="button" class="btn-primary" id="region-download">Download</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+async function openTileRegions() {
+    const modal = elements.modals['settings'];
+    const regions = await tripDB.getTileRegions();
+    const quotaMB = await tripDB.getSetting('tileQuotaMB', DEFAULT_TILE_QUOTA_MB);
+    const usage = await getTileUsage();
+
+    modal.innerHTML = getTileRegionsHTML(regions, quotaMB, usage);
+
+    modal.querySelector('#close-regions')?.addEventListener('click', () => renderModalContent('settings'));
+
+    modal.querySelector('#tile-quota')?.addEventListener('change', async (e) => {
+        await tripDB.setSetting('tileQuotaMB', parseInt(e.target.value));
+        openTileRegions();
+    });
+
+    modal.querySelectorAll('.region-delete').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            await deleteTileRegion(parseInt(btn.dataset.id));
+            showToast('Offline map removed');
+            openTileRegions();
+        });
+    });
+}
+
+function getTileRegionsHTML(regions, quotaMB, usage) {
+    const regionsHtml = regions.length > 0 ? regions.map(region => `
+        <div class="region-item">
+            <div class="region-info">
+                <strong>${escapeHtml(region.name)}</strong>
+                <span>
+                    Zoom ${region.minZoom}–${region.maxZoom} · ${region.tileCount.toLocaleString()} tiles · ${formatBytes(region.bytes)}
+                    ${region.status === 'complete' ? '' : ` · ${region.status === 'partial' ? 'Partial' : 'Incomplete'}`}
+                </span>
+            </div>
+            <button type="button" class="region-delete" data-id="${region.id}" aria-label="Remove offline map">✕</button>
+        </div>
+    `).join('') : '<p class="region-empty">No map areas saved yet. Use ⬇️ on the map or on a trip.</p>';
+
+    return `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>Offline Maps</h2>
+                <button class="modal-close" id="close-regions">✕</button>
+            </div>
+            <div class="settings-content">
+                <div class="setting-item">
+                    <div class="setting-info">
+                        <h3>Storage Limit</h3>
+                        <p>${formatBytes(usage)} used</p>
+                    </div>
+                    <select id="tile-quota">
+                        ${TILE_QUOTA_OPTIONS.map(mb => `
+                            <option value="${mb}" ${mb === quotaMB ? 'selected' : ''}>${mb >= 1000 ? `${mb / 1000} GB` : `${mb} MB`}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="region-list">${regionsHtml}</div>
+            </div>
+        </div>
+    `;
+}
+
+// Exchange Rates
+async function openExchangeRates() {
+    const modal = elements.modals['settings'];
+    const exchangeRates = await tripDB.getExchangeRates();
+    const expenses = await tripDB.getAllExpenses();
+
+    // Offer a row for every currency already used in expenses
+    const rates = { ...exchangeRates.rates };
+    expenses.forEach(expense => {
+        if (expense.currency && expense.currency !== exchangeRates.homeCurrency && !(expense.currency in rates)) {
+            rates[expense.currency] = '';
+        }
+    });
+
+    modal.innerHTML = getExchangeRatesHTML(exchangeRates.homeCurrency, rates);
+
+    const list = modal.querySelector('#rates-list');
+    const homeInput = modal.querySelector('#home-currency');
+
+    const wireRow = (row) => {
+        row.querySelector('.rate-remove').addEventListener('click', () => row.remove());
+    };
+    list.querySelectorAll('.rate-row').forEach(wireRow);
+
+    homeInput.addEventListener('input', () => {
+        modal.querySelectorAll('.rate-home').forEach(el => {
+            el.textContent = homeInput.value.toUpperCase();
+        });
+    });
+
+    modal.querySelector('#add-rate')?.addEventListener('click', () => {
+        list.insertAdjacentHTML('beforeend', getRateRowHTML('', '', homeInput.value.toUpperCase()));
+        wireRow(list.lastElementChild);
+    });
+
+    const backToSettings = () => renderModalContent('settings');
+    modal.querySelector('#close-rates')?.addEventListener('click', backToSettings);
+    modal.querySelector('#cancel-rates')?.addEventListener('click', backToSettings);
+
+    modal.querySelector('#save-rates')?.addEventListener('click', async () => {
+        const homeCurrency = homeInput.value.trim().toUpperCase();
+        if (!/^[A-Z]{3}$/.test(homeCurrency)) {
+            showToast('Home currency must be a 3-letter code');
+            return;
+        }
+
+        const savedRates = {};
+        list.querySelectorAll('.rate-row').forEach(row => {
+            const code = row.querySelector('.rate-currency').value.trim().toUpperCase();
+            const value = parseFloat(row.querySelector('.rate-value').value);
+            if (/^[A-Z]{3}$/.test(code) && value > 0) {
+                savedRates[code] = value;
+            }
+        });
+
+        await tripDB.setExchangeRates({ homeCurrency, rates: savedRates });
+        showToast('Exchange rates saved');
+        backToSettings();
+    });
+}
+
+function getRateRowHTML(code, value, homeCurrency) {
+    return `
+        <div class="rate-row">
+            <span>1</span>
+            <input type="text" class="rate-currency" maxlength="3" placeholder="EUR" value="${escapeHtml(code)}">
+            <span>=</span>
+            <input type="number" class="rate-value" step="any" min="0" placeholder="0.00" value="${value}">
+            <span class="rate-home">${escapeHtml(homeCurrency)}</span>
+            <button type="button" class="rate-remove" aria-label="Remove rate">✕</button>
+        </div>
+    `;
+}
+
+function getExchangeRatesHTML(homeCurrency, rates) {
+    return `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>Exchange Rates</h2>
+                <button class="modal-close" id="close-rates">✕</button>
+            </div>
+            <div class="settings-content">
+                <div class="setting-item">
+                    <div class="setting-info">
+                        <h3>Home Currency</h3>
+                        <p>Trip totals are converted to this currency</p>
+                    </div>
+                    <input type="text" id="home-currency" class="rate-currency" maxlength="3" value="${escapeHtml(homeCurrency)}">
+                </div>
+
+                <div id="rates-list" class="rates-list">
+                    ${Object.entries(rates).map(([code, value]) => getRateRowHTML(code, value, homeCurrency)).join('')}
+                </div>
+                <button type="button" class="btn-secondary btn-block" id="add-rate">+ Add Currency</button>
+
+                <div class="form-actions">
+                    <button type="button" class="btn-secondary" id="cancel-rates">Cancel</button>
+                    <button type="button" class="btn-primary" id="save-rates">Save</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Backup Archives
+async function saveBackupArchive(password) {
+    const filename = `trip-logbook-backup-${new Date().toISOString().split('T')[0]}.zip`;
+    try {
+        if ('showSaveFilePicker' in window) {
+            // Stream straight to disk, one file at a time
+            let handle;
+            try {
+                handle = await window.showSaveFilePicker({
+                    suggestedName: filename,
+                    types: [{ description: 'Backup archive', accept: { 'application/zip': ['.zip'] } }]
+                });
+            } catch (error) {
+                return; // Picker cancelled
+            }
+            const writable = await handle.createWritable();
+            try {
+                await createBackupArchive({ password, write: part => writable.write(part) });
+                await writable.close();
+            } catch (error) {
+                await writable.abort();
+                throw error;
+            }
+        } else {
+            downloadBlob(await createBackupArchive({ password }), filename);
+        }
+        showToast(password ? 'Encrypted backup saved' : 'Backup saved');
+    } catch (error) {
+        showToast(error instanceof RangeError ? error.message : 'Error creating backup');
+        console.error(error);
+    }
+}
+
+async function importBackupArchive(file) {
+    try {
+        const archive = await openBackupArchive(file);
+        if (archive.manifest.encryption) {
+            openArchivePassword(archive);
+        } else {
+            await reviewBackupArchive(archive);
+        }
+    } catch (error) {
+        showToast(error.message);
+        console.error(error);
+    }
+}
+
+// Checksums are verified before the review, so a damaged archive never reaches importData
+async function reviewBackupArchive(archive, password) {
+    const data = await readBackupArchive(archive, password);
+    openImportReview(await tripDB.planImport(data));
+}
+
+function openArchivePassword(archive) {
+    const modal = elements.modals['settings'];
+    modal.innerHTML = getArchivePasswordHTML(archive.manifest);
+
+    const form = modal.querySelector('#archive-password-form');
+    const input = modal.querySelector('#archive-password');
+    const error = modal.querySelector('#archive-password-error');
+    input.focus();
+
+    const backToSettings = () => renderModalContent('settings');
+    modal.querySelector('#close-archive-password')?.addEventListener('click', backToSettings);
+    modal.querySelector('#cancel-archive-password')?.addEventListener('click', backToSettings);
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const submit = form.querySelector('[type="submit"]');
+        submit.disabled = true;
+        error.textContent = 'Checking…';
+        try {
+            await reviewBackupArchive(archive, input.value);
+        } catch (err) {
+            error.textContent = err.message;
+            submit.disabled = false;
+            input.select();
+            console.error(err);
+        }
+    });
+}
+
+// Automatic Snapshots
+const SNAPSHOT_KEEP_OPTIONS = [3, 7, 14, 30];
+
+function setupSnapshotSettings(modal) {
+    const scheduleSelect = modal.querySelector('#snapshot-schedule');
+    const changesInput = modal.querySelector('#snapshot-changes');
+    const targetSelect = modal.querySelector('#snapshot-target');
+    const keepSelect = modal.querySelector('#snapshot-keep');
+    if (!scheduleSelect) return;
+
+    const targets = getSnapshotTargets();
+    if (!targets.opfs && !targets.directory) {
+        modal.querySelectorAll('.snapshot-settings select, .snapshot-settings button')
+            .forEach(control => { control.disabled = true; });
+        modal.querySelector('#snapshot-status').textContent = 'Not supported in this browser';
+        return;
+    }
+    targetSelect.querySelector('[value="opfs"]').disabled = !targets.opfs;
+    targetSelect.querySelector('[value="directory"]').disabled = !targets.directory;
+
+    let target = null;
+    getSnapshotSettings().then(settings => {
+        target = settings.target;
+        scheduleSelect.value = settings.schedule;
+        changesInput.value = settings.changes;
+        changesInput.classList.toggle('hidden', settings.schedule !== 'changes');
+        targetSelect.value = settings.target;
+        keepSelect.value = String(settings.keep);
+    });
+    refreshSnapshotStatus();
+
+    scheduleSelect.addEventListener('change', async () => {
+        changesInput.classList.toggle('hidden', scheduleSelect.value !== 'changes');
+        await setSnapshotSettings({ schedule: scheduleSelect.value });
+        checkSnapshotSchedule().then(refreshSnapshotStatus);
+    });
+
+    changesInput.addEventListener('change', async () => {
+        const changes = Math.max(1, parseInt(changesInput.value) || DEFAULT_SNAPSHOT_SETTINGS.changes);
+        changesInput.value = changes;
+        await setSnapshotSettings({ changes });
+    });
+
+    keepSelect.addEventListener('change', () => setSnapshotSettings({ keep: parseInt(keepSelect.value) }));
+
+    targetSelect.addEventListener('change', async () => {
+        if (targetSelect.value === 'directory') {
+            try {
+                showToast(`Backups will be saved to "${await chooseSnapshotFolder()}"`);
+            } catch (error) {
+                targetSelect.value = target; // Picker cancelled
+                return;
+            }
+        }
+        target = targetSelect.value;
+        await setSnapshotSettings({ target });
+        await saveSnapshotState({ error: null });
+        refreshSnapshotStatus();
+    });
+
+    modal.querySelector('#snapshot-now')?.addEventListener('click', async (e) => {
+        const button = e.currentTarget;
+        button.disabled = true;
+        try {
+            await takeSnapshot({ interactive: true });
+            showToast('Snapshot saved');
+        } catch (error) {
+            showToast(error.message);
+            console.error(error);
+        } finally {
+            button.disabled = false;
+            refreshSnapshotStatus();
+        }
+    });
+
+    modal.querySelector('#snapshot-restore')?.addEventListener('click', openSnapshots);
+}
+
+function refreshSnapshotStatus() {
+    const status = elements.modals['settings']?.querySelector('#snapshot-status');
+    if (!status) return;
+
+    const { lastAt, error } = getSnapshotState();
+    if (error) status.textContent = `⚠️ ${error}`;
+    else if (lastAt) status.textContent = `Last snapshot ${formatTimestamp(lastAt)}`;
+}
+
+async function openSnapshots() {
+    let snapshots;
+    try {
+        snapshots = await listSnapshots(true);
+    } catch (error) {
+        showToast(error.message);
+        console.error(error);
+        return;
+    }
+
+    const modal = elements.modals['settings'];
+    modal.innerHTML = getSnapshotsHTML(snapshots);
+
+    modal.querySelector('#close-snapshots')?.addEventListener('click', () => renderModalContent('settings'));
+
+    modal.querySelectorAll('.snapshot-restore').forEach(button => {
+        button.addEventListener('click', async () => {
+            const snapshot = snapshots.find(s => s.name === button.dataset.name);
+            button.disabled = true;
+            try {
+                await reviewBackupArchive(await openBackupArchive(snapshot.file));
+            } catch (error) {
+                showToast(error.message);
+                button.disabled = false;
+                console.error(error);
+            }
+        });
+    });
+
+    modal.querySelectorAll('.snapshot-delete').forEach(button => {
+        button.addEventListener('click', async () => {
+            if (!confirm('Delete this snapshot?')) return;
+            try {
+                await deleteSnapshot(button.dataset.name);
+                showToast('Snapshot deleted');
+                openSnapshots();
+            } catch (error) {
+                showToast(error.message);
+                console.error(error);
+            }
+        });
+    });
+}
+
+// Import Review
+function openImportReview(plan) {
+    const modal = elements.modals['settings'];
+    modal.innerHTML = getImportReviewHTML(plan);
+
+    const resolutions = {};
+    const modeSelect = modal.querySelector('#import-mode');
+    const summary = modal.querySelector('#import-summary');
+    const conflictsSection = modal.querySelector('#import-conflicts');
+
+    const refreshSummary = () => {
+        const mode = modeSelect.value;
+        summary.textContent = describeImport(plan, mode, resolutions);
+        conflictsSection?.classList.toggle('hidden', mode === 'replace');
+    };
+
+    modal.querySelectorAll('.import-resolution').forEach(select => {
+        resolutions[select.dataset.id] = select.value;
+        select.addEventListener('change', () => {
+            resolutions[select.dataset.id] = select.value;
+            refreshSummary();
+        });
+    });
+    modeSelect.addEventListener('change', refreshSummary);
+    refreshSummary();
+
+    const backToSettings = () => renderModalContent('settings');
+    modal.querySelector('#close-import-review')?.addEventListener('click', backToSettings);
+    modal.querySelector('#cancel-import')?.addEventListener('click', backToSettings);
+
+    modal.querySelector('#confirm-import')?.addEventListener('click', async () => {
+        const mode = modeSelect.value;
+        if (mode === 'replace' && !confirm('Replace ALL existing trips and photos with this backup?')) {
+            return;
+        }
+
+        try {
+            const result = await tripDB.importData(plan.data, { mode, resolutions });
+            showToast(`Imported ${result.added + result.replaced} trip(s), ${result.photos} photo(s)`);
+            renderCollections();
+            closeModal('settings');
+            loadDashboard();
+            if (state.currentView === 'trips') loadTrips();
+        } catch (error) {
+            showToast('Error importing data');
+            console.error(error);
+        }
+    });
+}
+
+// Calendar Export & Travel Book
+function exportTripsCalendar(trips, name) {
+    const dated = trips.filter(trip => trip.startDate);
+    if (dated.length === 0) {
+        showToast('No trips with dates to export');
+        return;
+    }
+
+    const filename = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'trips';
+    downloadBlob(new Blob([tripsToICS(dated, name)], { type: 'text/calendar' }), `${filename}.ics`);
+    showToast(`Exported ${dated.length} trip(s)`);
+}
+
+async function openTravelBook(trips, title) {
+    if (trips.length === 0) {
+        showToast('No trips for a travel book yet');
+        return;
+    }
+
+    showToast('Preparing travel book…');
+    try {
+        await printTravelBook(trips, { title, tileTemplate: MAP_TILES.light, attribution: CARTO_ATTRIBUTION });
+    } catch (error) {
+        showToast('Could not build the travel book');
+        console.error(error);
+    }
+}
+
+// Calendar Import
+async function importCalendar(text) {
+    try {
+        const events = parseICS(text);
+        const { proposals, unplaced } = await proposeTripsFromEvents(events);
+        if (proposals.length === 0) {
+            showToast(events.length > 0 ? 'No events with a recognizable city' : 'No events in this calendar');
+            return;
+        }
+        openCalendarReview(proposals, unplaced);
+    } catch (error) {
+        showToast('Error reading calendar file');
+        console.error(error);
+    }
+}
+
+/**
+ * Review trips proposed from calendar events before anything is saved
+ * @param {Array<Object>} proposals - From proposeTripsFromEvents
+ * @param {number} unplaced - Events left out for lack of a known place
+ */
+async function openCalendarReview(proposals, unplaced) {
+    const modal = elements.modals['settings'];
+    const existingKeys = new Set((await tripDB.getAllTrips()).map(TripDatabase.tripKey));
+    const duplicates = proposals.map(({ trip }) => existingKeys.has(TripDatabase.tripKey(trip)));
+    modal.innerHTML = getCalendarReviewHTML(proposals, duplicates, unplaced);
+
+    const checkboxes = [...modal.querySelectorAll('.calendar-proposal-check')];
+    const confirmButton = modal.querySelector('#confirm-calendar-import');
+    const refreshCount = () => {
+        const count = checkboxes.filter(checkbox => checkbox.checked).length;
+        confirmButton.textContent = `Add ${count} Trip${count === 1 ? '' : 's'}`;
+        confirmButton.disabled = count === 0;
+    };
+    checkboxes.forEach(checkbox => checkbox.addEventListener('change', refreshCount));
+    refreshCount();
+
+    const backToSettings = () => renderModalContent('settings');
+    modal.querySelector('#close-calendar-review')?.addEventListener('click', backToSettings);
+    modal.querySelector('#cancel-calendar-import')?.addEventListener('click', backToSettings);
+
+    confirmButton.addEventListener('click', async () => {
+        let added = 0;
+        for (const checkbox of checkboxes.filter(c => c.checked)) {
+            const index = parseInt(checkbox.dataset.index);
+            const title = modal.querySelector(`.calendar-proposal-title[data-index="${index}"]`).value.trim();
+            await tripDB.addTrip({ ...proposals[index].trip, title: title || proposals[index].trip.title });
+            added++;
+        }
+
+        showToast(`Added ${added} trip(s) from your calendar`);
+        closeModal('settings');
+        loadDashboard();
+        if (state.currentView === 'trips') loadTrips();
+    });
+}
+
+function getCalendarReviewHTML(proposals, duplicates, unplaced) {
+    const proposalsHtml = proposals.map(({ trip, events }, index) => `
+        <div class="setting-item calendar-proposal">
+            <input type="checkbox" class="calendar-proposal-check" data-index="${index}" ${duplicates[index] ? '' : 'checked'} aria-label="Add this trip">
+            <div class="setting-info">
+                <input type="text" class="calendar-proposal-title" data-index="${index}" value="${escapeHtml(trip.title)}" aria-label="Trip title">
+                <p>📍 ${escapeHtml(trip.city)}, ${escapeHtml(trip.country)} • ${formatDateRange(trip.startDate, trip.endDate)}</p>
+                <ul class="calendar-proposal-events">
+                    ${events.map(event => `<li>${CALENDAR_EVENT_KINDS[event.kind].icon} ${escapeHtml(event.summary || 'Event')}</li>`).join('')}
+                </ul>
+                ${duplicates[index] ? '<p class="expense-warning">Already in your logbook</p>' : ''}
+            </div>
+        </div>
+    `).join('');
+
+    return `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>Trips From Calendar</h2>
+                <button class="modal-close" id="close-calendar-review">✕</button>
+            </div>
+            <div class="settings-content">
+                <div class="stat-list import-counts">
+                    <span class="stat-list-item">🧭 ${proposals.length} trip(s) found</span>
+                    ${unplaced > 0 ? `<span class="stat-list-item">❔ ${unplaced} event(s) without a known city</span>` : ''}
+                </div>
+
+                <p class="import-summary">Events in the same city on following days are merged. Untick trips you don't want and adjust their names; nothing is saved until you confirm.</p>
+
+                ${proposalsHtml}
+
+                <div class="form-actions">
+                    <button type="button" class="btn-secondary" id="cancel-calendar-import">Cancel</button>
+                    <button type="button" class="btn-primary" id="confirm-calendar-import">Add Trips</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function describeImport(plan, mode, resolutions) {
+    if (mode === 'replace') {
+        const trips = plan.newTrips.length + plan.conflicts.length;
+        return `Deletes ${plan.existingTrips} existing trip(s), then adds ${trips} trip(s) and ${plan.photos} photo(s).`;
+    }
+
+    let added = plan.newTrips.length;
+    let replaced = 0;
+    let skipped = 0;
+    let photos = plan.newTrips.reduce((sum, entry) => sum + entry.photos, 0);
+
+    plan.conflicts.forEach(entry => {
+        const resolution = resolutions[entry.trip.id];
+        if (resolution === 'replace') replaced++;
+        else if (resolution === 'keep-both') added++;
+        else skipped++;
+        if (resolution === 'replace' || resolution === 'keep-both') photos += entry.photos;
+    });
+
+    return `Adds ${added} trip(s), replaces ${replaced}, skips ${skipped}, imports ${photos} photo(s). Nothing is written until you confirm.`;
+}
+
+function getImportReviewHTML(plan) {
+    const formatDate = (date) => date ? new Date(date).toLocaleDateString('en-US', {
+        month: 'short', day: 'numeric', year: 'numeric'
+    }) : '';
+
+    const conflictsHtml = plan.conflicts.map(({ trip, photos }) => `
+        <div class="setting-item import-conflict">
+            <div class="setting-info">
+                <h3>${escapeHtml(trip.title || 'Untitled Trip')}</h3>
+                <p>📍 ${escapeHtml(trip.city || '')} • ${formatDate(trip.startDate)} • ${photos} photo(s)</p>
+            </div>
+            <select class="import-resolution" data-id="${trip.id}">
+                <option value="skip">Skip</option>
+                <option value="replace">Replace</option>
+                <option value="keep-both">Keep both</option>
+            </select>
+        </div>
+    `).join('');
+
+    return `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>Review Import</h2>
+                <button class="modal-close" id="close-import-review">✕</button>
+            </div>
+            <div class="settings-content">
+                <div class="stat-list import-counts">
+                    <span class="stat-list-item">🆕 ${plan.newTrips.length} new</span>
+                    <span class="stat-list-item">⚠️ ${plan.conflicts.length} duplicate(s)</span>
+                    <span class="stat-list-item">📸 ${plan.photos} photo(s)</span>
+                </div>
+
+                <div class="setting-item">
+                    <div class="setting-info">
+                        <h3>Import Mode</h3>
+                        <p>Merge keeps your current trips</p>
+                    </div>
+                    <select id="import-mode">
+                        <option value="merge">Merge</option>
+                        <option value="replace">Replace all</option>
+                    </select>
+                </div>
+
+                ${plan.conflicts.length > 0 ? `
+                    <div id="import-conflicts">
+                        <h3 class="import-section-title">Already in your logbook</h3>
+                        ${conflictsHtml}
+                    </div>
+                ` : ''}
+
+                <p id="import-summary" class="import-summary"></p>
+
+                <div class="form-actions">
+                    <button type="button" class="btn-secondary" id="cancel-import">Cancel</button>
+                    <button type="button" class="btn-primary" id="confirm-import">Import</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function getArchivePasswordHTML(manifest) {
+    const created = new Date(manifest.createdAt).toLocaleDateString('en-US', {
+        month: 'short', day: 'numeric', year: 'numeric'
+    });
+
+    return `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>Encrypted Backup</h2>
+                <button class="modal-close" id="close-archive-password">✕</button>
+            </div>
+            <form class="settings-content" id="archive-password-form">
+                <p class="import-summary">Backup from ${created} with ${manifest.trips} trip(s). Enter the password it was saved with.</p>
+
+                <div class="form-group">
+                    <label for="archive-password">Password</label>
+                    <input type="password" id="archive-password" autocomplete="current-password" required>
+                </div>
+                <p id="archive-password-error" class="import-summary" role="alert"></p>
+
+                <div class="form-actions">
+                    <button type="button" class="btn-secondary" id="cancel-archive-password">Cancel</button>
+                    <button type="submit" class="btn-primary">Unlock</button>
+                </div>
+            </form>
+        </div>
+    `;
+}
+
+function getSnapshotsHTML(snapshots) {
+    const snapshotsHtml = snapshots.length > 0 ? snapshots.map(({ name, size, createdAt, manifest }) => {
+        return `
+            <div class="region-item">
+                <div class="region-info">
+                    <strong>${formatTimestamp(createdAt)}</strong>
+                    <span>
+                        ${manifest ? `${manifest.trips} trip(s) · ${manifest.photos} photo(s)` : 'Damaged'} · ${formatBytes(size)}
+                    </span>
+                </div>
+                <button type="button" class="btn-secondary snapshot-restore" data-name="${name}" ${manifest ? '' : 'disabled'}>Restore</button>
+                <button type="button" class="region-delete snapshot-delete" data-name="${name}" aria-label="Delete snapshot">✕</button>
+            </div>
+        `;
+    }).join('') : '<p class="region-empty">No snapshots yet. Turn on automatic backups or use Back up now.</p>';
+
+    return `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>Snapshots</h2>
+                <button class="modal-close" id="close-snapshots">✕</button>
+            </div>
+            <div class="settings-content">
+                <p class="import-summary">Restoring shows what a snapshot holds before anything is changed.</p>
+                <div class="region-list">${snapshotsHtml}</div>
+            </div>
+        </div>
+    `;
+}
+
 // Search
 function toggleSearch() {
     elements.searchBar.classList.toggle('hidden');
@@ -1087,6 +4420,7 @@ function toggleSearch() {
     } else {
         elements.searchInput.value = '';
         state.searchQuery = '';
+        renderSearchSuggestions([]);
         // Reset map markers if on map view
         if (state.currentView === 'map') {
             updateFullMapMarkers();
@@ -1105,13 +4439,36 @@ async function handleSearch() {
     if (state.currentView === 'trips') {
         loadTrips();
     } else if (state.currentView === 'dashboard') {
-        const trips = await tripDB.searchTrips(state.searchQuery);
-        renderRecentTrips(trips.slice(0, 5));
+        const { trips, terms, suggestions } = await tripDB.search(state.searchQuery);
+        renderRecentTrips(trips.slice(0, 5), terms);
+        renderSearchSuggestions(suggestions);
     } else if (state.currentView === 'map') {
         await handleMapSearch(state.searchQuery);
     }
 }
 
+/**
+ * Offer corrections for misspelled search words under the search box
+ * @param {Array<Object>} suggestions - { word, term } pairs from tripDB.search
+ */
+function renderSearchSuggestions(suggestions) {
+    const container = elements.searchSuggestions;
+    container.classList.toggle('hidden', suggestions.length === 0);
+    container.innerHTML = suggestions.length === 0 ? '' : `
+        <span>Did you mean</span>
+        ${suggestions.map(({ word, term }) => `
+            <button class="search-suggestion" data-word="${escapeHtml(word)}" data-term="${escapeHtml(term)}">${escapeHtml(term)}</button>
+        `).join('')}
+    `;
+
+    container.querySelectorAll('.search-suggestion').forEach(btn => {
+        btn.addEventListener('click', () => {
+            elements.searchInput.value = applySuggestion(elements.searchInput.value, btn.dataset.word, btn.dataset.term);
+            handleSearch();
+        });
+    });
+}
+
 // Map Search - filters markers and/or pans to searched location
 async function handleMapSearch(query) {
     if (!query || !state.fullMap) return;
@@ -1137,7 +4494,7 @@ async function handleMapSearch(query) {
     } else {
         // No matching trips - try to geocode the location
         showToast('Searching location...');
-        const coords = await geocodeLocation(query);
+        const coords = await geocoder.geocode(query);
 
         if (coords) {
             // Pan map to the searched location
@@ -1156,28 +4513,10 @@ async function handleMapSearch(query) {
 async function updateMapWithFilteredTrips(trips) {
     if (!state.fullMap) return;
 
-    // Clear existing markers
-    state.fullMap.eachLayer(layer => {
-        if (layer instanceof L.Marker) {
-            state.fullMap.removeLayer(layer);
-        }
-    });
-
-    // Add markers for filtered trips
-    trips.forEach(trip => {
-        if (trip.lat && trip.lng) {
-            const marker = L.marker([trip.lat, trip.lng], {
-                icon: createCustomIcon()
-            }).addTo(state.fullMap);
-
-            marker.bindPopup(`
-                <strong>${escapeHtml(trip.title)}</strong><br>
-                📍 ${escapeHtml(trip.city)}, ${escapeHtml(trip.country)}
-            `);
-
-            marker.on('click', () => openTripDetail(trip.id));
-        }
-    });
+    // Only the filtered trips' routes, markers and heatmap
+    renderFullMapRoutes(trips);
+    renderTripMarkers(trips);
+    await renderMapOverlays(trips);
 }
 
 // Add a temporary search marker (different style)
@@ -1220,7 +4559,39 @@ function escapeHtml(str) {
     if (!str) return '';
     const div = document.createElement('div');
     div.textContent = str;
-    return div.innerHTML;
+    // innerHTML leaves quotes alone; escape them too so values are safe in attributes
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function formatDateRange(startDate, endDate) {
+    const format = (date) => new Date(date).toLocaleDateString('en-US', {
+        month: 'short', day: 'numeric', year: 'numeric'
+    });
+    if (!startDate) return '';
+    return endDate && endDate !== startDate ? `${format(startDate)} - ${format(endDate)}` : format(startDate);
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatMoney(amount, currency) {
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+    } catch (error) {
+        // Unknown currency code
+        return `${amount.toFixed(2)} ${currency}`;
+    }
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
 }
 
 function debounce(func, wait) {
@@ -1235,34 +4606,6 @@ function debounce(func, wait) {
     };
 }
 
-function fileToBase64(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result);
-        reader.onerror = reject;
-        reader.readAsDataURL(file);
-    });
-}
-
-async function geocodeLocation(location) {
-    try {
-        const response = await fetch(
-            `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(location)}`
-        );
-        const data = await response.json();
-
-        if (data && data.length > 0) {
-            return {
-                lat: parseFloat(data[0].lat),
-                lng: parseFloat(data[0].lon)
-            };
-        }
-    } catch (error) {
-        console.warn('Geocoding failed:', error);
-    }
-    return null;
-}
-
 // Theme initialization
 (function initTheme() {
     const savedTheme = localStorage.getItem('theme');
@@ -0,0 +1,410 @@
+/**
+ * Trip Logbook - Backup Archives
+ *
+ * @description Writes and reads ZIP backups with photos and media as real files,
+ *              optionally encrypted with a password.
+ * @version 1.0.0
+ *
+ * Layout:
+ * - trips.json: the tripDB.exportRecords snapshot, each photo and media record
+ *   pointing at its file instead of holding the data
+ * - photos/<id>.<ext>, media/<id>.<ext>: the Blobs, byte for byte
+ * - manifest.json: format, schema version, record counts, encryption parameters and
+ *   the size and SHA-256 of every other entry as stored (written last)
+ *
+ * Entries are stored uncompressed (photos and media are compressed already) and
+ * written one at a time, so only one file is held in memory. Archives are plain
+ * ZIP files without ZIP64, which limits them to 4 GB and 65,535 files; going over
+ * either throws a RangeError.
+ *
+ * Encryption: a key is derived from the password with PBKDF2 (SHA-256) and every
+ * entry except the manifest is sealed with AES-GCM under its own random IV, stored
+ * in front of the ciphertext.
+ *
+ * Reading checks the CRC-32, size and SHA-256 of every entry against the manifest,
+ * and decrypts everything, before the snapshot is handed to the import. Entries are
+ * read one at a time and kept as Blobs only: slices of the archive itself when it
+ * is not encrypted.
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const ARCHIVE_FORMAT = 'trip-logbook-archive';
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_PBKDF2_ITERATIONS = 600000;
+const ARCHIVE_IV_BYTES = 12;
+const ZIP_MAX_SIZE = 0xFFFFFFFF;
+const ZIP_MAX_ENTRIES = 0xFFFF;
+
+// =============================================================================
+// CHECKSUMS
+// =============================================================================
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+async function sha256Hex(bytes) {
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// =============================================================================
+// ENCRYPTION
+// =============================================================================
+
+async function deriveArchiveKey(password, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encryptBytes(key, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(ARCHIVE_IV_BYTES));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+    const sealed = new Uint8Array(iv.length + ciphertext.length);
+    sealed.set(iv);
+    sealed.set(ciphertext, iv.length);
+    return sealed;
+}
+
+async function decryptBytes(key, sealed) {
+    try {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: sealed.subarray(0, ARCHIVE_IV_BYTES) },
+            key,
+            sealed.subarray(ARCHIVE_IV_BYTES)
+        );
+        return new Uint8Array(plaintext);
+    } catch (error) {
+        // AES-GCM cannot tell a wrong password from tampered data
+        throw new Error('Wrong password, or the backup was modified');
+    }
+}
+
+// =============================================================================
+// ZIP WRITER
+// =============================================================================
+
+// MS-DOS time and date fields
+function zipDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Stored (uncompressed) ZIP writer that hands finished bytes to a sink
+ * @param {Function} write - Receives each Uint8Array part in order; may return a promise
+ */
+class ZipWriter {
+    constructor(write) {
+        this.write = write;
+        this.offset = 0;
+        this.entries = [];
+        this.stamp = zipDateTime(new Date());
+    }
+
+    async addFile(path, bytes) {
+        const name = new TextEncoder().encode(path);
+        const crc = crc32(bytes);
+        if (this.offset + bytes.length > ZIP_MAX_SIZE) {
+            throw new RangeError('Backup is larger than 4 GB');
+        }
+        if (this.entries.length >= ZIP_MAX_ENTRIES) {
+            throw new RangeError('Backup has more than 65,535 files');
+        }
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);     // Local file header signature
+        header.setUint16(4, 20, true);              // Version needed: 2.0
+        header.setUint16(6, 0x0800, true);          // UTF-8 names
+        header.setUint16(8, 0, true);               // Stored
+        header.setUint16(10, this.stamp.time, true);
+        header.setUint16(12, this.stamp.date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, bytes.length, true);
+        header.setUint32(22, bytes.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+
+        this.entries.push({ name, crc, size: bytes.length, offset: this.offset });
+        await this.write(new Uint8Array(header.buffer));
+        await this.write(name);
+        await this.write(bytes);
+        this.offset += 30 + name.length + bytes.length;
+    }
+
+    async close() {
+        const start = this.offset;
+        for (const entry of this.entries) {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);     // Central directory signature
+            header.setUint16(4, 20, true);              // Version made by
+            header.setUint16(6, 20, true);              // Version needed
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, this.stamp.time, true);
+            header.setUint16(14, this.stamp.date, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, entry.name.length, true);
+            header.setUint32(42, entry.offset, true);   // Extra, comment, disk and attributes stay 0
+            await this.write(new Uint8Array(header.buffer));
+            await this.write(entry.name);
+            this.offset += 46 + entry.name.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);            // End of central directory signature
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, this.offset - start, true);
+        end.setUint32(16, start, true);
+        await this.write(new Uint8Array(end.buffer));
+    }
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+// File extension for a stored Blob, from its MIME type ("image/jpeg" -> "jpeg")
+function archiveExtension(type) {
+    return (type || '').split('/')[1]?.split(/[;+]/)[0] || 'bin';
+}
+
+/**
+ * Write a backup archive of the whole database
+ * @param {Object} [options]
+ * @param {string} [options.password] - Encrypts the archive when set
+ * @param {Function} [options.write] - Sink for the archive bytes (e.g. a file stream);
+ *        without one the archive is collected into a Blob
+ * @returns {Promise<Blob|null>} The archive, or null when it went to `write`
+ */
+async function createBackupArchive({ password = '', write = null } = {}) {
+    const parts = [];
+    const zip = new ZipWriter(write || (part => parts.push(part)));
+    const data = await tripDB.exportRecords();
+    const files = [];
+
+    let key = null;
+    let encryption = null;
+    if (password) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        key = await deriveArchiveKey(password, salt, ARCHIVE_PBKDF2_ITERATIONS);
+        encryption = {
+            algorithm: 'AES-GCM',
+            kdf: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: ARCHIVE_PBKDF2_ITERATIONS,
+            salt: bytesToBase64(salt)
+        };
+    }
+
+    const addEntry = async (path, bytes) => {
+        const stored = key ? await encryptBytes(key, bytes) : bytes;
+        files.push({ path, size: stored.length, sha256: await sha256Hex(stored) });
+        await zip.addFile(path, stored);
+    };
+
+    // Blobs are read one at a time and leave memory once written
+    const blobFiles = async (records, folder) => {
+        const refs = [];
+        for (const { blob, ...record } of records) {
+            const file = `${folder}/${record.id}.${archiveExtension(blob.type)}`;
+            await addEntry(file, new Uint8Array(await blob.arrayBuffer()));
+            refs.push({ ...record, file });
+        }
+        return refs;
+    };
+    data.photos = await blobFiles(data.photos, 'photos');
+    data.media = await blobFiles(data.media, 'media');
+
+    await addEntry('trips.json', new TextEncoder().encode(JSON.stringify(data)));
+
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        dbVersion: DB_VERSION,
+        createdAt: new Date().toISOString(),
+        trips: data.trips.length,
+        photos: data.photos.length,
+        media: data.media.length,
+        encryption,
+        files
+    };
+    await zip.addFile('manifest.json', new TextEncoder().encode(JSON.stringify(manifest, null, 2)));
+    await zip.close();
+
+    return write ? null : new Blob(parts, { type: 'application/zip' });
+}
+
+// =============================================================================
+// IMPORT
+// =============================================================================
+
+async function readBytes(blob, start, length) {
+    return new Uint8Array(await blob.slice(start, start + length).arrayBuffer());
+}
+
+// Central directory: path -> { headerOffset, size, crc }, from two reads at the end of the file
+async function readZipDirectory(file) {
+    // The end of central directory record sits at the end, before an optional comment
+    const tailLength = Math.min(file.size, 22 + 0xFFFF);
+    const tail = await readBytes(file, file.size - tailLength, tailLength);
+    const tailView = new DataView(tail.buffer);
+    let end = -1;
+    for (let i = tail.length - 22; i >= 0 && end === -1; i--) {
+        if (tailView.getUint32(i, true) === 0x06054b50) end = i;
+    }
+    if (end === -1) throw new Error('Not a ZIP archive');
+
+    const count = tailView.getUint16(end + 10, true);
+    const directorySize = tailView.getUint32(end + 12, true);
+    const directoryOffset = tailView.getUint32(end + 16, true);
+    const directory = await readBytes(file, directoryOffset, directorySize);
+    const view = new DataView(directory.buffer);
+    const decoder = new TextDecoder();
+
+    const entries = new Map();
+    let position = 0;
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(position, true) !== 0x02014b50) throw new Error('Damaged ZIP directory');
+
+        const method = view.getUint16(position + 10, true);
+        const crc = view.getUint32(position + 16, true);
+        const size = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const headerOffset = view.getUint32(position + 42, true);
+        const path = decoder.decode(directory.subarray(position + 46, position + 46 + nameLength));
+        if (method !== 0) throw new Error(`Unsupported compression for ${path}`);
+
+        entries.set(path, { headerOffset, size, crc });
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+// Data follows the local header, whose extra field may differ from the directory's
+async function zipEntryOffset(file, { headerOffset }) {
+    const local = new DataView((await readBytes(file, headerOffset, 30)).buffer);
+    return headerOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+}
+
+/**
+ * Read only the manifest of a backup archive, e.g. to list archives cheaply
+ * @param {Blob} file - The .zip file
+ * @param {Map} [directory] - From readZipDirectory, when already read
+ * @returns {Promise<Object>} The manifest
+ * @throws {Error} When the file is not a Trip Logbook archive
+ */
+async function readBackupManifest(file, directory = null) {
+    const entry = (directory || await readZipDirectory(file)).get('manifest.json');
+    const manifest = entry && JSON.parse(new TextDecoder().decode(
+        await readBytes(file, await zipEntryOffset(file, entry), entry.size)
+    ));
+    if (manifest?.format !== ARCHIVE_FORMAT) throw new Error('Not a Trip Logbook backup');
+    if (manifest.version > ARCHIVE_VERSION || manifest.dbVersion > DB_VERSION) {
+        throw new Error('Backup was made by a newer version of the app');
+    }
+    return manifest;
+}
+
+/**
+ * Open a backup archive and locate every entry
+ * @param {Blob} file - The .zip file
+ * @returns {Promise<Object>} { file, manifest, entries } with entries path -> { offset, size, crc }
+ * @throws {Error} When the file is not a Trip Logbook archive
+ */
+async function openBackupArchive(file) {
+    const directory = await readZipDirectory(file);
+    const manifest = await readBackupManifest(file, directory);
+
+    const entries = new Map();
+    for (const [path, entry] of directory) {
+        entries.set(path, { offset: await zipEntryOffset(file, entry), size: entry.size, crc: entry.crc });
+    }
+    return { file, manifest, entries };
+}
+
+/**
+ * Verify every entry of an opened archive and rebuild its snapshot
+ * Nothing is returned unless every checksum matches and everything decrypts.
+ * @param {Object} archive - From openBackupArchive
+ * @param {string} [password] - Required when manifest.encryption is set
+ * @returns {Promise<Object>} Snapshot for tripDB.planImport / importData, photos and media as Blobs
+ */
+async function readBackupArchive({ file, manifest, entries }, password = '') {
+    const { encryption } = manifest;
+    if (encryption && !password) throw new Error('This backup needs its password');
+    const key = encryption
+        ? await deriveArchiveKey(password, base64ToBytes(encryption.salt), encryption.iterations)
+        : null;
+
+    const expected = new Map(manifest.files.map(entry => [entry.path, entry]));
+    if (!expected.has('trips.json')) throw new Error('Backup has no trips.json');
+
+    let data = null;
+    const blobs = new Map();
+    for (const [path, { size, sha256 }] of expected) {
+        const entry = entries.get(path);
+        if (!entry) throw new Error(`Backup is missing ${path}`);
+
+        const stored = await readBytes(file, entry.offset, entry.size);
+        if (stored.length !== size || crc32(stored) !== entry.crc || (await sha256Hex(stored)) !== sha256) {
+            throw new Error(`Checksum mismatch for ${path}: the backup is damaged`);
+        }
+
+        // Decrypting also authenticates each entry
+        const bytes = key ? await decryptBytes(key, stored) : stored;
+        if (path === 'trips.json') {
+            data = JSON.parse(new TextDecoder().decode(bytes));
+        } else {
+            blobs.set(path, key ? new Blob([bytes]) : file.slice(entry.offset, entry.offset + entry.size));
+        }
+    }
+
+    // Wrapping a Blob in a Blob does not copy its data
+    const withBlob = ({ file: path, ...record }) => {
+        if (!blobs.has(path)) throw new Error(`Backup is missing ${path}`);
+        return { ...record, blob: new Blob([blobs.get(path)], { type: record.type }) };
+    };
+
+    data.photos = (data.photos || []).map(photo => ({ ...withBlob(photo), needsSizes: 1 }));
+    data.media = (data.media || []).map(withBlob);
+    return data;
+}
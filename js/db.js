@@ -6,15 +6,26 @@
  * @version 1.0.0
  * 
  * Database Structure:
- * - trips: Stores trip data (title, country, city, dates, notes, tags, coordinates)
- * - photos: Stores photo data as Base64 strings, linked to trips via tripId
+ * - trips: Stores trip data (title, country, city, dates, tags, coordinates),
+ *          an ordered list of itinerary stops and dated journal entries (Markdown)
+ * - photos: Stores photos as Blobs (full, medium, thumbnail), linked to trips via tripId
+ * - expenses: Stores trip costs (amount, currency, category, date), linked via tripId
+ * - media: Voice memos and audio/video files as Blobs, linked via tripId
+ * - settings: Key/value app settings (e.g. exchange rates, smart collections)
+ * - geocodeCache: Past geocoding lookups, keyed by normalized query
+ * - outbox: Network tasks waiting to be replayed by the service worker
+ * - tileRegions: Map areas downloaded for offline use (tiles live in Cache Storage)
+ * - searchIndex: Inverted index of trip text, word -> trips containing it
+ * - collections: Named groups of trips (ordered trip ids, description, cover photo)
+ * - checklists: Pre-trip checklist items (packing, documents, bookings), linked via tripId
+ * - checklistTemplates: Reusable checklists applied to trips ("Beach weekend", ...)
  * 
  * Features:
  * - Full CRUD operations for trips and photos
- * - Search functionality across trip fields
+ * - Indexed full-text search with relevance ranking and typo tolerance
  * - Statistics generation (countries, cities, places, photos count)
  * - Data export/import for backup and restore
- * - Automatic database versioning and upgrades
+ * - Versioned schema migrations (see MIGRATIONS)
  */
 
 // =============================================================================
@@ -22,12 +33,584 @@
 // =============================================================================
 
 const DB_NAME = 'TripLogbookDB';   // IndexedDB database name
-const DB_VERSION = 1;               // Database version (increment for schema changes)
+
+// =============================================================================
+// SCHEMA MIGRATIONS
+// =============================================================================
+
+/**
+ * Country spellings normalized by the v2 migration
+ * Keys are lower-cased, trimmed user input
+ */
+const COUNTRY_ALIASES = {
+    'usa': 'United States',
+    'us': 'United States',
+    'u.s.': 'United States',
+    'u.s.a.': 'United States',
+    'united states of america': 'United States',
+    'uk': 'United Kingdom',
+    'u.k.': 'United Kingdom',
+    'great britain': 'United Kingdom',
+    'england': 'United Kingdom',
+    'uae': 'United Arab Emirates',
+    'holland': 'Netherlands',
+    'the netherlands': 'Netherlands',
+    'czech republic': 'Czechia',
+    'korea': 'South Korea',
+    'españa': 'Spain',
+    'deutschland': 'Germany',
+    'méxico': 'Mexico'
+};
+
+/**
+ * Normalize a free-text country name
+ * @param {string} country - Country as typed by the user
+ * @returns {string} Canonical country name
+ */
+function normalizeCountryName(country) {
+    if (!country) return country;
+    const trimmed = country.trim().replace(/\s+/g, ' ');
+    const alias = COUNTRY_ALIASES[trimmed.toLowerCase()];
+    if (alias) return alias;
+
+    // Title-case names typed all lower or all upper case
+    if (trimmed === trimmed.toLowerCase() || trimmed === trimmed.toUpperCase()) {
+        return trimmed.toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (m, sep, ch) => sep + ch.toUpperCase());
+    }
+    return trimmed;
+}
+
+/**
+ * Fold text for matching: lower case, no diacritics, single spaces
+ * @param {string} text - Any user text
+ * @returns {string} e.g. "Zürich " -> "zurich"
+ */
+function foldText(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Checklist templates created with the checklistTemplates store
+ * Items are { category, text } with category packing, documents or bookings.
+ */
+const DEFAULT_CHECKLIST_TEMPLATES = [
+    {
+        name: 'Beach weekend',
+        items: [
+            { category: 'packing', text: 'Swimsuit' },
+            { category: 'packing', text: 'Sunscreen' },
+            { category: 'packing', text: 'Sunglasses' },
+            { category: 'packing', text: 'Beach towel' },
+            { category: 'packing', text: 'Sandals' },
+            { category: 'documents', text: 'ID card' },
+            { category: 'bookings', text: 'Accommodation' }
+        ]
+    },
+    {
+        name: 'Ski week',
+        items: [
+            { category: 'packing', text: 'Ski jacket and pants' },
+            { category: 'packing', text: 'Thermal layers' },
+            { category: 'packing', text: 'Gloves' },
+            { category: 'packing', text: 'Goggles' },
+            { category: 'packing', text: 'Helmet' },
+            { category: 'documents', text: 'Insurance card' },
+            { category: 'bookings', text: 'Ski pass' },
+            { category: 'bookings', text: 'Equipment rental' },
+            { category: 'bookings', text: 'Accommodation' }
+        ]
+    }
+];
+
+/**
+ * Ordered list of schema migrations
+ *
+ * Each step upgrades the database from `version - 1` to `version`:
+ * - upgrade(db, tx): structural changes (stores, indexes), run in onupgradeneeded
+ * - records: optional per-store record transforms, applied to every existing
+ *   record during the upgrade and to older backup files on import
+ * - backfill(tx): optional, run once every record transform has been applied,
+ *   for data derived from records (e.g. the search index)
+ *
+ * Record transforms are pure functions so they can be run against old
+ * snapshots without IndexedDB. Append new steps; never edit a shipped one.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create trips and photos stores',
+        upgrade(db) {
+            // Trips store
+            if (!db.objectStoreNames.contains('trips')) {
+                const tripStore = db.createObjectStore('trips', {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                tripStore.createIndex('country', 'country', { unique: false });
+                tripStore.createIndex('city', 'city', { unique: false });
+                tripStore.createIndex('startDate', 'startDate', { unique: false });
+                tripStore.createIndex('favorite', 'favorite', { unique: false });
+                tripStore.createIndex('createdAt', 'createdAt', { unique: false });
+            }
+
+            // Photos store (separate for better performance)
+            if (!db.objectStoreNames.contains('photos')) {
+                const photoStore = db.createObjectStore('photos', {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                photoStore.createIndex('tripId', 'tripId', { unique: false });
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Normalize country names, derive missing endDate',
+        upgrade(db, tx) {
+            const tripStore = tx.objectStore('trips');
+            if (!tripStore.indexNames.contains('endDate')) {
+                tripStore.createIndex('endDate', 'endDate', { unique: false });
+            }
+        },
+        records: {
+            trips(trip) {
+                return {
+                    ...trip,
+                    country: normalizeCountryName(trip.country),
+                    endDate: trip.endDate || trip.startDate || ''
+                };
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Add itinerary stops to trips',
+        upgrade() {},
+        records: {
+            trips(trip) {
+                return { ...trip, stops: Array.isArray(trip.stops) ? trip.stops : [] };
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Add expenses and settings stores',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('expenses')) {
+                const expenseStore = db.createObjectStore('expenses', {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                expenseStore.createIndex('tripId', 'tripId', { unique: false });
+                expenseStore.createIndex('date', 'date', { unique: false });
+            }
+
+            if (!db.objectStoreNames.contains('settings')) {
+                db.createObjectStore('settings', { keyPath: 'key' });
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Store photos as Blobs, drop inline cover photos',
+        upgrade(db, tx) {
+            const photoStore = tx.objectStore('photos');
+            if (!photoStore.indexNames.contains('needsSizes')) {
+                photoStore.createIndex('needsSizes', 'needsSizes', { unique: false });
+            }
+        },
+        records: {
+            trips(trip) {
+                // The cover is now the trip's first photo
+                const { coverPhoto, ...rest } = trip;
+                return rest;
+            },
+            photos: photoFromDataURL
+        }
+    },
+    {
+        version: 6,
+        description: 'Add geocode cache and offline geocoding queue',
+        upgrade(db, tx) {
+            if (!db.objectStoreNames.contains('geocodeCache')) {
+                db.createObjectStore('geocodeCache', { keyPath: 'query' });
+            }
+
+            const tripStore = tx.objectStore('trips');
+            if (!tripStore.indexNames.contains('needsGeocode')) {
+                tripStore.createIndex('needsGeocode', 'needsGeocode', { unique: false });
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'Add outbox for background sync',
+        upgrade(db, tx) {
+            if (!db.objectStoreNames.contains('outbox')) {
+                db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+            }
+
+            // Trips still waiting for coordinates become geocode tasks
+            const outbox = tx.objectStore('outbox');
+            const cursorRequest = tx.objectStore('trips').index('needsGeocode').openCursor(IDBKeyRange.only(1));
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                outbox.add(createOutboxTask('geocode', { tripId: cursor.value.id }));
+                cursor.continue();
+            };
+        }
+    },
+    {
+        version: 8,
+        description: 'Add offline map regions',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('tileRegions')) {
+                db.createObjectStore('tileRegions', { keyPath: 'id', autoIncrement: true });
+            }
+        }
+    },
+    {
+        version: 9,
+        description: 'Add full-text search index',
+        upgrade(db, tx) {
+            if (!db.objectStoreNames.contains('searchIndex')) {
+                db.createObjectStore('searchIndex', { keyPath: 'term' });
+            }
+        },
+        // Index existing trips once the older steps have converted them
+        backfill: rebuildSearchIndex
+    },
+    {
+        version: 10,
+        description: 'Add trip collections',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('collections')) {
+                db.createObjectStore('collections', { keyPath: 'id', autoIncrement: true });
+            }
+        }
+    },
+    {
+        version: 11,
+        description: 'Replace trip notes with a day-by-day journal',
+        upgrade() {},
+        records: {
+            trips(trip) {
+                // The old notes become the first entry, dated to the start of the trip
+                const { notes, ...rest } = trip;
+                const timestamp = trip.updatedAt || trip.createdAt || new Date().toISOString();
+                return {
+                    ...rest,
+                    journal: Array.isArray(trip.journal) ? trip.journal : notes ? [{
+                        id: 'entry-notes',
+                        date: trip.startDate || '',
+                        body: notes,
+                        createdAt: timestamp,
+                        updatedAt: timestamp
+                    }] : []
+                };
+            }
+        },
+        // Words from the old notes are now found through the journal
+        backfill: rebuildSearchIndex
+    },
+    {
+        version: 12,
+        description: 'Add voice memos and audio/video attachments',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('media')) {
+                const mediaStore = db.createObjectStore('media', {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                mediaStore.createIndex('tripId', 'tripId', { unique: false });
+            }
+        }
+    },
+    {
+        version: 13,
+        description: 'Add trip checklists and checklist templates',
+        upgrade(db, tx) {
+            if (!db.objectStoreNames.contains('checklists')) {
+                const checklistStore = db.createObjectStore('checklists', {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                checklistStore.createIndex('tripId', 'tripId', { unique: false });
+            }
+            if (!db.objectStoreNames.contains('checklistTemplates')) {
+                db.createObjectStore('checklistTemplates', { keyPath: 'id', autoIncrement: true });
+
+                const templates = tx.objectStore('checklistTemplates');
+                const createdAt = new Date().toISOString();
+                DEFAULT_CHECKLIST_TEMPLATES.forEach(template => templates.add({ ...template, createdAt }));
+            }
+        }
+    }
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;   // Derived from the last migration
+
+/**
+ * Stores whose records belong to a trip through a `tripId` index.
+ * They are exported with their trip, remapped on import and deleted with it.
+ */
+const TRIP_LINKED_STORES = ['photos', 'expenses', 'media', 'checklists'];
+
+// =============================================================================
+// PHOTO ENCODING
+// =============================================================================
+
+/**
+ * Decode a data URL into a Blob (synchronous, safe inside an upgrade transaction)
+ * @param {string} dataURL - e.g. "data:image/jpeg;base64,..."
+ * @returns {Blob}
+ */
+function dataURLToBlob(dataURL) {
+    const [header, payload] = dataURL.split(',');
+    const type = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+    const isBase64 = header.includes(';base64');
+    const binary = isBase64 ? atob(payload) : decodeURIComponent(payload);
+
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type });
+}
+
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Turn a legacy/exported photo record ({ data: dataURL }) into a Blob record.
+ * Medium and thumbnail sizes are generated later (needsSizes flag).
+ * @param {Object} photo - Photo record
+ * @returns {Object} Photo record with a `blob` field
+ */
+function photoFromDataURL(photo) {
+    if (!photo.data) return photo;
+
+    const { data, ...rest } = photo;
+    const blob = dataURLToBlob(data);
+    return {
+        ...rest,
+        type: rest.type || blob.type,
+        size: blob.size,
+        blob,
+        needsSizes: 1
+    };
+}
+
+/**
+ * Turn an exported media record ({ data: dataURL }) back into a Blob record
+ * @param {Object} media - Media record
+ * @returns {Object} Media record with a `blob` field
+ */
+function mediaFromDataURL(media) {
+    if (!media.data) return media;
+
+    const { data, ...rest } = media;
+    const blob = dataURLToBlob(data);
+    return { ...rest, type: rest.type || blob.type, size: blob.size, blob };
+}
+
+/**
+ * Point the photo references of a journal (![](photo:12)) at new photo ids
+ * @param {Array<Object>} journal - Journal entries
+ * @param {Map<number, number>} photoIdMap - Old photo id -> new photo id
+ * @returns {Array<Object>} The journal; only entries with a remapped reference are new objects
+ */
+function remapJournalPhotos(journal, photoIdMap) {
+    return journal.map(entry => {
+        const body = entry.body.replace(/\]\(photo:(\d+)\)/g, (reference, id) => (
+            photoIdMap.has(parseInt(id)) ? `](photo:${photoIdMap.get(parseInt(id))})` : reference
+        ));
+        return body === entry.body ? entry : { ...entry, body };
+    });
+}
+
+// =============================================================================
+// OUTBOX
+// =============================================================================
+
+/**
+ * New outbox record, due immediately
+ * @param {string} type - Handler name (see OUTBOX_HANDLERS in outbox.js)
+ * @param {Object} payload - Handler arguments, must be structured-cloneable
+ * @returns {Object} Task record
+ */
+function createOutboxTask(type, payload) {
+    return {
+        type,
+        payload,
+        status: 'pending',      // pending, failed
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null,
+        createdAt: new Date().toISOString()
+    };
+}
+
+// =============================================================================
+// SEARCH INDEX
+// =============================================================================
+
+/**
+ * Weight of a word by the trip field it appears in
+ * A word found in several fields adds up, so a title match outranks a notes match.
+ */
+const SEARCH_FIELD_WEIGHTS = {
+    title: 5,
+    location: 3,        // country, city and place of the trip and its stops
+    tags: 3,
+    notes: 1            // journal entries and stop notes
+};
+
+const SEARCH_MAX_TERMS_PER_WORD = 50;
+
+/**
+ * Split text into index terms
+ * @param {string} text
+ * @returns {Array<string>} Folded words, e.g. "Zürich, Old Town" -> ["zurich", "old", "town"]
+ */
+function searchTokens(text) {
+    return foldText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Index terms of a trip with their weights
+ * @param {Object} trip - Trip record
+ * @returns {Map<string, number>} Term -> weight
+ */
+function tripSearchTerms(trip) {
+    const terms = new Map();
+    const add = (text, weight) => {
+        new Set(searchTokens(text)).forEach(term => {
+            terms.set(term, (terms.get(term) || 0) + weight);
+        });
+    };
+
+    add(trip.title, SEARCH_FIELD_WEIGHTS.title);
+    TripDatabase.tripLocations(trip).forEach(location => {
+        add([location.country, location.city, location.place].join(' '), SEARCH_FIELD_WEIGHTS.location);
+        add(location.notes, SEARCH_FIELD_WEIGHTS.notes);
+    });
+    add((trip.tags || []).join(' '), SEARCH_FIELD_WEIGHTS.tags);
+    add((trip.journal || []).map(entry => markdownToText(entry.body)).join('\n'), SEARCH_FIELD_WEIGHTS.notes);
+    return terms;
+}
+
+/**
+ * Index every trip from scratch, in one pass, writing each term once
+ * Also a migration backfill, so the same function runs once per upgrade.
+ * @param {IDBTransaction} tx - Transaction over the trips and searchIndex stores
+ */
+function rebuildSearchIndex(tx) {
+    const index = tx.objectStore('searchIndex');
+    const postings = new Map();
+    index.clear();
+
+    const cursorRequest = tx.objectStore('trips').openCursor();
+    cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+            tripSearchTerms(cursor.value).forEach((weight, term) => {
+                if (!postings.has(term)) postings.set(term, {});
+                postings.get(term)[cursor.value.id] = weight;
+            });
+            cursor.continue();
+            return;
+        }
+        postings.forEach((trips, term) => index.put({ term, postings: trips }));
+    };
+}
+
+/**
+ * Edit distance allowing adjacent swaps ("parsi" -> "paris" is 1)
+ * Stops early and returns max + 1 once the distance is known to exceed max.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Largest distance of interest
+ * @returns {number}
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const next = [i];
+        let best = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+            if (previous && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                next[j] = Math.min(next[j], previous[j - 2] + 1);
+            }
+            best = Math.min(best, next[j]);
+        }
+        if (best > max) return max + 1;
+        previous = row;
+        row = next;
+    }
+    return row[b.length];
+}
+
+/**
+ * Typos tolerated in a word: none for short words, where they match too much
+ * @param {string} word
+ * @returns {number}
+ */
+function allowedTypos(word) {
+    if (word.length < 4) return 0;
+    return word.length < 8 ? 1 : 2;
+}
+
+// =============================================================================
+// CURRENCY
+// =============================================================================
+
+const DEFAULT_EXCHANGE_RATES = {
+    homeCurrency: 'USD',
+    rates: {}          // Currency code -> value of 1 unit in the home currency
+};
+
+/**
+ * Convert an amount to the home currency using a user-maintained rate table
+ * @param {number} amount - Amount in `currency`
+ * @param {string} currency - ISO 4217 code
+ * @param {Object} exchangeRates - { homeCurrency, rates }
+ * @returns {number|null} Converted amount, or null when no rate is known
+ */
+function convertCurrency(amount, currency, exchangeRates) {
+    const code = (currency || '').toUpperCase();
+    if (!code || code === exchangeRates.homeCurrency) return amount;
+
+    const rate = exchangeRates.rates[code];
+    return typeof rate === 'number' && rate > 0 ? amount * rate : null;
+}
 
 // =============================================================================
 // TRIP DATABASE CLASS
 // =============================================================================
 
+// Newest trips first
+function compareTripsByDate(a, b) {
+    return new Date(b.startDate) - new Date(a.startDate);
+}
+
 /**
  * TripDatabase - IndexedDB wrapper class
  * Provides async methods for all database operations
@@ -40,246 +623,1178 @@ class TripDatabase {
     constructor() {
         this.db = null;
         this.dbReady = this.initDB();  // Promise that resolves when DB is ready
+        this.tripListeners = new Set();
+        this.dataListeners = new Set();
+        this.versionListeners = new Set();
+    }
+
+    /**
+     * Be told when trips are added, changed or deleted in this context
+     * @param {Function} listener - Called with no arguments after each write
+     * @returns {Function} Removes the listener
+     */
+    onTripsChanged(listener) {
+        this.tripListeners.add(listener);
+        return () => this.tripListeners.delete(listener);
+    }
+
+    notifyTripsChanged() {
+        this.tripListeners.forEach(listener => listener());
+        this.notifyDataChanged('trips');
+    }
+
+    /**
+     * Be told about writes to trips and the records that belong to them
+     * @param {Function} listener - Called with the store name after each write
+     * @returns {Function} Removes the listener
+     */
+    onDataChanged(listener) {
+        this.dataListeners.add(listener);
+        return () => this.dataListeners.delete(listener);
+    }
+
+    notifyDataChanged(storeName) {
+        this.dataListeners.forEach(listener => listener(storeName));
+    }
+
+    /**
+     * Be told when another tab upgrades the schema and this connection closes
+     * @param {Function} listener - Called with no arguments; the page should reload
+     * @returns {Function} Removes the listener
+     */
+    onVersionChange(listener) {
+        this.versionListeners.add(listener);
+        return () => this.versionListeners.delete(listener);
+    }
+
+    initDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = () => {
+                console.error('Failed to open database');
+                reject(request.error);
+            };
+
+            request.onblocked = () => {
+                console.warn('Database upgrade blocked by another open tab');
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+
+                // Let a newer version in another tab upgrade the schema. This code
+                // only knows the old schema, so the page has to reload.
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    this.dbReady = Promise.reject(new Error('Database was upgraded by a newer version: reload'));
+                    this.dbReady.catch(() => {});
+                    this.versionListeners.forEach(listener => listener());
+                };
+
+                console.log('Database opened successfully');
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                TripDatabase.runMigrations(
+                    event.target.result,
+                    event.target.transaction,
+                    event.oldVersion,
+                    event.newVersion
+                );
+            };
+        });
+    }
+
+    /**
+     * Run every migration step between two schema versions
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {IDBTransaction} tx - The versionchange transaction
+     * @param {number} oldVersion - Version currently on disk (0 for a new database)
+     * @param {number} newVersion - Target version
+     */
+    static runMigrations(db, tx, oldVersion, newVersion) {
+        const steps = MIGRATIONS.filter(step => step.version > oldVersion && step.version <= newVersion);
+        steps.forEach(step => {
+            console.log(`Migrating database to v${step.version}: ${step.description}`);
+            step.upgrade(db, tx);
+        });
+
+        // A brand-new database has no records to backfill
+        if (oldVersion === 0) return;
+
+        // One cursor per store applies the pending transforms in version order.
+        // Cursors of separate steps would each write back their own stale copy.
+        const transforms = new Map();
+        steps.forEach(step => {
+            Object.entries(step.records || {}).forEach(([storeName, transform]) => {
+                if (!transforms.has(storeName)) transforms.set(storeName, []);
+                transforms.get(storeName).push(transform);
+            });
+        });
+
+        const backfills = new Set(steps.map(step => step.backfill).filter(Boolean));
+        const runBackfills = () => backfills.forEach(backfill => backfill(tx));
+        let pendingStores = transforms.size;
+        if (pendingStores === 0) {
+            runBackfills();
+            return;
+        }
+
+        transforms.forEach((storeTransforms, storeName) => {
+            const cursorRequest = tx.objectStore(storeName).openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) {
+                    // Backfills read records at the new version
+                    if (--pendingStores === 0) runBackfills();
+                    return;
+                }
+                cursor.update(storeTransforms.reduce((value, transform) => transform(value), cursor.value));
+                cursor.continue();
+            };
+        });
+    }
+
+    /**
+     * Bring an exported snapshot up to the current schema
+     * Applies the record transforms of every step newer than the snapshot.
+     * @param {Object} data - Exported data ({ version, trips, photos, ... })
+     * @returns {Object} A new snapshot at DB_VERSION
+     */
+    static migrateSnapshot(data) {
+        const fromVersion = data.version || 1;
+        const snapshot = { ...data };
+
+        MIGRATIONS
+            .filter(step => step.version > fromVersion && step.records)
+            .forEach(step => {
+                Object.entries(step.records).forEach(([storeName, transform]) => {
+                    if (Array.isArray(snapshot[storeName])) {
+                        snapshot[storeName] = snapshot[storeName].map(transform);
+                    }
+                });
+            });
+
+        snapshot.version = DB_VERSION;
+        return snapshot;
+    }
+
+    /**
+     * Ordered locations of a trip: its main location followed by its stops
+     * @param {Object} trip - Trip record
+     * @returns {Array<Object>} Locations with country, city, place, dates, notes and coordinates
+     */
+    static tripLocations(trip) {
+        const main = {
+            id: null,
+            country: trip.country,
+            city: trip.city,
+            place: trip.place,
+            startDate: trip.startDate,
+            endDate: trip.endDate,
+            lat: trip.lat,
+            lng: trip.lng
+        };
+        return [main, ...(trip.stops || [])];
+    }
+
+    async ensureDB() {
+        if (!this.db) {
+            await this.dbReady;
+        }
+        return this.db;
+    }
+
+    // Trip CRUD Operations
+    async addTrip(tripData) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['trips', 'searchIndex'], 'readwrite');
+            const store = transaction.objectStore('trips');
+
+            const trip = {
+                ...tripData,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            const request = store.add(trip);
+
+            request.onsuccess = () => {
+                TripDatabase.reindexTrip(transaction.objectStore('searchIndex'), request.result, null, trip);
+            };
+            transaction.oncomplete = () => {
+                this.notifyTripsChanged();
+                resolve(request.result);
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async updateTrip(id, tripData) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['trips', 'searchIndex'], 'readwrite');
+            const store = transaction.objectStore('trips');
+
+            const trip = {
+                ...tripData,
+                id: parseInt(id),
+                updatedAt: new Date().toISOString()
+            };
+
+            // Read the stored version first to know which terms to drop
+            const previous = store.get(trip.id);
+            let request;
+            previous.onsuccess = () => {
+                request = store.put(trip);
+                TripDatabase.reindexTrip(transaction.objectStore('searchIndex'), trip.id, previous.result, trip);
+            };
+            transaction.oncomplete = () => {
+                this.notifyTripsChanged();
+                resolve(request.result);
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async deleteTrip(id) {
+        const db = await this.ensureDB();
+
+        // First delete associated photos, expenses, ...
+        for (const storeName of TRIP_LINKED_STORES) {
+            await this.deleteRecordsByTripId(storeName, id);
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['trips', 'searchIndex', 'collections'], 'readwrite');
+            const store = transaction.objectStore('trips');
+            const previous = store.get(parseInt(id));
+
+            previous.onsuccess = () => {
+                if (!previous.result) return;
+                store.delete(parseInt(id));
+                TripDatabase.reindexTrip(transaction.objectStore('searchIndex'), parseInt(id), previous.result, null);
+            };
+
+            // Collections keep their other trips
+            const cursorRequest = transaction.objectStore('collections').openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                const collection = cursor.value;
+                if (collection.tripIds.includes(parseInt(id))) {
+                    cursor.update({ ...collection, tripIds: collection.tripIds.filter(tripId => tripId !== parseInt(id)) });
+                }
+                cursor.continue();
+            };
+            transaction.oncomplete = () => {
+                this.notifyTripsChanged();
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Update the search index for one trip inside a trip write transaction
+     * Only terms whose weight changed are touched.
+     * @param {IDBObjectStore} indexStore - searchIndex store of the transaction
+     * @param {number} tripId
+     * @param {Object|null} before - Stored trip, null when adding
+     * @param {Object|null} after - New trip, null when deleting
+     */
+    static reindexTrip(indexStore, tripId, before, after) {
+        const oldTerms = before ? tripSearchTerms(before) : new Map();
+        const newTerms = after ? tripSearchTerms(after) : new Map();
+
+        new Set([...oldTerms.keys(), ...newTerms.keys()]).forEach(term => {
+            if (oldTerms.get(term) === newTerms.get(term)) return;
+
+            const request = indexStore.get(term);
+            request.onsuccess = () => {
+                const postings = { ...request.result?.postings };
+                if (newTerms.has(term)) {
+                    postings[tripId] = newTerms.get(term);
+                } else {
+                    delete postings[tripId];
+                }
+
+                if (Object.keys(postings).length > 0) {
+                    indexStore.put({ term, postings });
+                } else {
+                    indexStore.delete(term);
+                }
+            };
+        });
+    }
+
+    async getTrip(id) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['trips'], 'readonly');
+            const store = transaction.objectStore('trips');
+            const request = store.get(parseInt(id));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getAllTrips() {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['trips'], 'readonly');
+            const store = transaction.objectStore('trips');
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result.sort(compareTripsByDate));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getRecentTrips(limit = 5) {
+        const trips = await this.getAllTrips();
+        return trips.slice(0, limit);
+    }
+
+    async getFavoriteTrips() {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['trips'], 'readonly');
+            const store = transaction.objectStore('trips');
+            const index = store.index('favorite');
+            const request = index.getAll(true);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Trips matching a search query (syntax in query.js), best matches first
+     * @param {string|Object} query - Search text or a tree from parseSearchQuery
+     * @returns {Promise<Array<Object>>}
+     */
+    async searchTrips(query) {
+        const { trips } = await this.search(query);
+        return trips;
+    }
+
+    /**
+     * Search trips through the search index
+     * Only trips the index says can match are read, unless the query has no
+     * required word (e.g. "fav:true"). Results are ranked by relevance when the
+     * query has words, and newest first otherwise.
+     * @param {string|Object|null} query - Search text or a tree from parseSearchQuery
+     * @returns {Promise<Object>} { trips, terms, suggestions } with the terms to highlight
+     *          (getHighlightTerms) and up to three { word, term } spelling corrections
+     */
+    async search(query) {
+        const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+        const lookups = await this.lookupWords([...new Set(queryWords(parsed))]);
+        const node = resolveQueryWords(parsed, lookups);
+
+        const candidates = queryCandidates(node);
+        const trips = candidates ? await this.getTripsById([...candidates]) : await this.getAllTrips();
+        const matches = trips.filter(trip => matchesQuery(node, trip));
+
+        // Rank by the words the user is looking for, not the ones excluded with NOT
+        const rankedWords = new Set(getHighlightTerms(parsed)
+            .filter(term => term.field === null)
+            .flatMap(term => searchTokens(term.value)));
+        const scores = new Map(matches.map(trip => [trip.id, [...rankedWords]
+            .reduce((sum, word) => sum + (lookups.get(word).scores.get(trip.id) || 0), 0)]));
+
+        // Array.sort is stable, so equal scores stay newest first
+        matches.sort((a, b) => scores.get(b.id) - scores.get(a.id));
+
+        const suggestions = [...lookups.entries()]
+            .filter(([, lookup]) => !lookup.exact && lookup.typos.length > 0)
+            .flatMap(([word, lookup]) => lookup.typos.map(term => ({ word, term })))
+            .slice(0, 3);
+
+        return { trips: matches, terms: getHighlightTerms(node), suggestions };
+    }
+
+    /**
+     * Look words up in the search index
+     * A word matches the same term (full weight), longer terms it starts (0.7) and,
+     * for words of four letters or more, terms a typo or two away (0.5). Each match
+     * is weighted by how rare the term is across trips.
+     * @param {Array<string>} words - Index terms (see searchTokens)
+     * @returns {Promise<Map<string, Object>>} Word -> { ids, strictIds, scores, terms, typos, exact }:
+     *          ids of all matching trips, ids matched without typos, trip id -> score,
+     *          matched terms, typo matches closest first, and whether the word itself is indexed
+     */
+    async lookupWords(words) {
+        if (words.length === 0) return new Map();
+
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['trips', 'searchIndex'], 'readonly');
+            const store = transaction.objectStore('searchIndex');
+            const lookups = new Map();
+            let tripCount = 0;
+
+            const countRequest = transaction.objectStore('trips').count();
+            countRequest.onsuccess = () => {
+                tripCount = countRequest.result;
+            };
+
+            const keysRequest = store.getAllKeys();
+            keysRequest.onsuccess = () => {
+                const keys = keysRequest.result;
+
+                words.forEach(word => {
+                    const maxTypos = allowedTypos(word);
+                    const found = [];
+                    keys.forEach(term => {
+                        if (term === word) {
+                            found.push({ term, quality: 1, distance: 0 });
+                        } else if (term.startsWith(word)) {
+                            found.push({ term, quality: 0.7, distance: 0 });
+                        } else if (maxTypos > 0) {
+                            const distance = editDistance(word, term, maxTypos);
+                            if (distance <= maxTypos) found.push({ term, quality: 0.5, distance });
+                        }
+                    });
+
+                    // Prefixes of short words can match much of the index: keep the best
+                    found.sort((a, b) => b.quality - a.quality || a.distance - b.distance || a.term.length - b.term.length);
+                    const kept = found.slice(0, SEARCH_MAX_TERMS_PER_WORD);
+
+                    const lookup = {
+                        ids: new Set(),
+                        strictIds: new Set(),
+                        scores: new Map(),
+                        terms: kept.map(match => match.term),
+                        typos: kept.filter(match => match.distance > 0).map(match => match.term),
+                        exact: kept.some(match => match.distance === 0)
+                    };
+                    lookups.set(word, lookup);
+
+                    kept.forEach(({ term, quality, distance }) => {
+                        const request = store.get(term);
+                        request.onsuccess = () => {
+                            const postings = Object.entries(request.result.postings);
+                            const rarity = Math.log(1 + tripCount / postings.length);
+
+                            postings.forEach(([id, weight]) => {
+                                const tripId = Number(id);
+                                const score = quality * weight * rarity;
+                                lookup.ids.add(tripId);
+                                if (distance === 0) lookup.strictIds.add(tripId);
+                                lookup.scores.set(tripId, Math.max(lookup.scores.get(tripId) || 0, score));
+                            });
+                        };
+                    });
+                });
+            };
+
+            transaction.oncomplete = () => resolve(lookups);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Read several trips in one transaction
+     * @param {Array<number>} ids
+     * @returns {Promise<Array<Object>>} Existing trips, newest first
+     */
+    async getTripsById(ids) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['trips'], 'readonly');
+            const store = transaction.objectStore('trips');
+            const trips = [];
+
+            ids.forEach(id => {
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    if (request.result) trips.push(request.result);
+                };
+            });
+
+            transaction.oncomplete = () => resolve(trips.sort(compareTripsByDate));
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Photo Operations
+    async addPhoto(photoData) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['photos'], 'readwrite');
+            const store = transaction.objectStore('photos');
+            const request = store.add(photoData);
+
+            request.onsuccess = () => {
+                this.notifyDataChanged('photos');
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getPhotosByTripId(tripId) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['photos'], 'readonly');
+            const store = transaction.objectStore('photos');
+            const index = store.index('tripId');
+            const request = index.getAll(parseInt(tripId));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deletePhoto(id) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['photos'], 'readwrite');
+            const store = transaction.objectStore('photos');
+            const request = store.delete(parseInt(id));
+
+            request.onsuccess = () => {
+                this.notifyDataChanged('photos');
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deletePhotosByTripId(tripId) {
+        const photos = await this.getPhotosByTripId(tripId);
+        for (const photo of photos) {
+            await this.deletePhoto(photo.id);
+        }
+    }
+
+    async updatePhoto(photo) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['photos'], 'readwrite');
+            const request = transaction.objectStore('photos').put(photo);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Photos converted from Base64 that still lack medium/thumbnail sizes
+     * @returns {Promise<Array<Object>>}
+     */
+    async getPhotosNeedingSizes() {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['photos'], 'readonly');
+            const index = transaction.objectStore('photos').index('needsSizes');
+            const request = index.getAll(1);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Cover photo (first photo) of each trip
+     * @returns {Promise<Map<number, Object>>} tripId -> photo record
+     */
+    async getCoverPhotos() {
+        const photos = await this.getAllPhotos();
+        const covers = new Map();
+        photos.forEach(photo => {
+            if (!covers.has(photo.tripId)) covers.set(photo.tripId, photo);
+        });
+        return covers;
+    }
+
+    /**
+     * Count the records of a store
+     * @param {string} storeName
+     * @param {number} [tripId] - Only records of this trip (trip-linked stores)
+     * @returns {Promise<number>}
+     */
+    async countRecords(storeName, tripId) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = tripId === undefined ? store.count() : store.index('tripId').count(parseInt(tripId));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getAllPhotos() {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['photos'], 'readonly');
+            const store = transaction.objectStore('photos');
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Trip-linked Records
+    async getRecordsByTripId(storeName, tripId) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readonly');
+            const index = transaction.objectStore(storeName).index('tripId');
+            const request = index.getAll(parseInt(tripId));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteRecordsByTripId(storeName, tripId) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readwrite');
+            const index = transaction.objectStore(storeName).index('tripId');
+            const request = index.openKeyCursor(IDBKeyRange.only(parseInt(tripId)));
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                transaction.objectStore(storeName).delete(cursor.primaryKey);
+                cursor.continue();
+            };
+            transaction.oncomplete = () => {
+                this.notifyDataChanged(storeName);
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async getAllRecords(storeName) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async addRecord(storeName, data) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readwrite');
+            const request = transaction.objectStore(storeName).add(data);
+
+            request.onsuccess = () => {
+                this.notifyDataChanged(storeName);
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async putRecord(storeName, data) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readwrite');
+            const request = transaction.objectStore(storeName).put(data);
+
+            request.onsuccess = () => {
+                this.notifyDataChanged(storeName);
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteRecord(storeName, id) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readwrite');
+            const request = transaction.objectStore(storeName).delete(parseInt(id));
+
+            request.onsuccess = () => {
+                this.notifyDataChanged(storeName);
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Collection Operations
+    async getCollections() {
+        const collections = await this.getAllRecords('collections');
+        return collections.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async getCollection(id) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['collections'], 'readonly');
+            const request = transaction.objectStore('collections').get(parseInt(id));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Create a collection
+     * @param {Object} collection - { name, description, tripIds, coverPhotoId }
+     * @returns {Promise<number>} New collection id
+     */
+    async addCollection({ name, description = '', tripIds = [], coverPhotoId = null }) {
+        return this.addRecord('collections', {
+            name: name.trim(),
+            description: description.trim(),
+            tripIds,                    // In the collection's own order
+            coverPhotoId,               // null: the first trip's cover
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    async updateCollection(collection) {
+        return this.putRecord('collections', { ...collection, updatedAt: new Date().toISOString() });
+    }
+
+    async deleteCollection(id) {
+        return this.deleteRecord('collections', id);
+    }
+
+    /**
+     * Put a trip in exactly the given collections
+     * The trip is appended to collections it joins and removed from the others.
+     * @param {number} tripId
+     * @param {Array<number>} collectionIds
+     */
+    async setTripCollections(tripId, collectionIds) {
+        const id = parseInt(tripId);
+        for (const collection of await this.getCollections()) {
+            const wanted = collectionIds.includes(collection.id);
+            const member = collection.tripIds.includes(id);
+            if (wanted === member) continue;
+
+            await this.updateCollection({
+                ...collection,
+                tripIds: wanted ? [...collection.tripIds, id] : collection.tripIds.filter(t => t !== id)
+            });
+        }
     }
 
-    initDB() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
+    // Expense Operations
+    async addExpense(expenseData) {
+        return this.addRecord('expenses', {
+            ...expenseData,
+            tripId: parseInt(expenseData.tripId),
+            amount: parseFloat(expenseData.amount),
+            currency: (expenseData.currency || '').toUpperCase(),
+            createdAt: new Date().toISOString()
+        });
+    }
 
-            request.onerror = () => {
-                console.error('Failed to open database');
-                reject(request.error);
-            };
+    async deleteExpense(id) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['expenses'], 'readwrite');
+            const request = transaction.objectStore('expenses').delete(parseInt(id));
 
             request.onsuccess = () => {
-                this.db = request.result;
-                console.log('Database opened successfully');
-                resolve(this.db);
+                this.notifyDataChanged('expenses');
+                resolve();
             };
+            request.onerror = () => reject(request.error);
+        });
+    }
 
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
+    async getExpensesByTripId(tripId) {
+        const expenses = await this.getRecordsByTripId('expenses', tripId);
+        return expenses.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+    }
 
-                // Trips store
-                if (!db.objectStoreNames.contains('trips')) {
-                    const tripStore = db.createObjectStore('trips', {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    tripStore.createIndex('country', 'country', { unique: false });
-                    tripStore.createIndex('city', 'city', { unique: false });
-                    tripStore.createIndex('startDate', 'startDate', { unique: false });
-                    tripStore.createIndex('favorite', 'favorite', { unique: false });
-                    tripStore.createIndex('createdAt', 'createdAt', { unique: false });
-                }
+    async getAllExpenses() {
+        return this.getAllRecords('expenses');
+    }
 
-                // Photos store (separate for better performance)
-                if (!db.objectStoreNames.contains('photos')) {
-                    const photoStore = db.createObjectStore('photos', {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    photoStore.createIndex('tripId', 'tripId', { unique: false });
-                }
-            };
+    // Media Operations
+    /**
+     * Store a voice memo or an audio/video file
+     * @param {Object} mediaData - { tripId, blob, name, duration, source } with source 'recording' or 'file'
+     * @returns {Promise<number>} New media id
+     */
+    async addMedia({ tripId, blob, name, duration = null, source = 'file' }) {
+        return this.addRecord('media', {
+            tripId: parseInt(tripId),
+            kind: blob.type.startsWith('video/') ? 'video' : 'audio',
+            type: blob.type,
+            size: blob.size,
+            name,
+            duration,               // Seconds, known for recordings
+            source,
+            blob,
+            createdAt: new Date().toISOString()
         });
     }
 
-    async ensureDB() {
-        if (!this.db) {
-            await this.dbReady;
-        }
-        return this.db;
+    async getMediaByTripId(tripId) {
+        const media = await this.getRecordsByTripId('media', tripId);
+        return media.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
     }
 
-    // Trip CRUD Operations
-    async addTrip(tripData) {
-        const db = await this.ensureDB();
-        return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['trips'], 'readwrite');
-            const store = transaction.objectStore('trips');
-
-            const trip = {
-                ...tripData,
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
+    async deleteMedia(id) {
+        return this.deleteRecord('media', id);
+    }
 
-            const request = store.add(trip);
+    // Checklist Operations
+    async getChecklistByTripId(tripId) {
+        const items = await this.getRecordsByTripId('checklists', tripId);
+        return items.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
+    /**
+     * Add an item to a trip's checklist
+     * @param {Object} item - { tripId, category, text } with category packing, documents or bookings
+     * @returns {Promise<number>} New item id
+     */
+    async addChecklistItem({ tripId, category, text }) {
+        return this.addRecord('checklists', {
+            tripId: parseInt(tripId),
+            category,
+            text: text.trim(),
+            done: false,
+            createdAt: new Date().toISOString()
         });
     }
 
-    async updateTrip(id, tripData) {
-        const db = await this.ensureDB();
-        return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['trips'], 'readwrite');
-            const store = transaction.objectStore('trips');
+    async updateChecklistItem(item) {
+        return this.putRecord('checklists', item);
+    }
 
-            const trip = {
-                ...tripData,
-                id: parseInt(id),
-                updatedAt: new Date().toISOString()
-            };
+    async deleteChecklistItem(id) {
+        return this.deleteRecord('checklists', id);
+    }
+
+    /**
+     * Checklist progress of every trip with a checklist
+     * @returns {Promise<Map<number, Object>>} tripId -> { done, total }
+     */
+    async getChecklistProgress() {
+        const progress = new Map();
+        (await this.getAllRecords('checklists')).forEach(item => {
+            const entry = progress.get(item.tripId) || { done: 0, total: 0 };
+            entry.total++;
+            if (item.done) entry.done++;
+            progress.set(item.tripId, entry);
+        });
+        return progress;
+    }
 
-            const request = store.put(trip);
+    async getChecklistTemplates() {
+        const templates = await this.getAllRecords('checklistTemplates');
+        return templates.sort((a, b) => a.name.localeCompare(b.name));
+    }
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
+    /**
+     * Save a reusable checklist
+     * @param {Object} template - { name, items } with items { category, text }
+     * @returns {Promise<number>} New template id
+     */
+    async addChecklistTemplate({ name, items }) {
+        return this.addRecord('checklistTemplates', {
+            name: name.trim(),
+            items: items.map(({ category, text }) => ({ category, text })),
+            createdAt: new Date().toISOString()
         });
     }
 
-    async deleteTrip(id) {
-        const db = await this.ensureDB();
+    async deleteChecklistTemplate(id) {
+        return this.deleteRecord('checklistTemplates', id);
+    }
 
-        // First delete associated photos
-        await this.deletePhotosByTripId(id);
+    /**
+     * Add a template's items to a trip, skipping items the trip already has
+     * @param {number} tripId
+     * @param {Object} template - Checklist template record
+     * @returns {Promise<number>} Number of items added
+     */
+    async applyChecklistTemplate(tripId, template) {
+        const key = (item) => `${item.category}|${foldText(item.text)}`;
+        const existing = new Set((await this.getChecklistByTripId(tripId)).map(key));
+
+        let added = 0;
+        for (const item of template.items) {
+            if (existing.has(key(item))) continue;
+            existing.add(key(item));
+            await this.addChecklistItem({ tripId, ...item });
+            added++;
+        }
+        return added;
+    }
 
+    // Settings
+    async getSetting(key, defaultValue = null) {
+        const db = await this.ensureDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['trips'], 'readwrite');
-            const store = transaction.objectStore('trips');
-            const request = store.delete(parseInt(id));
+            const transaction = db.transaction(['settings'], 'readonly');
+            const request = transaction.objectStore('settings').get(key);
 
-            request.onsuccess = () => resolve();
+            request.onsuccess = () => resolve(request.result ? request.result.value : defaultValue);
             request.onerror = () => reject(request.error);
         });
     }
 
-    async getTrip(id) {
+    async setSetting(key, value) {
         const db = await this.ensureDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['trips'], 'readonly');
-            const store = transaction.objectStore('trips');
-            const request = store.get(parseInt(id));
+            const transaction = db.transaction(['settings'], 'readwrite');
+            const request = transaction.objectStore('settings').put({ key, value });
 
-            request.onsuccess = () => resolve(request.result);
+            request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
         });
     }
 
-    async getAllTrips() {
-        const db = await this.ensureDB();
-        return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['trips'], 'readonly');
-            const store = transaction.objectStore('trips');
-            const request = store.getAll();
+    async getExchangeRates() {
+        const saved = await this.getSetting('exchangeRates');
+        return { ...DEFAULT_EXCHANGE_RATES, ...saved };
+    }
 
-            request.onsuccess = () => {
-                const trips = request.result.sort((a, b) =>
-                    new Date(b.startDate) - new Date(a.startDate)
-                );
-                resolve(trips);
-            };
-            request.onerror = () => reject(request.error);
+    async setExchangeRates(exchangeRates) {
+        return this.setSetting('exchangeRates', {
+            homeCurrency: exchangeRates.homeCurrency.toUpperCase(),
+            rates: exchangeRates.rates,
+            updatedAt: new Date().toISOString()
         });
     }
 
-    async getRecentTrips(limit = 5) {
+    /**
+     * Saved searches shown as tabs in the Trips view
+     * @returns {Promise<Array<Object>>} { id, name, query, filter, createdAt }, in tab order
+     */
+    async getSmartCollections() {
+        return this.getSetting('smartCollections', []);
+    }
+
+    /**
+     * Save a search as a smart collection
+     * @param {Object} collection - { name, query, filter } with filter one of all, recent, favorites
+     * @returns {Promise<Object>} The stored collection
+     */
+    async addSmartCollection({ name, query, filter = 'all' }) {
+        const collections = await this.getSmartCollections();
+        const collection = {
+            id: Math.max(0, ...collections.map(c => c.id)) + 1,
+            name: name.trim(),
+            query: query.trim(),
+            filter,
+            createdAt: new Date().toISOString()
+        };
+        await this.setSetting('smartCollections', [...collections, collection]);
+        return collection;
+    }
+
+    async deleteSmartCollection(id) {
+        const collections = await this.getSmartCollections();
+        return this.setSetting('smartCollections', collections.filter(c => c.id !== id));
+    }
+
+    /**
+     * Total a list of expenses in the home currency
+     * @param {Array<Object>} expenses - Expense records
+     * @param {Object} exchangeRates - { homeCurrency, rates }
+     * @returns {Object} { total, byCategory, missingRates }
+     */
+    static totalExpenses(expenses, exchangeRates) {
+        const byCategory = {};
+        const missingRates = new Set();
+        let total = 0;
+
+        expenses.forEach(expense => {
+            const converted = convertCurrency(expense.amount, expense.currency, exchangeRates);
+            if (converted === null) {
+                missingRates.add(expense.currency);
+                return;
+            }
+            total += converted;
+            byCategory[expense.category] = (byCategory[expense.category] || 0) + converted;
+        });
+
+        return { total, byCategory, missingRates: [...missingRates] };
+    }
+
+    async getSpendingStats() {
         const trips = await this.getAllTrips();
-        return trips.slice(0, limit);
+        const expenses = await this.getAllExpenses();
+        const exchangeRates = await this.getExchangeRates();
+        const tripsById = new Map(trips.map(trip => [trip.id, trip]));
+
+        const byCountry = {};
+        const byYear = {};
+        const missingRates = new Set();
+        let total = 0;
+
+        expenses.forEach(expense => {
+            const converted = convertCurrency(expense.amount, expense.currency, exchangeRates);
+            if (converted === null) {
+                missingRates.add(expense.currency);
+                return;
+            }
+
+            const trip = tripsById.get(expense.tripId);
+            const country = trip?.country || 'Unknown';
+            const year = (expense.date || trip?.startDate || '').slice(0, 4) || 'Unknown';
+
+            total += converted;
+            byCountry[country] = (byCountry[country] || 0) + converted;
+            byYear[year] = (byYear[year] || 0) + converted;
+        });
+
+        return {
+            homeCurrency: exchangeRates.homeCurrency,
+            total,
+            byCountry: Object.entries(byCountry)
+                .map(([name, amount]) => ({ name, amount }))
+                .sort((a, b) => b.amount - a.amount),
+            byYear: Object.entries(byYear)
+                .map(([year, amount]) => ({ year, amount }))
+                .sort((a, b) => b.year.localeCompare(a.year)),
+            missingRates: [...missingRates]
+        };
     }
 
-    async getFavoriteTrips() {
+    // Geocoding
+    async getCachedGeocode(query) {
         const db = await this.ensureDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['trips'], 'readonly');
-            const store = transaction.objectStore('trips');
-            const index = store.index('favorite');
-            const request = index.getAll(true);
+            const transaction = db.transaction(['geocodeCache'], 'readonly');
+            const request = transaction.objectStore('geocodeCache').get(query);
 
-            request.onsuccess = () => resolve(request.result);
+            request.onsuccess = () => resolve(request.result || null);
             request.onerror = () => reject(request.error);
         });
     }
 
-    async searchTrips(query) {
-        const trips = await this.getAllTrips();
-        const lowerQuery = query.toLowerCase();
+    async cacheGeocode(query, result) {
+        const db = await this.ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['geocodeCache'], 'readwrite');
+            const request = transaction.objectStore('geocodeCache').put({
+                ...result,
+                query,
+                cachedAt: new Date().toISOString()
+            });
 
-        return trips.filter(trip =>
-            trip.title?.toLowerCase().includes(lowerQuery) ||
-            trip.country?.toLowerCase().includes(lowerQuery) ||
-            trip.city?.toLowerCase().includes(lowerQuery) ||
-            trip.place?.toLowerCase().includes(lowerQuery) ||
-            trip.notes?.toLowerCase().includes(lowerQuery) ||
-            trip.tags?.some(tag => tag.toLowerCase().includes(lowerQuery))
-        );
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    // Photo Operations
-    async addPhoto(photoData) {
+    /**
+     * Trips saved while the network was unavailable, still waiting for coordinates
+     * @returns {Promise<Array<Object>>}
+     */
+    async getTripsNeedingGeocode() {
         const db = await this.ensureDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['photos'], 'readwrite');
-            const store = transaction.objectStore('photos');
-            const request = store.add(photoData);
+            const transaction = db.transaction(['trips'], 'readonly');
+            const index = transaction.objectStore('trips').index('needsGeocode');
+            const request = index.getAll(1);
 
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     }
 
-    async getPhotosByTripId(tripId) {
+    // Outbox
+    async addTask(type, payload = {}) {
+        return this.addRecord('outbox', createOutboxTask(type, payload));
+    }
+
+    async getOutboxTasks() {
+        return this.getAllRecords('outbox');
+    }
+
+    async updateTask(task) {
         const db = await this.ensureDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['photos'], 'readonly');
-            const store = transaction.objectStore('photos');
-            const index = store.index('tripId');
-            const request = index.getAll(parseInt(tripId));
+            const transaction = db.transaction(['outbox'], 'readwrite');
+            const request = transaction.objectStore('outbox').put(task);
 
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     }
 
-    async deletePhoto(id) {
+    async deleteTask(id) {
         const db = await this.ensureDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['photos'], 'readwrite');
-            const store = transaction.objectStore('photos');
-            const request = store.delete(parseInt(id));
+            const transaction = db.transaction(['outbox'], 'readwrite');
+            const request = transaction.objectStore('outbox').delete(parseInt(id));
 
             request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
         });
     }
 
-    async deletePhotosByTripId(tripId) {
-        const photos = await this.getPhotosByTripId(tripId);
-        for (const photo of photos) {
-            await this.deletePhoto(photo.id);
-        }
+    // Offline Map Regions
+    async addTileRegion(region) {
+        return this.addRecord('tileRegions', region);
     }
 
-    async getAllPhotos() {
-        const db = await this.ensureDB();
-        return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['photos'], 'readonly');
-            const store = transaction.objectStore('photos');
-            const request = store.getAll();
+    async updateTileRegion(region) {
+        return this.putRecord('tileRegions', region);
+    }
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+    async getTileRegions() {
+        const regions = await this.getAllRecords('tileRegions');
+        return regions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async deleteTileRegion(id) {
+        return this.deleteRecord('tileRegions', id);
     }
 
     // Statistics
-    async getStats() {
-        const trips = await this.getAllTrips();
-        const photos = await this.getAllPhotos();
+    /**
+     * Travel totals
+     * @param {Array<Object>} [selection] - Only these trips (e.g. a collection); all trips by default
+     * @returns {Promise<Object>} { countries, cities, places, photos, trips, days }
+     */
+    async getStats(selection) {
+        const trips = selection || await this.getAllTrips();
+        const photoCount = selection
+            ? (await Promise.all(trips.map(t => this.countRecords('photos', t.id)))).reduce((sum, n) => sum + n, 0)
+            : await this.countRecords('photos');
+
+        const locations = trips.flatMap(t => TripDatabase.tripLocations(t));
 
-        const countries = new Set(trips.map(t => t.country).filter(Boolean));
-        const cities = new Set(trips.map(t => t.city).filter(Boolean));
-        const places = trips.filter(t => t.place).length;
+        const countries = new Set(locations.map(l => l.country).filter(Boolean));
+        const cities = new Set(locations.map(l => l.city).filter(Boolean));
+        const places = locations.filter(l => l.place).length;
+
+        // Days away, counting the first and last day
+        const days = trips
+            .filter(t => t.startDate)
+            .reduce((sum, t) => sum + Math.round((new Date(t.endDate || t.startDate) - new Date(t.startDate)) / 86400000) + 1, 0);
 
         return {
             countries: countries.size,
             cities: cities.size,
             places: places,
-            photos: photos.length,
-            trips: trips.length
+            photos: photoCount,
+            trips: trips.length,
+            days
         };
     }
 
@@ -288,12 +1803,16 @@ class TripDatabase {
         const countryMap = {};
 
         trips.forEach(trip => {
-            if (trip.country) {
-                if (!countryMap[trip.country]) {
-                    countryMap[trip.country] = 0;
+            // A trip counts once per country, however many stops it has there
+            const tripCountries = new Set(TripDatabase.tripLocations(trip).map(l => l.country));
+            tripCountries.forEach(country => {
+                if (country) {
+                    if (!countryMap[country]) {
+                        countryMap[country] = 0;
+                    }
+                    countryMap[country]++;
                 }
-                countryMap[trip.country]++;
-            }
+            });
         });
 
         return Object.entries(countryMap)
@@ -322,55 +1841,254 @@ class TripDatabase {
     }
 
     // Export/Import
-    async exportData() {
-        const trips = await this.getAllTrips();
-        const photos = await this.getAllPhotos();
-
-        return {
+    /**
+     * Everything a backup holds, with photos and media still as Blobs
+     * Photos keep only the full-size image; the smaller sizes are regenerated on import.
+     * @returns {Promise<Object>} Snapshot in the exportData layout
+     */
+    async exportRecords() {
+        const data = {
             version: DB_VERSION,
             exportDate: new Date().toISOString(),
-            trips,
-            photos
+            trips: await this.getAllTrips(),
+            exchangeRates: await this.getExchangeRates(),
+            smartCollections: await this.getSmartCollections(),
+            collections: await this.getAllRecords('collections'),
+            checklistTemplates: await this.getChecklistTemplates()
         };
+
+        for (const storeName of TRIP_LINKED_STORES) {
+            data[storeName] = await this.getAllRecords(storeName);
+        }
+        data.photos = data.photos.map(({ medium, thumb, needsSizes, ...photo }) => photo);
+        return data;
+    }
+
+    async exportData() {
+        const data = await this.exportRecords();
+
+        // JSON cannot hold Blobs: export the full-size image as a data URL
+        data.photos = await Promise.all(data.photos.map(async ({ blob, ...photo }) => ({
+            ...photo,
+            data: await blobToDataURL(blob)
+        })));
+
+        // Voice memos and audio/video files are exported whole
+        data.media = await Promise.all(data.media.map(async ({ blob, ...media }) => ({
+            ...media,
+            data: await blobToDataURL(blob)
+        })));
+        return data;
+    }
+
+    /**
+     * Identity used to detect duplicate trips across backups
+     * @param {Object} trip - Trip record
+     * @returns {string} Key built from title, city and start date
+     */
+    static tripKey(trip) {
+        return [trip.title, trip.city, trip.startDate]
+            .map(value => (value || '').trim().toLowerCase())
+            .join('|');
     }
 
-    async importData(data) {
-        if (!data.trips) {
+    /**
+     * Dry run of an import: works out what would be written without touching the database
+     * @param {Object} data - Parsed backup file
+     * @returns {Promise<Object>} Plan with new trips, conflicts and photo counts
+     */
+    async planImport(data) {
+        if (!data || !Array.isArray(data.trips)) {
             throw new Error('Invalid data format');
         }
+        if (data.version > DB_VERSION) {
+            throw new Error('Backup was made by a newer version of the app');
+        }
 
-        const db = await this.ensureDB();
+        const snapshot = TripDatabase.migrateSnapshot(data);
+        const existingTrips = await this.getAllTrips();
+        const existingByKey = new Map(existingTrips.map(trip => [TripDatabase.tripKey(trip), trip]));
+
+        const photoCounts = {};
+        (snapshot.photos || []).forEach(photo => {
+            photoCounts[photo.tripId] = (photoCounts[photo.tripId] || 0) + 1;
+        });
+
+        const newTrips = [];
+        const conflicts = [];
+        snapshot.trips.forEach(trip => {
+            const existing = existingByKey.get(TripDatabase.tripKey(trip));
+            const entry = { trip, photos: photoCounts[trip.id] || 0 };
+            if (existing) {
+                conflicts.push({ ...entry, existing });
+            } else {
+                newTrips.push(entry);
+            }
+        });
+
+        return {
+            data: snapshot,
+            newTrips,
+            conflicts,
+            existingTrips: existingTrips.length,
+            photos: (snapshot.photos || []).length
+        };
+    }
+
+    /**
+     * Import a backup
+     * @param {Object} data - Parsed backup file
+     * @param {Object} [options]
+     * @param {string} [options.mode='merge'] - 'merge' keeps existing trips, 'replace' wipes them first
+     * @param {Object} [options.resolutions] - Per-conflict choice keyed by backup trip id:
+     *        'replace' overwrites the existing trip, 'keep-both' adds a copy, 'skip' (default) ignores it
+     * @returns {Promise<Object>} Counts of added, replaced and skipped trips and of imported
+     *          records per trip-linked store (photos, expenses, ...)
+     */
+    async importData(data, { mode = 'merge', resolutions = {} } = {}) {
+        const plan = await this.planImport(data);
+        const summary = { added: 0, replaced: 0, skipped: 0 };
+
+        // Decode and check every record before anything is written, so a bad
+        // backup fails while the database is still untouched
+        const records = {};
+        for (const storeName of TRIP_LINKED_STORES) {
+            records[storeName] = (plan.data[storeName] || []).map((record) => {
+                if (!record || typeof record !== 'object') {
+                    throw new Error(`Invalid ${storeName} record in backup`);
+                }
+                const { id, ...exported } = record;
+                const recordData = storeName === 'photos' ? photoFromDataURL(exported)
+                    : storeName === 'media' ? mediaFromDataURL(exported)
+                    : exported;
+                return { id, recordData };
+            });
+        }
+        const importedCollections = (plan.data.collections || []).map((collection) => {
+            if (!collection || typeof collection.name !== 'string') {
+                throw new Error('Invalid collection in backup');
+            }
+            const { id, ...rest } = collection;
+            return { ...rest, tripIds: Array.isArray(rest.tripIds) ? rest.tripIds : [] };
+        });
+
+        if (mode === 'replace') {
+            await this.clearAllData();
+        }
 
-        // Clear existing data
-        await this.clearAllData();
+        // Backup trip id -> id in this database, used to remap photos
+        const idMap = new Map();
 
-        // Import trips
-        for (const trip of data.trips) {
+        const toAdd = mode === 'replace'
+            ? [...plan.newTrips, ...plan.conflicts]
+            : plan.newTrips;
+
+        for (const { trip } of toAdd) {
             const { id, ...tripData } = trip;
-            await this.addTrip(tripData);
+            idMap.set(id, await this.addTrip(tripData));
+            summary.added++;
+        }
+
+        if (mode !== 'replace') {
+            for (const { trip, existing } of plan.conflicts) {
+                const { id, ...tripData } = trip;
+                const resolution = resolutions[id] || 'skip';
+
+                if (resolution === 'replace') {
+                    for (const storeName of TRIP_LINKED_STORES) {
+                        await this.deleteRecordsByTripId(storeName, existing.id);
+                    }
+                    await this.updateTrip(existing.id, { ...tripData, createdAt: existing.createdAt });
+                    idMap.set(id, existing.id);
+                    summary.replaced++;
+                } else if (resolution === 'keep-both') {
+                    idMap.set(id, await this.addTrip(tripData));
+                    summary.added++;
+                } else {
+                    summary.skipped++;
+                }
+            }
+        }
+
+        // Photos, expenses, ... follow their trip; records of skipped trips are dropped
+        const photoIdMap = new Map();
+        for (const storeName of TRIP_LINKED_STORES) {
+            summary[storeName] = 0;
+            for (const { id, recordData } of records[storeName]) {
+                if (!idMap.has(recordData.tripId)) continue;
+
+                const newId = await this.addRecord(storeName, { ...recordData, tripId: idMap.get(recordData.tripId) });
+                if (storeName === 'photos') photoIdMap.set(id, newId);
+                summary[storeName]++;
+            }
+        }
+
+        // Journal photos are referenced by id: point them at the imported copies
+        for (const tripId of new Set(idMap.values())) {
+            const trip = await this.getTrip(tripId);
+            const journal = remapJournalPhotos(trip.journal || [], photoIdMap);
+            if (journal.some((entry, i) => entry !== trip.journal[i])) {
+                await this.updateTrip(tripId, { ...trip, journal });
+            }
         }
 
-        // Import photos if available
-        if (data.photos) {
-            for (const photo of data.photos) {
-                const { id, ...photoData } = photo;
-                await this.addPhoto(photoData);
+        // Collections are merged by name; they keep only the trips that were imported
+        summary.collections = 0;
+        const collectionsByName = new Map((await this.getCollections()).map(c => [c.name, c]));
+        for (const collection of importedCollections) {
+            const tripIds = collection.tripIds.filter(tripId => idMap.has(tripId)).map(tripId => idMap.get(tripId));
+            const existing = collectionsByName.get(collection.name);
+
+            if (existing) {
+                const added = tripIds.filter(tripId => !existing.tripIds.includes(tripId));
+                if (added.length > 0) {
+                    await this.updateCollection({ ...existing, tripIds: [...existing.tripIds, ...added] });
+                }
+            } else {
+                await this.addCollection({
+                    ...collection,
+                    tripIds,
+                    coverPhotoId: photoIdMap.get(collection.coverPhotoId) ?? null
+                });
+                summary.collections++;
             }
         }
 
-        return true;
+        // Exchange rates only fill in when none are set yet
+        if (plan.data.exchangeRates && !(await this.getSetting('exchangeRates'))) {
+            await this.setExchangeRates(plan.data.exchangeRates);
+        }
+
+        // Smart collections are added unless one with the same name exists
+        const collections = await this.getSmartCollections();
+        for (const collection of plan.data.smartCollections || []) {
+            if (collections.some(c => c.name === collection.name)) continue;
+            await this.addSmartCollection(collection);
+        }
+
+        // Checklist templates likewise
+        const templates = await this.getChecklistTemplates();
+        for (const template of plan.data.checklistTemplates || []) {
+            if (templates.some(t => t.name === template.name)) continue;
+            await this.addChecklistTemplate(template);
+        }
+
+        return summary;
     }
 
     async clearAllData() {
         const db = await this.ensureDB();
 
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['trips', 'photos'], 'readwrite');
+            const storeNames = ['trips', 'searchIndex', 'collections', ...TRIP_LINKED_STORES];
+            const transaction = db.transaction(storeNames, 'readwrite');
 
-            transaction.objectStore('trips').clear();
-            transaction.objectStore('photos').clear();
+            storeNames.forEach(storeName => transaction.objectStore(storeName).clear());
 
-            transaction.oncomplete = () => resolve();
+            transaction.oncomplete = () => {
+                this.notifyTripsChanged();
+                resolve();
+            };
             transaction.onerror = () => reject(transaction.error);
         });
     }
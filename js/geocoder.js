@@ -0,0 +1,273 @@
+/**
+ * Trip Logbook - Geocoder
+ *
+ * @description Resolves place names to coordinates, offline first.
+ * @version 1.0.0
+ *
+ * Lookup order:
+ * 1. geocodeCache store in IndexedDB (every past network answer)
+ * 2. Bundled gazetteer of countries and major cities (data/gazetteer.json)
+ * 3. Network providers, in order, only while online
+ *
+ * A provider is any object with:
+ * - name: short identifier stored with cached results
+ * - search(query): Promise of { lat, lng, label } or null; throws when unreachable
+ *
+ * Trips saved while a lookup could not complete are flagged `needsGeocode`
+ * and finished later by a `geocode` outbox task (see outbox.js).
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const GAZETTEER_URL = 'data/gazetteer.json';
+const DEFAULT_GEOCODER_ENDPOINT = 'https://nominatim.openstreetmap.org';
+
+// =============================================================================
+// PROVIDERS
+// =============================================================================
+
+/**
+ * NominatimProvider - Nominatim-compatible search API
+ * Works with the public OSM instance or a self-hosted endpoint.
+ * Requests are spaced out to respect the public usage policy (1 request/second).
+ */
+class NominatimProvider {
+    constructor({ endpoint = DEFAULT_GEOCODER_ENDPOINT, minInterval = 1100 } = {}) {
+        this.name = 'nominatim';
+        this.endpoint = endpoint.replace(/\/+$/, '');
+        this.minInterval = minInterval;
+        this.queue = Promise.resolve();
+        this.lastRequest = 0;
+    }
+
+    async search(query) {
+        const response = await this.throttle(() => fetch(
+            `${this.endpoint}/search?format=json&limit=1&q=${encodeURIComponent(query)}`
+        ));
+        if (!response.ok) {
+            throw new Error(`Geocoding request failed with status ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!data || data.length === 0) return null;
+
+        return {
+            lat: parseFloat(data[0].lat),
+            lng: parseFloat(data[0].lon),
+            label: data[0].display_name
+        };
+    }
+
+    // Run requests one at a time, at least minInterval apart
+    throttle(request) {
+        const run = this.queue.then(async () => {
+            const wait = this.lastRequest + this.minInterval - Date.now();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+            this.lastRequest = Date.now();
+            return request();
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+}
+
+// =============================================================================
+// GAZETTEER
+// =============================================================================
+
+/**
+ * Gazetteer - bundled list of countries and major cities
+ * Loaded once on first use; the service worker precaches the file.
+ */
+class Gazetteer {
+    constructor(url = GAZETTEER_URL) {
+        this.url = url;
+        this.ready = null;
+        this.countries = new Map();   // folded name/alias -> country entry
+        this.cities = new Map();      // folded name/alias -> [city entries]
+    }
+
+    load() {
+        if (!this.ready) {
+            this.ready = fetch(this.url)
+                .then(response => response.json())
+                .then(data => this.index(data))
+                .catch(error => {
+                    console.warn('Could not load gazetteer:', error);
+                    this.ready = null;
+                });
+        }
+        return this.ready;
+    }
+
+    index(data) {
+        data.countries.forEach(([name, lat, lng, aliases = []]) => {
+            const entry = { name, lat, lng };
+            [name, ...aliases].forEach(key => this.countries.set(foldText(key), entry));
+        });
+
+        data.cities.forEach(([name, country, lat, lng, aliases = []]) => {
+            const entry = { name, country, lat, lng };
+            [name, ...aliases].forEach(key => {
+                const folded = foldText(key);
+                if (!this.cities.has(folded)) this.cities.set(folded, []);
+                this.cities.get(folded).push(entry);
+            });
+        });
+    }
+
+    /**
+     * Match a comma separated query such as "Place, City, Country"
+     * @param {string} query
+     * @returns {Promise<Object|null>} { lat, lng, label, approximate } or null
+     */
+    async lookup(query) {
+        await this.load();
+
+        const parts = query.split(',').map(foldText).filter(Boolean);
+        if (parts.length === 0) return null;
+
+        const country = this.countries.get(parts[parts.length - 1]);
+        const searchParts = country ? parts.slice(0, -1) : parts;
+
+        // Only a match on the first part is exact; "Eiffel Tower, Paris" is approximate
+        for (let i = 0; i < searchParts.length; i++) {
+            const candidates = this.cities.get(searchParts[i]) || [];
+            const city = country
+                ? candidates.find(c => c.country === country.name)
+                : candidates[0];
+            if (city) {
+                return {
+                    lat: city.lat,
+                    lng: city.lng,
+                    label: `${city.name}, ${city.country}`,
+                    approximate: i > 0
+                };
+            }
+        }
+
+        if (country) {
+            return {
+                lat: country.lat,
+                lng: country.lng,
+                label: country.name,
+                approximate: searchParts.length > 0
+            };
+        }
+        return null;
+    }
+}
+
+// =============================================================================
+// GEOCODER
+// =============================================================================
+
+class Geocoder {
+    constructor() {
+        this.gazetteer = new Gazetteer();
+        this.providers = [new NominatimProvider()];
+    }
+
+    /**
+     * Replace the network providers (e.g. with a self-hosted endpoint)
+     * @param {Array<Object>} providers - Objects with name and search(query)
+     */
+    setProviders(providers) {
+        this.providers = providers;
+    }
+
+    // Apply the endpoint saved in Settings
+    async configure() {
+        const endpoint = await tripDB.getSetting('geocoderEndpoint');
+        this.setProviders([new NominatimProvider({ endpoint: endpoint || DEFAULT_GEOCODER_ENDPOINT })]);
+    }
+
+    /**
+     * Resolve a place name
+     * @param {string} query - e.g. "Kyoto, Japan"
+     * @returns {Promise<Object>} { result, complete }: result is { lat, lng, label, source,
+     *          approximate } or null; complete is false when the network could not be asked
+     *          and the lookup should be retried later
+     */
+    async lookup(query) {
+        const key = foldText(query);
+        if (!key) return { result: null, complete: true };
+
+        const cached = await tripDB.getCachedGeocode(key);
+        if (cached) return { result: cached, complete: true };
+
+        const local = await this.gazetteer.lookup(query);
+        if (local && !local.approximate) {
+            const result = { ...local, source: 'gazetteer' };
+            return { result, complete: true };
+        }
+
+        const approximate = local ? { ...local, source: 'gazetteer' } : null;
+        if (!navigator.onLine) {
+            return { result: approximate, complete: false };
+        }
+
+        // A failing provider falls through to the next one
+        let failed = 0;
+        for (const provider of this.providers) {
+            try {
+                const found = await provider.search(query);
+                if (found) {
+                    const result = { ...found, source: provider.name, approximate: false };
+                    await tripDB.cacheGeocode(key, result);
+                    return { result, complete: true };
+                }
+            } catch (error) {
+                console.warn(`Geocoding with ${provider.name} failed:`, error);
+                failed++;
+            }
+        }
+
+        // None knew the place: retry later only if none could be asked at all
+        return { result: approximate, complete: this.providers.length === 0 || failed < this.providers.length };
+    }
+
+    async geocode(query) {
+        const { result } = await this.lookup(query);
+        return result;
+    }
+}
+
+// Create global instance
+const geocoder = new Geocoder();
+
+/**
+ * Finish geocoding a trip that was saved while offline
+ * @param {Object} trip - Trip record flagged `needsGeocode`
+ * @returns {Promise<boolean>} True when every location was looked up and the trip saved
+ */
+async function geocodeTrip(trip) {
+    let complete = true;
+
+    for (const location of [trip, ...(trip.stops || [])]) {
+        // Photo GPS beats geocoding; only stops that were left unresolved are retried
+        const settled = location === trip
+            ? trip.locationSource === 'photos'
+            : !location.needsGeocode && location.lat && location.lng;
+        if (settled) continue;
+
+        const lookup = await geocoder.lookup([location.city, location.country].filter(Boolean).join(', '));
+        if (lookup.result) {
+            location.lat = lookup.result.lat;
+            location.lng = lookup.result.lng;
+        }
+        if (location !== trip && lookup.complete) delete location.needsGeocode;
+        complete = complete && lookup.complete;
+    }
+
+    // Still unreachable: leave the trip flagged for the next attempt
+    if (!complete) return false;
+
+    const { needsGeocode, ...resolved } = trip;
+    await tripDB.updateTrip(trip.id, resolved);
+    return true;
+}
@@ -0,0 +1,337 @@
+/**
+ * Trip Logbook - Map Formats
+ *
+ * @description Converts trips to and from GPX, KML and GeoJSON for other map tools
+ *              (Google Earth, QGIS, OsmAnd).
+ * @version 1.0.0
+ *
+ * Each trip is one point: its own coordinates, or its first located stop when the
+ * trip itself has none. Trips without coordinates are left out.
+ *
+ * - GPX: one waypoint per trip (name, start time, notes as description,
+ *   "place, city, country" as comment)
+ * - KML: one placemark per trip with a time span, the cover thumbnail and notes in
+ *   the description, and every trip field in ExtendedData
+ * - GeoJSON: a FeatureCollection of Point features with the trip fields as properties
+ *
+ * Imports read the same formats back (waypoints, Point placemarks, Point features) into
+ * a backup snapshot, so they go through the regular import review.
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const GEO_FORMATS = {
+    gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' },
+    kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' }
+};
+
+// Trip fields written to KML ExtendedData and GeoJSON properties
+const GEO_TRIP_FIELDS = ['title', 'country', 'city', 'place', 'startDate', 'endDate', 'tags', 'favorite', 'notes'];
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Flat, exportable view of a trip
+ * @param {Object} trip
+ * @returns {Object|null} Trip fields plus lat/lng, or null when nothing is located
+ */
+function geoTripFeature(trip) {
+    const location = TripDatabase.tripLocations(trip)
+        .find(l => typeof l.lat === 'number' && typeof l.lng === 'number');
+    if (!location) return null;
+
+    return {
+        title: trip.title || 'Untitled Trip',
+        country: trip.country || '',
+        city: trip.city || '',
+        place: trip.place || '',
+        startDate: trip.startDate || '',
+        endDate: trip.endDate || '',
+        tags: trip.tags || [],
+        favorite: Boolean(trip.favorite),
+        notes: (trip.journal || []).map(entry => markdownToText(entry.body).trim()).filter(Boolean).join('\n\n'),
+        lat: location.lat,
+        lng: location.lng,
+        tripId: trip.id
+    };
+}
+
+function geoAddress(feature) {
+    return [feature.place, feature.city, feature.country].filter(Boolean).join(', ');
+}
+
+/**
+ * GPX 1.1 document with a waypoint per trip
+ * @param {Array<Object>} trips
+ * @returns {string}
+ */
+function tripsToGPX(trips) {
+    const waypoints = trips.map(geoTripFeature).filter(Boolean).map(feature => [
+        `  <wpt lat="${feature.lat}" lon="${feature.lng}">`,
+        feature.startDate && `    <time>${escapeXml(feature.startDate)}T00:00:00Z</time>`,
+        `    <name>${escapeXml(feature.title)}</name>`,
+        `    <cmt>${escapeXml(geoAddress(feature))}</cmt>`,
+        feature.notes && `    <desc>${escapeXml(feature.notes)}</desc>`,
+        feature.tags.length > 0 && `    <type>${escapeXml(feature.tags.join(', '))}</type>`,
+        '  </wpt>'
+    ].filter(Boolean).join('\n'));
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Trip Logbook" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>Trip Logbook</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${waypoints.join('\n')}
+</gpx>
+`;
+}
+
+/**
+ * KML 2.2 document with a placemark per trip
+ * @param {Array<Object>} trips
+ * @param {Map<number, string>} [thumbnails] - Trip id -> cover thumbnail as a data URL
+ * @returns {string}
+ */
+function tripsToKML(trips, thumbnails = new Map()) {
+    const placemarks = trips.map(geoTripFeature).filter(Boolean).map(feature => {
+        const thumbnail = thumbnails.get(feature.tripId);
+        const description = [
+            thumbnail ? `<img src="${thumbnail}" width="200"><br>` : '',
+            escapeXml(feature.notes).replace(/\n/g, '<br>')
+        ].join('');
+        const extendedData = GEO_TRIP_FIELDS.map(field => {
+            const value = Array.isArray(feature[field]) ? feature[field].join(', ') : feature[field];
+            return `<Data name="${field}"><value>${escapeXml(value)}</value></Data>`;
+        }).join('');
+
+        const timeSpan = feature.startDate && [
+            `<begin>${escapeXml(feature.startDate)}</begin>`,
+            feature.endDate && `<end>${escapeXml(feature.endDate)}</end>`
+        ].filter(Boolean).join('');
+
+        return [
+            '    <Placemark>',
+            `      <name>${escapeXml(feature.title)}</name>`,
+            `      <address>${escapeXml(geoAddress(feature))}</address>`,
+            timeSpan && `      <TimeSpan>${timeSpan}</TimeSpan>`,
+            `      <description><![CDATA[${description.replace(/]]>/g, ']]]]><![CDATA[>')}]]></description>`,
+            `      <ExtendedData>${extendedData}</ExtendedData>`,
+            `      <Point><coordinates>${feature.lng},${feature.lat}</coordinates></Point>`,
+            '    </Placemark>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Trip Logbook</name>
+${placemarks.join('\n')}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * GeoJSON FeatureCollection with a Point per trip
+ * @param {Array<Object>} trips
+ * @returns {Object}
+ */
+function tripsToGeoJSON(trips) {
+    return {
+        type: 'FeatureCollection',
+        features: trips.map(geoTripFeature).filter(Boolean).map(({ lat, lng, tripId, ...properties }) => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [lng, lat] },
+            properties: { name: properties.title, ...properties }
+        }))
+    };
+}
+
+/**
+ * Serialize trips in one of GEO_FORMATS
+ * @param {string} format - gpx, kml or geojson
+ * @param {Array<Object>} trips
+ * @param {Map<number, string>} [thumbnails] - KML only, see tripsToKML
+ * @returns {Blob}
+ */
+function exportGeoFile(format, trips, thumbnails) {
+    const text = format === 'gpx' ? tripsToGPX(trips)
+        : format === 'kml' ? tripsToKML(trips, thumbnails)
+        : JSON.stringify(tripsToGeoJSON(trips), null, 2);
+    return new Blob([text], { type: GEO_FORMATS[format].mimeType });
+}
+
+// =============================================================================
+// IMPORT
+// =============================================================================
+
+/**
+ * Format of an imported file, from its name or else its content
+ * @param {string} name - File name
+ * @param {string} text - File content
+ * @returns {string|null} gpx, kml, geojson or null for anything else (JSON backups)
+ */
+function detectGeoFormat(name, text) {
+    const extension = name.split('.').pop().toLowerCase();
+    if (extension in GEO_FORMATS) return extension;
+    if (/<gpx[\s>]/.test(text)) return 'gpx';
+    if (/<kml[\s>]/.test(text)) return 'kml';
+    if (/"type"\s*:\s*"FeatureCollection"/.test(text)) return 'geojson';
+    return null;
+}
+
+/**
+ * Trip record from an imported point
+ * @param {Object} fields - Any of GEO_TRIP_FIELDS (tags as an array or comma list), plus lat/lng
+ * @returns {Object}
+ */
+function geoFeatureToTrip(fields) {
+    const tags = Array.isArray(fields.tags) ? fields.tags : String(fields.tags || '').split(',');
+    const timestamp = new Date().toISOString();
+    const notes = String(fields.notes || '').trim();
+
+    return {
+        title: String(fields.title || 'Untitled Trip').trim(),
+        country: normalizeCountryName(String(fields.country || '')),
+        city: String(fields.city || '').trim(),
+        place: String(fields.place || '').trim(),
+        startDate: String(fields.startDate || '').slice(0, 10),
+        endDate: String(fields.endDate || '').slice(0, 10),
+        tags: tags.map(tag => String(tag).trim()).filter(Boolean),
+        favorite: fields.favorite === true || fields.favorite === 'true',
+        journal: notes ? [{
+            id: 'entry-notes',
+            date: String(fields.startDate || '').slice(0, 10),
+            body: notes,
+            createdAt: timestamp,
+            updatedAt: timestamp
+        }] : [],
+        stops: [],
+        lat: fields.lat,
+        lng: fields.lng
+    };
+}
+
+// "place, city, country" back into its parts; shorter lists drop from the front
+function parseGeoAddress(address) {
+    const parts = (address || '').split(',').map(part => part.trim()).filter(Boolean);
+    return {
+        country: parts.pop() || '',
+        city: parts.pop() || '',
+        place: parts.join(', ')
+    };
+}
+
+function parseXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.querySelector('parsererror')) throw new Error('File is not valid XML');
+    return doc;
+}
+
+// Text of the first direct child with a tag name, ignoring namespaces
+function childText(element, name) {
+    const child = [...element.children].find(c => c.localName === name);
+    return child ? child.textContent.trim() : '';
+}
+
+function parseGPX(text) {
+    return [...parseXml(text).getElementsByTagNameNS('*', 'wpt')].flatMap(wpt => {
+        const lat = parseFloat(wpt.getAttribute('lat'));
+        const lng = parseFloat(wpt.getAttribute('lon'));
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) return [];
+
+        return [geoFeatureToTrip({
+            ...parseGeoAddress(childText(wpt, 'cmt')),
+            title: childText(wpt, 'name'),
+            startDate: childText(wpt, 'time'),
+            notes: childText(wpt, 'desc'),
+            tags: childText(wpt, 'type'),
+            lat,
+            lng
+        })];
+    });
+}
+
+function parseKML(text) {
+    return [...parseXml(text).getElementsByTagNameNS('*', 'Placemark')].flatMap(placemark => {
+        const point = [...placemark.getElementsByTagNameNS('*', 'Point')][0];
+        const [lng, lat] = point ? childText(point, 'coordinates').split(',').map(parseFloat) : [];
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) return [];
+
+        const data = {};
+        [...placemark.getElementsByTagNameNS('*', 'Data')].forEach(element => {
+            data[element.getAttribute('name')] = childText(element, 'value');
+        });
+        const timeSpan = [...placemark.getElementsByTagNameNS('*', 'TimeSpan')][0];
+        const timeStamp = [...placemark.getElementsByTagNameNS('*', 'TimeStamp')][0];
+
+        // Descriptions from other tools are HTML; keep their text only
+        const description = new DOMParser()
+            .parseFromString(childText(placemark, 'description').replace(/<br\s*\/?>/gi, '\n'), 'text/html')
+            .body.textContent;
+
+        return [geoFeatureToTrip({
+            ...parseGeoAddress(childText(placemark, 'address')),
+            title: childText(placemark, 'name'),
+            startDate: (timeSpan && childText(timeSpan, 'begin')) || (timeStamp && childText(timeStamp, 'when')),
+            endDate: timeSpan && childText(timeSpan, 'end'),
+            notes: description,
+            ...data,
+            lat,
+            lng
+        })];
+    });
+}
+
+function parseGeoJSON(text) {
+    const geojson = JSON.parse(text);
+    const features = geojson?.type === 'FeatureCollection' ? (Array.isArray(geojson.features) ? geojson.features : [])
+        : geojson?.type === 'Feature' ? [geojson]
+        : [];
+
+    return features.flatMap(feature => {
+        if (feature?.geometry?.type !== 'Point') return [];
+        // A position is [lng, lat], optionally followed by an altitude
+        const { coordinates } = feature.geometry;
+        if (!Array.isArray(coordinates) || coordinates.length < 2 || !coordinates.slice(0, 2).every(Number.isFinite)) return [];
+        const [lng, lat] = coordinates;
+        const properties = feature.properties || {};
+        return [geoFeatureToTrip({ ...properties, title: properties.title || properties.name, lat, lng })];
+    });
+}
+
+/**
+ * Read a GPX, KML or GeoJSON file into a backup snapshot for tripDB.planImport
+ * @param {string} format - From detectGeoFormat
+ * @param {string} text - File content
+ * @returns {Object} { version, trips } with temporary trip ids
+ * @throws {Error} When the file cannot be parsed or holds no points
+ */
+function parseGeoFile(format, text) {
+    const trips = format === 'gpx' ? parseGPX(text)
+        : format === 'kml' ? parseKML(text)
+        : parseGeoJSON(text);
+
+    if (trips.length === 0) {
+        throw new Error(`No points found in this ${GEO_FORMATS[format].label} file`);
+    }
+    return {
+        version: DB_VERSION,
+        trips: trips.map((trip, index) => ({ ...trip, id: index + 1 }))
+    };
+}
@@ -0,0 +1,299 @@
+/**
+ * Trip Logbook - Calendar Import & Export
+ *
+ * @description Reads .ics calendar files and proposes trips from their events, and
+ *              writes trips back out as all-day calendar events.
+ * @version 1.0.0
+ *
+ * Parsing is local: VEVENTs are read for summary, location, description and dates.
+ * Places are recognized with the bundled gazetteer (geocoder.gazetteer), so no
+ * event text leaves the device. Flights are placed at their destination when the
+ * summary says where to ("Flight to Lisbon").
+ *
+ * Events in the same city that follow each other (at most TRIP_MERGE_GAP_DAYS
+ * apart) become one trip. Proposals are only saved after the user reviews them.
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const TRIP_MERGE_GAP_DAYS = 1;
+
+const CALENDAR_EVENT_KINDS = {
+    flight: { icon: '✈️', pattern: /\b(flight|flug|vol|vuelo)\b|✈/i },
+    train: { icon: '🚆', pattern: /\b(train|rail|eurostar|tgv)\b/i },
+    lodging: { icon: '🏨', pattern: /\b(hotel|hostel|airbnb|check-?in|stay|booking|accommodation)\b/i },
+    other: { icon: '📅', pattern: null }
+};
+
+// =============================================================================
+// PARSER
+// =============================================================================
+
+/**
+ * Content lines of an .ics file, with folded lines joined back together
+ * @param {string} text
+ * @returns {Array<Object>} { name, params, value } with upper-case name and param keys
+ */
+function parseICSLines(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .flatMap(line => {
+            // The value starts at the first colon outside a quoted parameter
+            let colon = -1;
+            let quoted = false;
+            for (let i = 0; i < line.length && colon === -1; i++) {
+                if (line[i] === '"') quoted = !quoted;
+                else if (line[i] === ':' && !quoted) colon = i;
+            }
+            if (colon === -1) return [];
+
+            const [name, ...rawParams] = line.slice(0, colon).split(';');
+            const params = {};
+            rawParams.forEach(param => {
+                const [key, value = ''] = param.split('=');
+                params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+            });
+            return [{ name: name.toUpperCase(), params, value: line.slice(colon + 1) }];
+        });
+}
+
+function unescapeICSText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Calendar date of a DATE or DATE-TIME value
+ * Floating and TZID times keep their written date; UTC times use the local date.
+ * @param {string} value - e.g. 20240315, 20240315T093000, 20240315T093000Z
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseICSDate(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (!utc) return `${year}-${month}-${day}`;
+
+    const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+        .map(part => String(part).padStart(2, '0'))
+        .join('-');
+}
+
+function addDays(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().split('T')[0];
+}
+
+/**
+ * Events of an .ics file
+ * @param {string} text - File content
+ * @returns {Array<Object>} { uid, summary, location, description, startDate, endDate, kind }
+ *          sorted by start date; events without a start are dropped
+ */
+function parseICS(text) {
+    if (!/BEGIN:VCALENDAR/i.test(text)) throw new Error('Not a calendar file');
+
+    const events = [];
+    const components = [];      // Open BEGIN blocks, innermost last
+    let event = null;
+
+    parseICSLines(text).forEach(({ name, params, value }) => {
+        const component = value.toUpperCase();
+        if (name === 'BEGIN') {
+            components.push(component);
+            if (component === 'VEVENT') event = { summary: '', location: '', description: '' };
+        } else if (name === 'END') {
+            // Close back to the matching BEGIN; a stray END closes nothing
+            const index = components.lastIndexOf(component);
+            if (index !== -1) components.length = index;
+            if (component === 'VEVENT') {
+                if (event?.start) events.push(event);
+                event = null;
+            }
+        } else if (event && components[components.length - 1] === 'VEVENT') {
+            // Properties of nested components (VALARM, ...) are not the event's
+            if (name === 'UID') event.uid = value;
+            if (name === 'SUMMARY') event.summary = unescapeICSText(value).trim();
+            if (name === 'LOCATION') event.location = unescapeICSText(value).trim();
+            if (name === 'DESCRIPTION') event.description = unescapeICSText(value).trim();
+            if (name === 'DTSTART') event.start = { date: parseICSDate(value), allDay: params.VALUE === 'DATE' };
+            if (name === 'DTEND') event.end = { date: parseICSDate(value), allDay: params.VALUE === 'DATE' };
+        }
+    });
+
+    return events
+        .filter(({ start }) => start.date)
+        .map(({ start, end, ...rest }) => {
+            // All-day events end on the following day (DTEND is exclusive)
+            let endDate = end?.date || start.date;
+            if (end?.allDay && endDate > start.date) endDate = addDays(endDate, -1);
+
+            const kind = Object.keys(CALENDAR_EVENT_KINDS)
+                .find(k => CALENDAR_EVENT_KINDS[k].pattern?.test(rest.summary)) || 'other';
+            return { ...rest, startDate: start.date, endDate, kind };
+        })
+        .sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+// =============================================================================
+// TRIP PROPOSALS
+// =============================================================================
+
+/**
+ * Where an event may take place, best guess first
+ * Flights and trains count at their destination when the summary names it,
+ * as their location is usually the departure station or airport.
+ * @param {Object} event - From parseICS
+ * @returns {Array<string>}
+ */
+function calendarEventPlaces(event) {
+    const destination = event.kind === 'flight' || event.kind === 'train'
+        ? event.summary.match(/(?:^|\s)(?:to|nach|à|a)\s+([^,;()]+?)(?:\s*\(|,|;|$)/i)?.[1].trim()
+        : null;
+    return [destination, event.location].filter(Boolean);
+}
+
+/**
+ * Turn calendar events into trip proposals
+ * @param {Array<Object>} events - From parseICS
+ * @returns {Promise<Object>} { proposals, unplaced }: proposals are { trip, events } with a
+ *          trip record ready for tripDB.addTrip; unplaced counts events whose place was
+ *          missing or not recognized
+ */
+async function proposeTripsFromEvents(events) {
+    const placed = [];
+    let unplaced = 0;
+
+    for (const event of events) {
+        let match = null;
+        for (const place of calendarEventPlaces(event)) {
+            const found = await geocoder.gazetteer.lookup(place);
+            // A bare country is too vague to name a trip after
+            const [city, country] = (found?.label || '').split(', ');
+            if (country) {
+                match = { event, city, country, lat: found.lat, lng: found.lng };
+                break;
+            }
+        }
+
+        if (match) placed.push(match);
+        else unplaced++;
+    }
+
+    const groups = [];
+    placed.forEach(item => {
+        const last = groups[groups.length - 1];
+        const sameCity = last && last.city === item.city && last.country === item.country;
+        if (sameCity && addDays(last.endDate, TRIP_MERGE_GAP_DAYS) >= item.event.startDate) {
+            last.events.push(item.event);
+            if (item.event.endDate > last.endDate) last.endDate = item.event.endDate;
+        } else {
+            groups.push({ ...item, events: [item.event], startDate: item.event.startDate, endDate: item.event.endDate });
+        }
+    });
+
+    const timestamp = new Date().toISOString();
+    const proposals = groups.map(group => ({
+        events: group.events,
+        trip: {
+            title: `Trip to ${group.city}`,
+            country: group.country,
+            city: group.city,
+            place: '',
+            startDate: group.startDate,
+            endDate: group.endDate,
+            tags: [],
+            favorite: false,
+            stops: [],
+            // The bookings become the first journal entry
+            journal: [{
+                id: 'entry-calendar',
+                date: group.startDate,
+                body: group.events
+                    .map(event => `- ${CALENDAR_EVENT_KINDS[event.kind].icon} ${event.summary || 'Event'}${event.location ? ` (${event.location})` : ''}`)
+                    .join('\n'),
+                createdAt: timestamp,
+                updatedAt: timestamp
+            }],
+            lat: group.lat,
+            lng: group.lng
+        }
+    }));
+
+    return { proposals, unplaced };
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+function escapeICSText(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/[;,]/g, '\\$&')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545)
+function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (encoder.encode(current + char).length > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * iCalendar file with one all-day event per dated trip
+ * @param {Array<Object>} trips
+ * @param {string} [name] - Calendar name shown by calendar apps
+ * @returns {string}
+ */
+function tripsToICS(trips, name = 'Trip Logbook') {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const compact = (date) => date.replace(/-/g, '');
+
+    const events = trips.filter(trip => trip.startDate).flatMap(trip => {
+        const lastDay = trip.endDate && trip.endDate > trip.startDate ? trip.endDate : trip.startDate;
+        const notes = (trip.journal || []).map(entry => markdownToText(entry.body).trim()).filter(Boolean).join('\n\n');
+        return [
+            'BEGIN:VEVENT',
+            `UID:trip-${trip.id}@trip-logbook`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${compact(trip.startDate)}`,
+            // DTEND is exclusive: the day after the trip ends
+            `DTEND;VALUE=DATE:${compact(addDays(lastDay, 1))}`,
+            `SUMMARY:${escapeICSText(trip.title || 'Untitled Trip')}`,
+            `LOCATION:${escapeICSText([trip.place, trip.city, trip.country].filter(Boolean).join(', '))}`,
+            notes && `DESCRIPTION:${escapeICSText(notes)}`,
+            typeof trip.lat === 'number' && typeof trip.lng === 'number' && `GEO:${trip.lat};${trip.lng}`,
+            trip.tags?.length > 0 && `CATEGORIES:${trip.tags.map(escapeICSText).join(',')}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        ].filter(Boolean);
+    });
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Trip Logbook//EN',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${escapeICSText(name)}`,
+        ...events,
+        'END:VCALENDAR'
+    ].map(foldICSLine).join('\r\n') + '\r\n';
+}
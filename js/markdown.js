@@ -0,0 +1,149 @@
+/**
+ * Trip Logbook - Markdown
+ *
+ * @description Renders the Markdown used by journal entries into safe HTML.
+ * @version 1.0.0
+ *
+ * Supported:
+ * - # Heading, ## Heading, ### Heading
+ * - Paragraphs; a single line break is kept as a line break
+ * - "- item" bullet lists and "1. item" numbered lists
+ * - **bold**, *italic*, `code`
+ * - [links](https://example.com) (http, https and mailto only)
+ * - ![caption](photo:12) - a photo of the trip, by photo id
+ *
+ * Sanitizing: text is escaped before any markup is added and only the tags above
+ * are produced, so raw HTML in an entry is shown as text. Links with other schemes
+ * (javascript:, data:, ...) and unknown photos are left as plain text.
+ */
+
+// =============================================================================
+// BLOCKS
+// =============================================================================
+
+/**
+ * Render journal Markdown
+ * @param {string} source - Markdown text
+ * @param {Object} [options]
+ * @param {Function} [options.photoURL] - Photo id -> image URL, or '' when the photo is unknown
+ * @returns {string} HTML
+ */
+function renderMarkdown(source, { photoURL = () => '' } = {}) {
+    const blocks = [];
+    let paragraph = [];
+    let list = null;            // { type: 'ul' | 'ol', items }
+
+    const inline = (text) => renderInlineMarkdown(text, photoURL);
+    const closeParagraph = () => {
+        if (paragraph.length === 0) return;
+        blocks.push(`<p>${paragraph.map(inline).join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const closeList = () => {
+        if (!list) return;
+        blocks.push(`<${list.type}>${list.items.map(item => `<li>${inline(item)}</li>`).join('')}</${list.type}>`);
+        list = null;
+    };
+
+    (source || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        const heading = line.match(/^(#{1,3})\s+(.+)$/);
+        const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.+)$/);
+
+        if (!line.trim()) {
+            closeParagraph();
+            closeList();
+        } else if (heading) {
+            closeParagraph();
+            closeList();
+            // Entries sit under the page's own headings, so # starts at h3
+            const level = heading[1].length + 2;
+            blocks.push(`<h${level}>${inline(heading[2])}</h${level}>`);
+        } else if (item) {
+            closeParagraph();
+            const type = item[1] ? 'ul' : 'ol';
+            if (list?.type !== type) {
+                closeList();
+                list = { type, items: [] };
+            }
+            list.items.push(item[2]);
+        } else {
+            closeList();
+            paragraph.push(line);
+        }
+    });
+
+    closeParagraph();
+    closeList();
+    return blocks.join('');
+}
+
+// =============================================================================
+// INLINE
+// =============================================================================
+
+const MARKDOWN_INLINE = /`([^`]+)`|!\[([^\]]*)\]\(([^)\s]+)\)|\[([^\]]+)\]\(([^)\s]+)\)/g;
+const MARKDOWN_SAFE_LINK = /^(https?:|mailto:)/i;
+
+// Escapes quotes too, as the result also goes into attributes
+function escapeMarkdownText(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Bold and italic inside already escaped text
+function renderEmphasis(html) {
+    return html
+        .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(\S(?:.*?\S)?)\*/g, '<em>$1</em>');
+}
+
+/**
+ * Render one line of inline Markdown
+ * @param {string} text
+ * @param {Function} photoURL - See renderMarkdown
+ * @returns {string} HTML
+ */
+function renderInlineMarkdown(text, photoURL) {
+    let html = '';
+    let last = 0;
+
+    for (const match of text.matchAll(MARKDOWN_INLINE)) {
+        const [raw, code, caption, src, label, href] = match;
+        html += renderEmphasis(escapeMarkdownText(text.slice(last, match.index)));
+        last = match.index + raw.length;
+
+        if (code !== undefined) {
+            html += `<code>${escapeMarkdownText(code)}</code>`;
+        } else if (src !== undefined) {
+            const photoId = src.match(/^photo:(\d+)$/)?.[1];
+            const url = photoId ? photoURL(parseInt(photoId)) : '';
+            html += url
+                ? `<img class="journal-photo" src="${escapeMarkdownText(url)}" data-photo-id="${photoId}" alt="${escapeMarkdownText(caption)}">`
+                : escapeMarkdownText(raw);
+        } else if (MARKDOWN_SAFE_LINK.test(href)) {
+            html += `<a href="${escapeMarkdownText(href)}" target="_blank" rel="noopener noreferrer">${renderEmphasis(escapeMarkdownText(label))}</a>`;
+        } else {
+            html += renderEmphasis(escapeMarkdownText(raw));
+        }
+    }
+
+    return html + renderEmphasis(escapeMarkdownText(text.slice(last)));
+}
+
+/**
+ * Plain text of journal Markdown, for search and previews
+ * Photo references are dropped and link targets replaced by their label.
+ * @param {string} source
+ * @returns {string}
+ */
+function markdownToText(source) {
+    return (source || '')
+        .replace(/!\[([^\]]*)\]\([^)\s]+\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)\s]+\)/g, '$1')
+        .replace(/^\s*(#{1,3}|[-*+]|\d+[.)])\s+/gm, '')
+        .replace(/[*`]/g, '');
+}
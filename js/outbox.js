@@ -0,0 +1,189 @@
+/**
+ * Trip Logbook - Outbox
+ *
+ * @description Network work that has to survive going offline.
+ * @version 1.0.0
+ *
+ * Tasks are stored in the IndexedDB outbox store and replayed by the service
+ * worker on the Background Sync `sync` event. Browsers without Background Sync
+ * replay them from the page whenever it comes online.
+ *
+ * A failed attempt is retried with exponential backoff; after OUTBOX_MAX_ATTEMPTS
+ * the task is marked failed and kept until the user retries or discards it in Settings.
+ *
+ * Loaded by both the page and the service worker (importScripts), after db.js
+ * and geocoder.js.
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const OUTBOX_SYNC_TAG = 'outbox';
+const OUTBOX_MAX_ATTEMPTS = 6;
+const OUTBOX_BASE_DELAY = 30 * 1000;        // First retry after 30 seconds, then doubling
+const OUTBOX_MAX_DELAY = 60 * 60 * 1000;    // Never wait more than an hour
+
+/**
+ * Task handlers by type
+ * Each receives the task payload and throws to have the task retried.
+ */
+const OUTBOX_HANDLERS = {
+    async geocode({ tripId }) {
+        const trip = await tripDB.getTrip(tripId);
+
+        // Deleted, or edited and located online since it was queued
+        if (!trip || !trip.needsGeocode) return;
+
+        await geocoder.configure();
+        if (!(await geocodeTrip(trip))) {
+            throw new Error('Geocoding server unreachable');
+        }
+    },
+
+    async backup() {
+        const endpoint = await tripDB.getSetting('backupEndpoint');
+        if (!endpoint) {
+            throw new Error('No backup server configured');
+        }
+
+        const data = await tripDB.exportData();
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        if (!response.ok) {
+            throw new Error(`Backup upload failed with status ${response.status}`);
+        }
+    }
+};
+
+// =============================================================================
+// REPLAY
+// =============================================================================
+
+function outboxRetryDelay(attempts) {
+    return Math.min(OUTBOX_BASE_DELAY * 2 ** (attempts - 1), OUTBOX_MAX_DELAY);
+}
+
+let outboxReplay = null;
+
+/**
+ * Run every due task once. Concurrent calls share the same run.
+ * @returns {Promise<Object>} Report: { completed: {type: count}, pending, failed }
+ */
+function replayOutbox() {
+    if (!outboxReplay) {
+        outboxReplay = runOutbox().finally(() => {
+            outboxReplay = null;
+        });
+    }
+    return outboxReplay;
+}
+
+async function runOutbox() {
+    const tasks = await tripDB.getOutboxTasks();
+    const report = { completed: {}, pending: 0, failed: 0 };
+    const now = Date.now();
+
+    for (const task of tasks) {
+        if (task.status === 'failed') {
+            report.failed++;
+            continue;
+        }
+
+        // Offline or backing off: don't spend an attempt
+        if (!navigator.onLine || task.nextAttemptAt > now) {
+            report.pending++;
+            continue;
+        }
+
+        try {
+            const handler = OUTBOX_HANDLERS[task.type];
+            if (!handler) {
+                throw new Error(`Unknown task type: ${task.type}`);
+            }
+            await handler(task.payload);
+            await tripDB.deleteTask(task.id);
+            report.completed[task.type] = (report.completed[task.type] || 0) + 1;
+        } catch (error) {
+            console.warn(`Outbox task ${task.id} (${task.type}) failed:`, error);
+
+            const attempts = task.attempts + 1;
+            const failed = attempts >= OUTBOX_MAX_ATTEMPTS;
+            await tripDB.updateTask({
+                ...task,
+                attempts,
+                status: failed ? 'failed' : 'pending',
+                nextAttemptAt: Date.now() + outboxRetryDelay(attempts),
+                lastError: error.message
+            });
+
+            if (failed) {
+                report.failed++;
+            } else {
+                report.pending++;
+            }
+        }
+    }
+
+    return report;
+}
+
+// =============================================================================
+// PAGE API
+// =============================================================================
+
+/**
+ * Queue a task and ask for it to be replayed
+ * A pending task with the same type and payload is reused instead of duplicated.
+ * @param {string} type - Key of OUTBOX_HANDLERS
+ * @param {Object} [payload]
+ * @returns {Promise<Object|null>} Replay report when run from the page, null when
+ *          left to the service worker
+ */
+async function queueTask(type, payload = {}) {
+    const tasks = await tripDB.getOutboxTasks();
+    const duplicate = tasks.some(task => task.type === type
+        && task.status === 'pending'
+        && JSON.stringify(task.payload) === JSON.stringify(payload));
+
+    if (!duplicate) {
+        await tripDB.addTask(type, payload);
+    }
+    return requestOutboxSync();
+}
+
+/**
+ * Hand the outbox to the service worker, or replay it here without Background Sync
+ * @returns {Promise<Object|null>} Replay report, or null when the service worker will report
+ */
+async function requestOutboxSync() {
+    const registration = await navigator.serviceWorker?.getRegistration();
+
+    if (registration?.active && registration.sync) {
+        try {
+            await registration.sync.register(OUTBOX_SYNC_TAG);
+            return null;
+        } catch (error) {
+            console.warn('Background sync unavailable:', error);
+        }
+    }
+    return replayOutbox();
+}
+
+/**
+ * Make a task due again, resetting its attempts (used for failed tasks)
+ * @param {Object} task - Outbox record
+ */
+async function retryTask(task) {
+    await tripDB.updateTask({
+        ...task,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null
+    });
+    return requestOutboxSync();
+}
@@ -0,0 +1,379 @@
+/**
+ * Trip Logbook - Photo Pipeline
+ *
+ * @description Turns picked image files into the Blobs stored in the photos store
+ *              and hands out object URLs for rendering them.
+ * @version 1.0.0
+ *
+ * Every photo is stored in three sizes:
+ * - blob:   full image, capped at maxDimension (0 keeps the original size)
+ * - medium: gallery size, capped at mediumDimension
+ * - thumb:  card/preview size, capped at thumbDimension
+ *
+ * Re-encoding through a canvas drops EXIF metadata (GPS, camera, time).
+ * With keepExif enabled the original EXIF block is copied into JPEG output.
+ * Capture time and GPS position are read beforehand and kept on the record.
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DEFAULT_PHOTO_SETTINGS = {
+    maxDimension: 2048,      // Longest edge of the stored full image (0 = original)
+    mediumDimension: 1024,   // Longest edge of the gallery image
+    thumbDimension: 320,     // Longest edge of the thumbnail
+    quality: 0.85,           // JPEG/WebP encoder quality
+    keepExif: false          // Keep EXIF metadata in the stored full image
+};
+
+async function getPhotoSettings() {
+    const saved = await tripDB.getSetting('photoSettings');
+    return { ...DEFAULT_PHOTO_SETTINGS, ...saved };
+}
+
+// =============================================================================
+// PROCESSING
+// =============================================================================
+
+/**
+ * Process a picked image into the stored sizes
+ * @param {Blob} file - Image file or Blob
+ * @param {Object} settings - Photo settings (see DEFAULT_PHOTO_SETTINGS)
+ * @returns {Promise<Object>} { blob, medium, thumb, width, height, type, size }
+ */
+async function processPhoto(file, settings = DEFAULT_PHOTO_SETTINGS) {
+    const image = await decodeImage(file);
+    const width = image.width;
+    const height = image.height;
+    const longest = Math.max(width, height);
+    const isJpeg = file.type === 'image/jpeg';
+
+    // Keep the untouched file when it already fits and its metadata is wanted
+    let blob;
+    if (settings.keepExif && (!settings.maxDimension || longest <= settings.maxDimension)) {
+        blob = file;
+    } else {
+        blob = await resizeImage(image, settings.maxDimension || longest, outputType(file.type), settings.quality);
+        if (settings.keepExif && isJpeg && blob.type === 'image/jpeg') {
+            blob = await copyExif(file, blob);
+        }
+    }
+
+    const medium = await resizeImage(image, settings.mediumDimension, 'image/jpeg', settings.quality);
+    const thumb = await resizeImage(image, settings.thumbDimension, 'image/jpeg', settings.quality);
+    image.close?.();
+
+    const scale = Math.min(1, (settings.maxDimension || longest) / longest);
+    return {
+        blob,
+        medium,
+        thumb,
+        width: blob === file ? width : Math.round(width * scale),
+        height: blob === file ? height : Math.round(height * scale),
+        type: blob.type,
+        size: blob.size
+    };
+}
+
+// PNG/WebP keep transparency; everything else becomes JPEG
+function outputType(type) {
+    return type === 'image/png' || type === 'image/webp' ? type : 'image/jpeg';
+}
+
+async function decodeImage(blob) {
+    if ('createImageBitmap' in window) {
+        try {
+            return await createImageBitmap(blob, { imageOrientation: 'from-image' });
+        } catch (error) {
+            // Fall back to an <img> element below
+        }
+    }
+
+    const url = URL.createObjectURL(blob);
+    try {
+        const img = new Image();
+        img.src = url;
+        await img.decode();
+        return img;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+function resizeImage(image, maxDimension, type, quality) {
+    const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            (blob) => blob ? resolve(blob) : reject(new Error('Could not encode image')),
+            type,
+            quality
+        );
+    });
+}
+
+// =============================================================================
+// EXIF
+// =============================================================================
+
+/**
+ * Find the APP1 "Exif" segment of a JPEG
+ * @param {Uint8Array} bytes - JPEG file contents
+ * @returns {Object|null} { start, end } byte offsets of the whole segment
+ */
+function findExifSegment(bytes) {
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+        const marker = bytes[offset + 1];
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+
+        // Start of scan: no more metadata segments
+        if (marker === 0xDA) break;
+
+        const isExif = marker === 0xE1 &&
+            String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) === 'Exif';
+        if (isExif) {
+            return { start: offset, end: offset + 2 + length };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+/**
+ * Copy the EXIF segment of `source` into the re-encoded JPEG `target`.
+ * The orientation tag is reset because the canvas already applied it.
+ * @param {Blob} source - Original JPEG
+ * @param {Blob} target - Re-encoded JPEG without metadata
+ * @returns {Promise<Blob>}
+ */
+async function copyExif(source, target) {
+    const sourceBytes = new Uint8Array(await source.arrayBuffer());
+    const segment = findExifSegment(sourceBytes);
+    if (!segment) return target;
+
+    const exif = sourceBytes.slice(segment.start, segment.end);
+    resetExifOrientation(exif);
+
+    const targetBytes = new Uint8Array(await target.arrayBuffer());
+    return new Blob([targetBytes.subarray(0, 2), exif, targetBytes.subarray(2)], { type: 'image/jpeg' });
+}
+
+// Set tag 0x0112 (Orientation) in IFD0 to 1 ("top-left"), in place
+function resetExifOrientation(segment) {
+    const tiff = 10;   // FFE1 + length (2) + "Exif\0\0"
+    const view = new DataView(segment.buffer, segment.byteOffset, segment.byteLength);
+    if (view.byteLength < tiff + 8) return;
+
+    const little = view.getUint16(tiff) === 0x4949;
+    const ifd0 = tiff + view.getUint32(tiff + 4, little);
+    if (ifd0 + 2 > view.byteLength) return;
+
+    const entries = view.getUint16(ifd0, little);
+    for (let i = 0; i < entries; i++) {
+        const entry = ifd0 + 2 + i * 12;
+        if (entry + 12 > view.byteLength) return;
+        if (view.getUint16(entry, little) === 0x0112) {
+            view.setUint16(entry + 8, 1, little);
+            return;
+        }
+    }
+}
+
+/**
+ * Read capture time and GPS position from a photo's EXIF data
+ * Must run on the original file: processing drops the metadata.
+ * @param {Blob} file - Image file
+ * @returns {Promise<Object>} { takenAt, lat, lng } (null when missing)
+ */
+async function readPhotoMetadata(file) {
+    const metadata = { takenAt: null, lat: null, lng: null };
+
+    try {
+        // EXIF sits at the start of the file; don't read whole photos into memory
+        const bytes = new Uint8Array(await file.slice(0, 256 * 1024).arrayBuffer());
+        const segment = findExifSegment(bytes);
+        if (!segment) return metadata;
+
+        const tags = parseExifSegment(bytes.subarray(segment.start, Math.min(segment.end, bytes.length)));
+        const dateTime = tags.exif[0x9003] || tags.exif[0x9004] || tags.ifd0[0x0132];
+        const offset = tags.exif[0x9011] || '';
+        if (dateTime) {
+            // "YYYY:MM:DD HH:MM:SS" in camera local time
+            const match = dateTime.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+            if (match && match[1] !== '0000') {
+                const [, y, mo, d, h, mi, sec] = match;
+                metadata.takenAt = `${y}-${mo}-${d}T${h}:${mi}:${sec}${/^[+-]\d{2}:\d{2}$/.test(offset) ? offset : ''}`;
+            }
+        }
+
+        const lat = gpsToDegrees(tags.gps[2], tags.gps[1]);
+        const lng = gpsToDegrees(tags.gps[4], tags.gps[3]);
+        if (lat !== null && lng !== null && !(lat === 0 && lng === 0)) {
+            metadata.lat = lat;
+            metadata.lng = lng;
+        }
+    } catch (error) {
+        console.warn('Could not read photo metadata:', error);
+    }
+    return metadata;
+}
+
+/**
+ * Parse IFD0, the Exif sub-IFD and the GPS sub-IFD of an APP1 segment
+ * @param {Uint8Array} segment - Bytes of the APP1 segment (from the FFE1 marker)
+ * @returns {Object} { ifd0, exif, gps } tag number -> value
+ */
+function parseExifSegment(segment) {
+    const tiff = 10;   // FFE1 + length (2) + "Exif\0\0"
+    const view = new DataView(segment.buffer, segment.byteOffset + tiff, segment.byteLength - tiff);
+    const little = view.getUint16(0) === 0x4949;
+
+    // Bytes per component for TIFF types 1-10
+    const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+    const readValue = (type, count, entry) => {
+        const size = (TYPE_SIZES[type] || 1) * count;
+        const at = size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+        if (at + size > view.byteLength) return null;
+
+        switch (type) {
+            case 2:
+                return String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + at, count))
+                    .replace(/\0+$/, '');
+            case 3:
+                return view.getUint16(at, little);
+            case 4:
+                return view.getUint32(at, little);
+            case 5:
+            case 10: {
+                const values = [];
+                for (let i = 0; i < count; i++) {
+                    const numerator = type === 5 ? view.getUint32(at + i * 8, little) : view.getInt32(at + i * 8, little);
+                    const denominator = type === 5 ? view.getUint32(at + i * 8 + 4, little) : view.getInt32(at + i * 8 + 4, little);
+                    values.push(denominator ? numerator / denominator : 0);
+                }
+                return values;
+            }
+            default:
+                return null;
+        }
+    };
+
+    const readIFD = (offset) => {
+        const tags = {};
+        if (!offset || offset + 2 > view.byteLength) return tags;
+
+        const entries = view.getUint16(offset, little);
+        for (let i = 0; i < entries; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > view.byteLength) break;
+            tags[view.getUint16(entry, little)] = readValue(
+                view.getUint16(entry + 2, little),
+                view.getUint32(entry + 4, little),
+                entry
+            );
+        }
+        return tags;
+    };
+
+    const ifd0 = readIFD(view.getUint32(4, little));
+    return {
+        ifd0,
+        exif: readIFD(ifd0[0x8769]),
+        gps: readIFD(ifd0[0x8825])
+    };
+}
+
+// [degrees, minutes, seconds] + "N"/"S"/"E"/"W" -> signed decimal degrees
+function gpsToDegrees(dms, ref) {
+    if (!Array.isArray(dms) || dms.length < 3) return null;
+    const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+// =============================================================================
+// OBJECT URLS
+// =============================================================================
+
+/**
+ * PhotoURLCache - hands out object URLs for stored photo Blobs
+ * URLs are created once per photo and size and revoked when the photo goes away.
+ */
+class PhotoURLCache {
+    constructor() {
+        this.urls = new Map();   // "photoId:size" -> object URL
+    }
+
+    /**
+     * @param {Object} photo - Photo record
+     * @param {string} [size='thumb'] - 'thumb', 'medium' or 'blob' (full size)
+     * @returns {string} Object URL, or '' when the photo has no image data
+     */
+    get(photo, size = 'thumb') {
+        if (!photo) return '';
+
+        const key = `${photo.id}:${size}`;
+        if (!this.urls.has(key)) {
+            // Photos awaiting size generation only have the full Blob
+            const blob = photo[size] || photo.medium || photo.blob;
+            if (!blob) return '';
+            this.urls.set(key, URL.createObjectURL(blob));
+        }
+        return this.urls.get(key);
+    }
+
+    revoke(photoId) {
+        ['thumb', 'medium', 'blob'].forEach(size => {
+            const key = `${photoId}:${size}`;
+            if (this.urls.has(key)) {
+                URL.revokeObjectURL(this.urls.get(key));
+                this.urls.delete(key);
+            }
+        });
+    }
+
+    clear() {
+        this.urls.forEach(url => URL.revokeObjectURL(url));
+        this.urls.clear();
+    }
+}
+
+// Create global instance
+const photoURLs = new PhotoURLCache();
+
+/**
+ * Generate medium/thumbnail sizes for photos converted from Base64
+ * Runs in the background after startup; safe to call repeatedly.
+ */
+async function backfillPhotoSizes() {
+    const photos = await tripDB.getPhotosNeedingSizes();
+    if (photos.length === 0) return 0;
+
+    const settings = await getPhotoSettings();
+    for (const photo of photos) {
+        try {
+            const image = await decodeImage(photo.blob);
+            const medium = await resizeImage(image, settings.mediumDimension, 'image/jpeg', settings.quality);
+            const thumb = await resizeImage(image, settings.thumbDimension, 'image/jpeg', settings.quality);
+            const { needsSizes, ...rest } = photo;
+
+            await tripDB.updatePhoto({ ...rest, medium, thumb, width: image.width, height: image.height });
+            image.close?.();
+            photoURLs.revoke(photo.id);
+        } catch (error) {
+            console.warn('Could not generate sizes for photo', photo.id, error);
+        }
+    }
+    return photos.length;
+}
@@ -0,0 +1,355 @@
+/**
+ * Trip Logbook - Search Query Language
+ *
+ * @description Parses search box input into a query tree and matches trips against it.
+ * @version 1.0.0
+ *
+ * Syntax:
+ * - Words match any text field: title, location, place, journal, tags and stops
+ * - "exact phrase" matches the words together
+ * - field:value filters one field; values can be quoted (city:"new york")
+ *   Fields: title, country, city, place, notes (or journal), tag, year, after, before, fav
+ * - Terms next to each other must all match (AND); OR (or |) between terms
+ *   allows either; NOT (or a leading -) excludes; parentheses group
+ *
+ * Example: country:japan tag:food year:2023 after:2022-06 fav:true "night market"
+ *
+ * Matching is case and diacritic insensitive (foldText from db.js). Free-text
+ * words are resolved through the search index by TripDatabase.search, which also
+ * matches word prefixes and typos; field terms match substrings of the trip record.
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// Text fields searched by a bare word, and how to read them from a trip
+const QUERY_TEXT_FIELDS = {
+    title: trip => [trip.title],
+    country: trip => TripDatabase.tripLocations(trip).map(location => location.country),
+    city: trip => TripDatabase.tripLocations(trip).map(location => location.city),
+    place: trip => TripDatabase.tripLocations(trip).map(location => location.place),
+    notes: trip => [
+        ...(trip.journal || []).map(entry => markdownToText(entry.body)),
+        ...(trip.stops || []).map(stop => stop.notes)
+    ],
+    tag: trip => trip.tags || []
+};
+
+const QUERY_FIELD_ALIASES = {
+    tags: 'tag',
+    journal: 'notes',
+    favorite: 'fav',
+    from: 'after',
+    to: 'before'
+};
+
+const QUERY_FILTER_FIELDS = ['year', 'after', 'before', 'fav'];
+
+// =============================================================================
+// PARSER
+// =============================================================================
+
+/**
+ * Split input into tokens: parentheses, operators and terms
+ * @param {string} input
+ * @returns {Array<Object>} { type: '(' | ')' | 'or' | 'and' | 'not' | 'term', field, value }
+ */
+function tokenizeQuery(input) {
+    const tokens = [];
+    const pattern = /\s*(?:(\()|(\))|(\|)|(-)(?=\S)|(?:([a-z]+):)?(?:"([^"]*)"?|([^\s()"|]+)))/giy;
+    let match;
+
+    while (pattern.lastIndex < input.length && (match = pattern.exec(input))) {
+        const [, open, close, pipe, minus, rawField, quoted, word] = match;
+
+        if (open) tokens.push({ type: '(' });
+        else if (close) tokens.push({ type: ')' });
+        else if (pipe) tokens.push({ type: 'or' });
+        else if (minus) tokens.push({ type: 'not' });
+        else if (!rawField && word === 'OR') tokens.push({ type: 'or' });
+        else if (!rawField && word === 'AND') tokens.push({ type: 'and' });
+        else if (!rawField && word === 'NOT') tokens.push({ type: 'not' });
+        else {
+            const field = rawField ? QUERY_FIELD_ALIASES[rawField.toLowerCase()] || rawField.toLowerCase() : null;
+            const known = field && (field in QUERY_TEXT_FIELDS || QUERY_FILTER_FIELDS.includes(field));
+            const value = quoted ?? word;
+
+            // Unknown fields ("time:10:30") are searched as plain text
+            tokens.push(known
+                ? { type: 'term', field, value }
+                : { type: 'term', field: null, value: rawField ? `${rawField}:${value}` : value });
+        }
+    }
+    return tokens.filter(token => token.type !== 'term' || token.value !== '');
+}
+
+/**
+ * Parse search input into a query tree
+ * Malformed input never throws: stray operators and unbalanced parentheses are ignored.
+ * @param {string} input - Search box text
+ * @returns {Object|null} Node tree ({ type: 'and' | 'or', children }, { type: 'not', child },
+ *          { type: 'term', field, value }) or null for an empty query
+ */
+function parseSearchQuery(input) {
+    const tokens = tokenizeQuery(input || '');
+    let position = 0;
+
+    const peek = () => tokens[position];
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (peek()?.type === 'or') {
+            position++;
+            children.push(parseAnd());
+        }
+        return combine('or', children);
+    };
+
+    const parseAnd = () => {
+        const children = [];
+        while (peek() && peek().type !== 'or' && peek().type !== ')') {
+            if (peek().type === 'and') {
+                position++;
+                continue;
+            }
+            children.push(parseUnary());
+        }
+        return combine('and', children);
+    };
+
+    const parseUnary = () => {
+        const token = tokens[position++];
+        if (token.type === 'not') {
+            const child = peek() && peek().type !== ')' && peek().type !== 'or' ? parseUnary() : null;
+            return child && { type: 'not', child };
+        }
+        if (token.type === '(') {
+            const node = parseOr();
+            if (peek()?.type === ')') position++;
+            return node;
+        }
+        return { type: 'term', field: token.field, value: token.value };
+    };
+
+    let root = null;
+    while (position < tokens.length) {
+        // A stray ")" ends parseOr early; skip it and keep going
+        if (peek().type === ')') {
+            position++;
+            continue;
+        }
+        root = combine('and', [root, parseOr()]);
+    }
+    return root;
+}
+
+// Join nodes with an operator, dropping empty ones and flattening single children
+function combine(type, nodes) {
+    const children = nodes.filter(Boolean);
+    if (children.length === 0) return null;
+    if (children.length === 1) return children[0];
+    return { type, children };
+}
+
+/**
+ * Require every given query to match (e.g. a filter tab and the search box)
+ * @param {...(Object|null)} queries
+ * @returns {Object|null}
+ */
+function combineQueries(...queries) {
+    return combine('and', queries);
+}
+
+// =============================================================================
+// MATCHING
+// =============================================================================
+
+/**
+ * Test a trip against a query tree
+ * @param {Object|null} node - From parseSearchQuery; null matches everything
+ * @param {Object} trip
+ * @returns {boolean}
+ */
+function matchesQuery(node, trip) {
+    if (!node) return true;
+
+    switch (node.type) {
+        case 'and':
+            return node.children.every(child => matchesQuery(child, trip));
+        case 'or':
+            return node.children.some(child => matchesQuery(child, trip));
+        case 'not':
+            return !matchesQuery(node.child, trip);
+        default:
+            return matchesTerm(node, trip);
+    }
+}
+
+function matchesTerm({ field, value, tripIds, phrase }, trip) {
+    const folded = foldText(value);
+    const start = trip.startDate || '';
+    const end = trip.endDate || start;
+
+    switch (field) {
+        case 'year':
+            // Multi-year trips match every year they touch
+            return start !== '' && start.slice(0, 4) <= value && end.slice(0, 4) >= value;
+        case 'after':
+            return start !== '' && start >= value;
+        case 'before':
+            return start !== '' && start < value;
+        case 'fav':
+            return Boolean(trip.favorite) === ['true', 'yes', '1'].includes(folded);
+        case 'tag':
+            return (trip.tags || []).some(tag => foldText(tag) === folded);
+        case null:
+            // Indexed words are decided by the index; phrases still need their words in order
+            if (tripIds && !tripIds.has(trip.id)) return false;
+            if (tripIds && !phrase) return true;
+            return Object.values(QUERY_TEXT_FIELDS)
+                .some(read => read(trip).some(text => foldText(text).includes(folded)));
+        default:
+            return QUERY_TEXT_FIELDS[field](trip).some(text => foldText(text).includes(folded));
+    }
+}
+
+// =============================================================================
+// INDEX LOOKUPS
+// =============================================================================
+
+/**
+ * Free-text words of a query, as index terms
+ * @param {Object|null} node
+ * @returns {Array<string>}
+ */
+function queryWords(node) {
+    if (!node) return [];
+    if (node.type === 'not') return queryWords(node.child);
+    if (node.children) return node.children.flatMap(queryWords);
+    return node.field === null ? searchTokens(node.value) : [];
+}
+
+/**
+ * Copy of a query with its free-text terms resolved to the trips containing them
+ * Single words accept every index match (prefixes and typos included); phrases only
+ * exact and prefix matches of each word, and are checked against the text afterwards.
+ * @param {Object|null} node
+ * @param {Map<string, Object>} lookups - Word -> { ids, strictIds, terms } from TripDatabase.lookupWords
+ * @returns {Object|null}
+ */
+function resolveQueryWords(node, lookups) {
+    if (!node) return null;
+    if (node.type === 'not') return { ...node, child: resolveQueryWords(node.child, lookups) };
+    if (node.children) return { ...node, children: node.children.map(child => resolveQueryWords(child, lookups)) };
+
+    const words = node.field === null ? searchTokens(node.value) : [];
+    if (words.length === 0) return node;
+
+    if (words.length === 1) {
+        const { ids, terms } = lookups.get(words[0]);
+        return { ...node, tripIds: ids, matches: terms };
+    }
+
+    const [first, ...rest] = words.map(word => lookups.get(word).strictIds);
+    const tripIds = new Set([...first].filter(id => rest.every(ids => ids.has(id))));
+    return { ...node, tripIds, phrase: true };
+}
+
+/**
+ * Trips a resolved query can possibly match, to avoid reading every trip
+ * @param {Object|null} node - From resolveQueryWords
+ * @returns {Set<number>|null} null when the query has to be checked against all trips
+ */
+function queryCandidates(node) {
+    if (!node || node.type === 'not') return null;
+    if (node.type === 'term') return node.tripIds || null;
+
+    const sets = node.children.map(queryCandidates);
+    if (node.type === 'or') {
+        return sets.includes(null) ? null : new Set(sets.flatMap(set => [...set]));
+    }
+
+    const required = sets.filter(Boolean);
+    if (required.length === 0) return null;
+    const [first, ...rest] = required;
+    return new Set([...first].filter(id => rest.every(set => set.has(id))));
+}
+
+/**
+ * Replace a misspelled word in the search text, keeping everything else as typed
+ * @param {string} text - Search box text
+ * @param {string} word - Index term as found in the text (folded)
+ * @param {string} replacement - Suggested index term
+ * @returns {string}
+ */
+function applySuggestion(text, word, replacement) {
+    return text.replace(/[\p{L}\p{N}]+/gu, token => foldText(token) === word ? replacement : token);
+}
+
+// =============================================================================
+// HIGHLIGHTING
+// =============================================================================
+
+/**
+ * Text terms worth highlighting: those not under a NOT
+ * @param {Object|null} node
+ * @returns {Array<Object>} { field, value } with field null for any-field terms
+ */
+function getHighlightTerms(node) {
+    if (!node || node.type === 'not') return [];
+    if (node.children) return node.children.flatMap(getHighlightTerms);
+    if (node.field && !(node.field in QUERY_TEXT_FIELDS)) return [];
+
+    // Words found through the index highlight what they matched ("parsi" -> "paris")
+    if (node.matches) return [node.value, ...node.matches].map(value => ({ field: null, value }));
+    return [{ field: node.field, value: node.value }];
+}
+
+/**
+ * Escape text for HTML and wrap the parts matching any term in <mark>
+ * @param {string} text - Plain text
+ * @param {Array<Object>} terms - From getHighlightTerms
+ * @param {string} field - Field the text belongs to (terms for other fields are ignored)
+ * @returns {string} HTML
+ */
+function highlightMatches(text, terms, field) {
+    const source = text || '';
+    const needles = terms
+        .filter(term => term.field === null || term.field === field)
+        .map(term => foldText(term.value))
+        .filter(Boolean);
+    if (needles.length === 0) return escapeHtml(source);
+
+    // Fold character by character so positions in the folded text map back to the original
+    const chars = [...source];
+    let folded = '';
+    const origin = [];
+    chars.forEach((char, index) => {
+        const foldedChar = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        for (const c of foldedChar) {
+            folded += c;
+            origin.push(index);
+        }
+    });
+
+    const marked = new Array(chars.length).fill(false);
+    needles.forEach(needle => {
+        let at = folded.indexOf(needle);
+        while (at !== -1) {
+            for (let i = at; i < at + needle.length; i++) marked[origin[i]] = true;
+            at = folded.indexOf(needle, at + needle.length);
+        }
+    });
+
+    let html = '';
+    let open = false;
+    chars.forEach((char, index) => {
+        if (marked[index] !== open) {
+            html += open ? '</mark>' : '<mark>';
+            open = marked[index];
+        }
+        html += escapeHtml(char);
+    });
+    return open ? `${html}</mark>` : html;
+}
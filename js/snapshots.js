@@ -0,0 +1,275 @@
+/**
+ * Trip Logbook - Automatic Snapshots
+ *
+ * @description Writes backup archives on a schedule, keeps the newest few and lists
+ *              them for restoring.
+ * @version 1.0.0
+ *
+ * A snapshot is an unencrypted backup archive (see archive.js) named
+ * snapshot-<UTC time>.zip, so names sort by age. Snapshots go to the Origin Private
+ * File System or to a folder picked with the File System Access API. The folder
+ * handle is kept in the settings store; after a restart the browser only grants
+ * access again from a click, so scheduled snapshots fail until the user does.
+ *
+ * Writes to backed-up stores are counted (tripDB.onDataChanged). A snapshot is due
+ * after SNAPSHOT_SCHEDULES[schedule].interval if anything changed, or after every
+ * N changes. The retention policy only ever deletes snapshot-*.zip files.
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const SNAPSHOT_SCHEDULES = {
+    off: { label: 'Off' },
+    daily: { label: 'Daily', interval: 24 * 60 * 60 * 1000 },
+    weekly: { label: 'Weekly', interval: 7 * 24 * 60 * 60 * 1000 },
+    changes: { label: 'Every N changes' }
+};
+
+const DEFAULT_SNAPSHOT_SETTINGS = {
+    schedule: 'off',
+    changes: 25,            // Writes between snapshots for the 'changes' schedule
+    keep: 7,                // Snapshots kept, newest first
+    target: 'opfs'          // 'opfs' or 'directory'
+};
+
+const SNAPSHOT_STORES = ['trips', 'collections', ...TRIP_LINKED_STORES];
+const SNAPSHOT_FOLDER = 'snapshots';                // Inside the Origin Private File System
+const SNAPSHOT_NAME_PATTERN = /^snapshot-[\dT-]+\.zip$/;
+const SNAPSHOT_CHECK_INTERVAL = 60 * 60 * 1000;     // For daily and weekly schedules
+const SNAPSHOT_SETTLE_DELAY = 10 * 1000;            // Wait for a burst of writes to end
+
+// =============================================================================
+// SETTINGS
+// =============================================================================
+
+async function getSnapshotSettings() {
+    const saved = await tripDB.getSetting('snapshotSettings');
+    return { ...DEFAULT_SNAPSHOT_SETTINGS, ...saved };
+}
+
+async function setSnapshotSettings(changes) {
+    const settings = { ...(await getSnapshotSettings()), ...changes };
+    await tripDB.setSetting('snapshotSettings', settings);
+    return settings;
+}
+
+/**
+ * Where this browser can write snapshots
+ * Safari has no createWritable outside workers, so it cannot write OPFS files from the page.
+ * @returns {Object} { opfs, directory } booleans
+ */
+function getSnapshotTargets() {
+    return {
+        opfs: Boolean(navigator.storage?.getDirectory) && 'createWritable' in (window.FileSystemFileHandle?.prototype || {}),
+        directory: 'showDirectoryPicker' in window
+    };
+}
+
+// =============================================================================
+// FOLDER
+// =============================================================================
+
+/**
+ * Let the user pick the folder for snapshots
+ * @returns {Promise<string>} Folder name
+ * @throws {DOMException} AbortError when the picker is cancelled
+ */
+async function chooseSnapshotFolder() {
+    const handle = await window.showDirectoryPicker({ id: 'trip-logbook-snapshots', mode: 'readwrite' });
+    await tripDB.setSetting('snapshotDirectory', handle);
+    return handle.name;
+}
+
+/**
+ * The folder snapshots are kept in
+ * @param {boolean} [interactive] - May ask for permission; only works from a click
+ * @returns {Promise<FileSystemDirectoryHandle>}
+ */
+async function getSnapshotFolder(interactive = false) {
+    const { target } = await getSnapshotSettings();
+
+    if (target === 'directory') {
+        const handle = await tripDB.getSetting('snapshotDirectory');
+        if (!handle) throw new Error('Choose a folder for backups first');
+
+        const options = { mode: 'readwrite' };
+        let permission = await handle.queryPermission(options);
+        if (permission === 'prompt' && interactive) permission = await handle.requestPermission(options);
+        if (permission !== 'granted') throw new Error(`Allow access to the "${handle.name}" folder in Settings`);
+        return handle;
+    }
+
+    const root = await navigator.storage.getDirectory();
+    return root.getDirectoryHandle(SNAPSHOT_FOLDER, { create: true });
+}
+
+// Snapshot file names, newest first
+async function getSnapshotNames(folder) {
+    const names = [];
+    for await (const [name, handle] of folder.entries()) {
+        if (handle.kind === 'file' && SNAPSHOT_NAME_PATTERN.test(name)) names.push(name);
+    }
+    return names.sort().reverse();
+}
+
+/**
+ * Snapshots with what they hold, newest first
+ * Only manifests are read; open a file with openBackupArchive to restore it.
+ * @param {boolean} [interactive] - May ask for folder permission
+ * @returns {Promise<Array<Object>>} { name, file, size, createdAt, manifest }; manifest
+ *          is null for a damaged file
+ */
+async function listSnapshots(interactive = false) {
+    const folder = await getSnapshotFolder(interactive);
+    const snapshots = [];
+
+    for (const name of await getSnapshotNames(folder)) {
+        const file = await (await folder.getFileHandle(name)).getFile();
+        let manifest = null;
+        try {
+            manifest = await readBackupManifest(file);
+        } catch (error) {
+            console.warn(`Unreadable snapshot ${name}:`, error);
+        }
+        snapshots.push({
+            name,
+            file,
+            size: file.size,
+            createdAt: manifest?.createdAt || new Date(file.lastModified).toISOString(),
+            manifest
+        });
+    }
+
+    return snapshots;
+}
+
+async function deleteSnapshot(name) {
+    const folder = await getSnapshotFolder(true);
+    await folder.removeEntry(name);
+}
+
+// =============================================================================
+// WRITING
+// =============================================================================
+
+let snapshotState = { lastAt: null, changes: 0, error: null };
+let snapshotRun = null;
+let snapshotCheckTimer = null;
+
+function getSnapshotState() {
+    return { ...snapshotState };
+}
+
+function saveSnapshotState(changes) {
+    snapshotState = { ...snapshotState, ...changes };
+    return tripDB.setSetting('snapshotState', snapshotState);
+}
+
+async function writeSnapshot(interactive) {
+    const { keep } = await getSnapshotSettings();
+    const folder = await getSnapshotFolder(interactive);
+    const createdAt = new Date().toISOString();
+    // To the millisecond, so a manual and a scheduled snapshot cannot share a name
+    const name = `snapshot-${createdAt.replace(/Z$/, '').replace(/[:.]/g, '-')}.zip`;
+
+    // Changes made while writing count towards the next snapshot
+    const counted = snapshotState.changes;
+
+    // Data reaches the file on close() only; a failed snapshot leaves an empty file to remove
+    const handle = await folder.getFileHandle(name, { create: true });
+    const writable = await handle.createWritable();
+    try {
+        await createBackupArchive({ write: part => writable.write(part) });
+        await writable.close();
+    } catch (error) {
+        await writable.abort();
+        await folder.removeEntry(name).catch(() => {});
+        throw error;
+    }
+
+    await saveSnapshotState({ lastAt: createdAt, changes: snapshotState.changes - counted, error: null });
+
+    // Retention
+    const names = await getSnapshotNames(folder);
+    for (const old of names.slice(Math.max(keep, 1))) {
+        await folder.removeEntry(old);
+    }
+
+    return name;
+}
+
+/**
+ * Write a snapshot now and apply the retention policy
+ * Calls made while a snapshot is being written share it.
+ * @param {Object} [options]
+ * @param {boolean} [options.interactive] - May ask for folder permission
+ * @returns {Promise<string>} File name of the snapshot
+ */
+function takeSnapshot({ interactive = false } = {}) {
+    if (!snapshotRun) {
+        snapshotRun = writeSnapshot(interactive)
+            .catch(async (error) => {
+                await saveSnapshotState({ error: error.message });
+                throw error;
+            })
+            .finally(() => {
+                snapshotRun = null;
+            });
+    }
+    return snapshotRun;
+}
+
+// =============================================================================
+// SCHEDULE
+// =============================================================================
+
+function isSnapshotDue(settings) {
+    const { lastAt, changes } = snapshotState;
+
+    if (settings.schedule === 'changes') return changes >= settings.changes;
+
+    const interval = SNAPSHOT_SCHEDULES[settings.schedule]?.interval;
+    if (!interval) return false;
+    return !lastAt || (changes > 0 && Date.now() - new Date(lastAt).getTime() >= interval);
+}
+
+/**
+ * Take a snapshot if the schedule says so
+ * @returns {Promise<string|null>} File name, or null when none was due or it failed
+ */
+async function checkSnapshotSchedule() {
+    try {
+        const settings = await getSnapshotSettings();
+        if (!isSnapshotDue(settings)) {
+            // Keep the change count across restarts
+            await saveSnapshotState({});
+            return null;
+        }
+
+        return await takeSnapshot();
+    } catch (error) {
+        console.warn('Scheduled snapshot failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Count changes and check the schedule from now on
+ * @returns {Promise<string|null>} Result of the first check
+ */
+async function startSnapshotSchedule() {
+    snapshotState = { ...snapshotState, ...(await tripDB.getSetting('snapshotState')) };
+
+    tripDB.onDataChanged((storeName) => {
+        if (!SNAPSHOT_STORES.includes(storeName)) return;
+        snapshotState.changes++;
+
+        clearTimeout(snapshotCheckTimer);
+        snapshotCheckTimer = setTimeout(checkSnapshotSchedule, SNAPSHOT_SETTLE_DELAY);
+    });
+    setInterval(checkSnapshotSchedule, SNAPSHOT_CHECK_INTERVAL);
+
+    return checkSnapshotSchedule();
+}
@@ -0,0 +1,219 @@
+/**
+ * Trip Logbook - Offline Map Tiles
+ *
+ * @description Downloads map tiles for a region so the maps keep working offline.
+ * @version 1.0.0
+ *
+ * Each region gets its own Cache Storage cache (TILE_REGION_CACHE_PREFIX + id),
+ * so evicting a region is a single caches.delete(). Region metadata lives in the
+ * tileRegions store. Tiles are stored under a normalized URL (see normalizeTileUrl)
+ * that sw.js also uses, so they are found whatever subdomain Leaflet picks.
+ *
+ * Loaded by both the page and the service worker (importScripts).
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const TILE_REGION_CACHE_PREFIX = 'trip-logbook-region-';
+const TILE_SUBDOMAINS = ['a', 'b', 'c'];        // Leaflet's default {s} values
+const TILE_MAX_ZOOM = 16;                       // Street level; deeper zooms explode in size
+const TILE_ESTIMATED_BYTES = 25 * 1024;         // Typical raster tile, for estimates only
+const TILE_DOWNLOAD_CONCURRENCY = 4;
+const DEFAULT_TILE_QUOTA_MB = 200;
+
+// =============================================================================
+// TILE MATH
+// =============================================================================
+
+/**
+ * Tile URL without its load-balancing subdomain ("https://b.host/..." -> "https://a.host/...")
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeTileUrl(url) {
+    return url.replace(/^(https?:\/\/)[a-d]\./, '$1a.');
+}
+
+// Web Mercator stops at about 85.05 degrees
+function clampLatitude(lat) {
+    return Math.max(-85.0511, Math.min(85.0511, lat));
+}
+
+function tileX(lng, zoom) {
+    return Math.floor((lng + 180) / 360 * 2 ** zoom);
+}
+
+function tileY(lat, zoom) {
+    const rad = clampLatitude(lat) * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * 2 ** zoom);
+}
+
+/**
+ * Tile index range covering a bounding box at one zoom level
+ * @param {Object} bounds - { south, west, north, east } in degrees
+ * @param {number} zoom
+ * @returns {Object} { minX, maxX, minY, maxY }
+ */
+function tileRange(bounds, zoom) {
+    const last = 2 ** zoom - 1;
+    const clamp = (value) => Math.max(0, Math.min(last, value));
+    return {
+        minX: clamp(tileX(bounds.west, zoom)),
+        maxX: clamp(tileX(bounds.east, zoom)),
+        minY: clamp(tileY(bounds.north, zoom)),
+        maxY: clamp(tileY(bounds.south, zoom))
+    };
+}
+
+function countTiles(bounds, minZoom, maxZoom) {
+    let count = 0;
+    for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+        const { minX, maxX, minY, maxY } = tileRange(bounds, zoom);
+        count += (maxX - minX + 1) * (maxY - minY + 1);
+    }
+    return count;
+}
+
+/**
+ * URLs of every tile in a region, lowest zoom first
+ * @param {string} template - Leaflet URL template with {s}, {z}, {x}, {y} and {r}
+ * @param {Object} bounds - { south, west, north, east }
+ * @param {number} minZoom
+ * @param {number} maxZoom
+ * @param {string} [retina] - Value for {r}, '@2x' on high-DPI screens
+ */
+function* tileUrls(template, bounds, minZoom, maxZoom, retina = '') {
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const { minX, maxX, minY, maxY } = tileRange(bounds, z);
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                yield template
+                    .replace('{s}', TILE_SUBDOMAINS[0])
+                    .replace('{z}', z)
+                    .replace('{x}', x)
+                    .replace('{y}', y)
+                    .replace('{r}', retina);
+            }
+        }
+    }
+}
+
+/**
+ * Bounding box around a set of points, padded on every side
+ * @param {Array<Array<number>>} points - [lat, lng] pairs
+ * @param {number} [padding=0.1] - Padding in degrees
+ * @returns {Object|null} { south, west, north, east }
+ */
+function boundsAround(points, padding = 0.1) {
+    if (points.length === 0) return null;
+
+    const lats = points.map(([lat]) => lat);
+    const lngs = points.map(([, lng]) => lng);
+    return {
+        south: clampLatitude(Math.min(...lats) - padding),
+        west: Math.max(-180, Math.min(...lngs) - padding),
+        north: clampLatitude(Math.max(...lats) + padding),
+        east: Math.min(180, Math.max(...lngs) + padding)
+    };
+}
+
+// =============================================================================
+// REGIONS
+// =============================================================================
+
+async function getTileQuota() {
+    const quotaMB = await tripDB.getSetting('tileQuotaMB', DEFAULT_TILE_QUOTA_MB);
+    return quotaMB * 1024 * 1024;
+}
+
+async function getTileUsage() {
+    const regions = await tripDB.getTileRegions();
+    return regions.reduce((sum, region) => sum + (region.bytes || 0), 0);
+}
+
+/**
+ * Download every tile of a region into its own cache
+ * @param {Object} region - { name, bounds, minZoom, maxZoom, templates, retina, tripId };
+ *        every tile layer in templates is saved for the whole area
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { done, total, bytes, failed }
+ * @param {AbortSignal} [options.signal] - Cancels the download and removes what was stored
+ * @returns {Promise<Object>} The saved region record
+ */
+async function downloadTileRegion(region, { onProgress, signal } = {}) {
+    const total = countTiles(region.bounds, region.minZoom, region.maxZoom) * region.templates.length;
+    const available = (await getTileQuota()) - (await getTileUsage());
+    if (total * TILE_ESTIMATED_BYTES > available) {
+        throw new Error('Not enough offline map space: lower the zoom or raise the limit in Settings');
+    }
+
+    const { templates, retina, ...metadata } = region;
+    const record = {
+        ...metadata,
+        styles: templates,
+        tileCount: 0,
+        bytes: 0,
+        status: 'downloading',
+        createdAt: new Date().toISOString()
+    };
+    record.id = await tripDB.addTileRegion(record);
+
+    const cache = await caches.open(TILE_REGION_CACHE_PREFIX + record.id);
+    const urls = (function* () {
+        for (const template of templates) {
+            yield* tileUrls(template, region.bounds, region.minZoom, region.maxZoom, retina);
+        }
+    })();
+    const progress = { done: 0, total, bytes: 0, failed: 0 };
+    let quotaReached = false;
+
+    const worker = async () => {
+        for (const url of urls) {
+            if (signal?.aborted || quotaReached) return;
+
+            try {
+                // no-store: sw.js passes it to the network instead of filling its runtime cache
+                const response = await fetch(url, { mode: 'cors', cache: 'no-store', signal });
+                if (!response.ok) throw new Error(`Tile request failed with status ${response.status}`);
+
+                // Region tiles never expire, so they carry no runtime cache timestamp
+                const headers = new Headers(response.headers);
+                headers.delete('X-Cached-At');
+                const blob = await response.blob();
+                await cache.put(normalizeTileUrl(url), new Response(blob, { headers }));
+                progress.bytes += blob.size;
+                quotaReached = progress.bytes > available;
+            } catch (error) {
+                if (signal?.aborted) return;
+                progress.failed++;
+            }
+
+            progress.done++;
+            onProgress?.({ ...progress });
+        }
+    };
+
+    // Workers share the generator, so each tile is fetched once
+    await Promise.all(Array.from({ length: TILE_DOWNLOAD_CONCURRENCY }, worker));
+
+    if (signal?.aborted) {
+        await deleteTileRegion(record.id);
+        throw new DOMException('Download cancelled', 'AbortError');
+    }
+
+    Object.assign(record, {
+        tileCount: progress.done - progress.failed,
+        bytes: progress.bytes,
+        failed: progress.failed,
+        status: quotaReached ? 'partial' : 'complete'
+    });
+    await tripDB.updateTileRegion(record);
+    return record;
+}
+
+async function deleteTileRegion(id) {
+    await caches.delete(TILE_REGION_CACHE_PREFIX + id);
+    await tripDB.deleteTileRegion(id);
+}
@@ -0,0 +1,267 @@
+/**
+ * Trip Logbook - Travel Book
+ *
+ * @description Builds a print-ready travel book of trips, entirely in the browser.
+ * @version 1.0.0
+ *
+ * Layout: a cover with the logbook stats, then a page per trip with a mini-map,
+ * dates, location, tags, journal and photos. The book is printed from a hidden
+ * iframe; choosing "Save as PDF" in the print dialog makes the PDF.
+ *
+ * Mini-maps are drawn on a canvas from map tiles and embedded as images. Tiles
+ * saved for offline use are served by the service worker; when no tile can be
+ * loaded the map is left out.
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const TRAVEL_BOOK_PHOTOS = 6;                   // Photos per trip page
+const STATIC_MAP_WIDTH = 640;
+const STATIC_MAP_HEIGHT = 280;
+const STATIC_MAP_MAX_ZOOM = 11;
+const STATIC_MAP_TILE_SIZE = 256;
+
+// =============================================================================
+// STATIC MAPS
+// =============================================================================
+
+// Web Mercator position in pixels at a zoom level
+function mercatorPixel(lat, lng, zoom) {
+    const size = STATIC_MAP_TILE_SIZE * 2 ** zoom;
+    const rad = clampLatitude(lat) * Math.PI / 180;
+    return {
+        x: (lng + 180) / 360 * size,
+        y: (1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * size
+    };
+}
+
+function loadTileImage(url) {
+    return fetch(url, { mode: 'cors' })
+        .then(response => {
+            if (!response.ok) throw new Error(`Tile request failed with status ${response.status}`);
+            return response.blob();
+        })
+        .then(blob => createImageBitmap(blob));
+}
+
+/**
+ * Draw a small map around some points, joined in order like an itinerary
+ * @param {Array<Array<number>>} points - [lat, lng] pairs
+ * @param {string} template - Leaflet tile URL template
+ * @returns {Promise<string>} PNG data URL, or '' when no tile could be loaded
+ */
+async function renderStaticMap(points, template) {
+    if (points.length === 0) return '';
+
+    // Deepest zoom that fits every point, with some margin
+    let zoom = STATIC_MAP_MAX_ZOOM;
+    let pixels;
+    for (; zoom > 0; zoom--) {
+        pixels = points.map(([lat, lng]) => mercatorPixel(lat, lng, zoom));
+        const xs = pixels.map(p => p.x);
+        const ys = pixels.map(p => p.y);
+        if (Math.max(...xs) - Math.min(...xs) < STATIC_MAP_WIDTH * 0.8 &&
+            Math.max(...ys) - Math.min(...ys) < STATIC_MAP_HEIGHT * 0.8) break;
+    }
+    pixels = points.map(([lat, lng]) => mercatorPixel(lat, lng, zoom));
+
+    const xs = pixels.map(p => p.x);
+    const ys = pixels.map(p => p.y);
+    const left = (Math.min(...xs) + Math.max(...xs) - STATIC_MAP_WIDTH) / 2;
+    const top = (Math.min(...ys) + Math.max(...ys) - STATIC_MAP_HEIGHT) / 2;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = STATIC_MAP_WIDTH;
+    canvas.height = STATIC_MAP_HEIGHT;
+    const ctx = canvas.getContext('2d');
+
+    const tiles = [];
+    const last = 2 ** zoom - 1;
+    for (let x = Math.floor(left / STATIC_MAP_TILE_SIZE); x <= Math.floor((left + STATIC_MAP_WIDTH) / STATIC_MAP_TILE_SIZE); x++) {
+        for (let y = Math.floor(top / STATIC_MAP_TILE_SIZE); y <= Math.floor((top + STATIC_MAP_HEIGHT) / STATIC_MAP_TILE_SIZE); y++) {
+            if (y < 0 || y > last) continue;
+            // Wrap around the antimeridian
+            const tileX = ((x % (last + 1)) + last + 1) % (last + 1);
+            const url = template
+                .replace('{s}', TILE_SUBDOMAINS[0])
+                .replace('{z}', zoom)
+                .replace('{x}', tileX)
+                .replace('{y}', y)
+                .replace('{r}', '');
+            tiles.push(loadTileImage(url)
+                .then(image => {
+                    ctx.drawImage(image, x * STATIC_MAP_TILE_SIZE - left, y * STATIC_MAP_TILE_SIZE - top);
+                    return true;
+                })
+                .catch(() => false));
+        }
+    }
+    if (!(await Promise.all(tiles)).includes(true)) return '';
+
+    const canvasPoints = pixels.map(p => [p.x - left, p.y - top]);
+    if (canvasPoints.length > 1) {
+        ctx.strokeStyle = '#6c5ce7';
+        ctx.lineWidth = 3;
+        ctx.setLineDash([6, 8]);
+        ctx.beginPath();
+        canvasPoints.forEach(([x, y], index) => (index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    canvasPoints.forEach(([x, y]) => {
+        ctx.fillStyle = '#6c5ce7';
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, 7, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    });
+
+    return canvas.toDataURL('image/png');
+}
+
+// =============================================================================
+// BOOK
+// =============================================================================
+
+const TRAVEL_BOOK_STYLES = `
+    @page { size: A4; margin: 16mm; }
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #222; font-size: 11pt; line-height: 1.5; }
+    .book-trip { break-before: page; }
+    .book-cover { min-height: 250mm; display: flex; flex-direction: column; justify-content: center; text-align: center; }
+    .book-cover h1 { font-size: 32pt; margin: 0 0 4mm; }
+    .book-cover .book-range { color: #666; margin-bottom: 12mm; }
+    .book-stats { display: grid; grid-template-columns: repeat(3, 1fr); gap: 6mm; margin: 0 auto 12mm; width: 80%; }
+    .book-stat strong { display: block; font-size: 22pt; color: #6c5ce7; }
+    .book-stat span { color: #666; font-size: 9pt; text-transform: uppercase; letter-spacing: 0.05em; }
+    .book-countries { color: #444; font-size: 10pt; }
+    .book-trip h2 { font-size: 20pt; margin: 0 0 1mm; }
+    .book-meta { color: #666; margin-bottom: 3mm; }
+    .book-map { width: 100%; border-radius: 3mm; margin-bottom: 4mm; }
+    .book-tags span { display: inline-block; background: #eeeaff; color: #6c5ce7; border-radius: 3mm; padding: 0 3mm; margin: 0 2mm 2mm 0; font-size: 9pt; }
+    .book-journal h3 { font-size: 11pt; color: #6c5ce7; margin: 4mm 0 1mm; }
+    .book-journal h4, .book-journal h5 { margin: 3mm 0 1mm; }
+    .book-journal p { margin: 0 0 2mm; }
+    .book-journal img { max-width: 60%; display: block; margin: 2mm 0; border-radius: 2mm; }
+    .book-photos { display: grid; grid-template-columns: repeat(3, 1fr); gap: 3mm; margin-top: 4mm; break-inside: avoid; }
+    .book-photos img { width: 100%; height: 40mm; object-fit: cover; border-radius: 2mm; }
+    .book-credits { color: #999; font-size: 7pt; margin-top: 12mm; }
+`;
+
+function formatBookDate(date) {
+    return date ? new Date(date).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }) : '';
+}
+
+function getBookCoverHTML(title, trips, stats, attribution) {
+    const dated = trips.filter(trip => trip.startDate).map(trip => trip.startDate).sort();
+    const countries = [...new Set(trips.flatMap(trip => TripDatabase.tripLocations(trip).map(l => l.country)).filter(Boolean))].sort();
+    const statItems = [
+        ['Trips', stats.trips],
+        ['Countries', stats.countries],
+        ['Cities', stats.cities],
+        ['Places', stats.places],
+        ['Days Away', stats.days],
+        ['Photos', stats.photos]
+    ];
+
+    return `
+        <section class="book-cover">
+            <h1>${escapeHtml(title)}</h1>
+            <div class="book-range">${dated.length > 0 ? `${formatBookDate(dated[0])} – ${formatBookDate(dated[dated.length - 1])}` : ''}</div>
+            <div class="book-stats">
+                ${statItems.map(([label, value]) => `<div class="book-stat"><strong>${value}</strong><span>${label}</span></div>`).join('')}
+            </div>
+            <div class="book-countries">${countries.map(escapeHtml).join(' · ')}</div>
+            ${attribution ? `<p class="book-credits">Maps ${attribution}</p>` : ''}
+        </section>
+    `;
+}
+
+function getBookTripHTML(trip, photos, mapImage) {
+    const photoURL = (id) => photoURLs.get(photos.find(photo => photo.id === id), 'medium');
+    const places = TripDatabase.tripLocations(trip)
+        .map(l => [l.place, l.city, l.country].filter(Boolean).join(', '))
+        .filter(Boolean);
+    const journal = [...(trip.journal || [])].sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+
+    return `
+        <section class="book-trip">
+            <h2>${escapeHtml(trip.title || 'Untitled Trip')}</h2>
+            <div class="book-meta">
+                📅 ${formatBookDate(trip.startDate)}${trip.endDate && trip.endDate !== trip.startDate ? ` – ${formatBookDate(trip.endDate)}` : ''}
+                ${places.length > 0 ? `<br>📍 ${places.map(escapeHtml).join(' → ')}` : ''}
+            </div>
+            ${mapImage ? `<img class="book-map" src="${mapImage}" alt="">` : ''}
+            ${trip.tags?.length > 0 ? `<div class="book-tags">${trip.tags.map(tag => `<span>#${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+            <div class="book-journal">
+                ${journal.map(entry => `
+                    ${entry.date ? `<h3>${formatBookDate(entry.date)}</h3>` : ''}
+                    ${renderMarkdown(entry.body, { photoURL })}
+                `).join('')}
+            </div>
+            ${photos.length > 0 ? `
+                <div class="book-photos">
+                    ${photos.slice(0, TRAVEL_BOOK_PHOTOS).map(photo => `<img src="${photoURLs.get(photo, 'medium')}" alt="">`).join('')}
+                </div>
+            ` : ''}
+        </section>
+    `;
+}
+
+/**
+ * Build the travel book and open the print dialog
+ * @param {Array<Object>} trips - In any order; the book runs oldest first
+ * @param {Object} options
+ * @param {string} options.title - Cover title
+ * @param {string} options.tileTemplate - Tile URL template for the mini-maps
+ * @param {string} [options.attribution] - Map credits (HTML) printed on the cover
+ * @returns {Promise<void>} Resolves once the print dialog has been opened
+ */
+async function printTravelBook(trips, { title, tileTemplate, attribution = '' }) {
+    const ordered = [...trips].sort((a, b) => (a.startDate || '').localeCompare(b.startDate || ''));
+    const stats = await tripDB.getStats(ordered);
+
+    const pages = [];
+    for (const trip of ordered) {
+        const photos = await tripDB.getPhotosByTripId(trip.id);
+        const points = TripDatabase.tripLocations(trip)
+            .filter(l => typeof l.lat === 'number' && typeof l.lng === 'number')
+            .map(l => [l.lat, l.lng]);
+        const mapImage = await renderStaticMap(points, tileTemplate);
+        pages.push(getBookTripHTML(trip, photos, mapImage));
+    }
+
+    const iframe = document.createElement('iframe');
+    iframe.className = 'print-frame';
+    iframe.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(iframe);
+
+    const doc = iframe.contentDocument;
+    doc.open();
+    doc.write(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>${TRAVEL_BOOK_STYLES}</style>
+</head>
+<body>
+    ${getBookCoverHTML(title, ordered, stats, attribution)}
+    ${pages.join('')}
+</body>
+</html>`);
+    doc.close();
+
+    // Photos and maps must be decoded before printing
+    await Promise.all([...doc.images].map(image => image.complete ? null : new Promise(resolve => {
+        image.onload = image.onerror = resolve;
+    })));
+
+    iframe.contentWindow.addEventListener('afterprint', () => iframe.remove());
+    iframe.contentWindow.focus();
+    iframe.contentWindow.print();
+}
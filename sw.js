@@ -1,51 +1,124 @@
 /**
  * Trip Logbook - Service Worker
- * Enables offline functionality and caching
+ * Enables offline functionality and caching, and replays the outbox on background sync
  */
 
-const CACHE_NAME = 'trip-logbook-v1';
-const STATIC_ASSETS = [
-    '/',
-    '/index.html',
-    '/css/styles.css',
-    '/js/db.js',
-    '/js/app.js',
-    '/manifest.json',
-    'https://fonts.googleapis.com/css2?family=Outfit:wght@300;400;500;600;700&display=swap',
-    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
-    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js'
+// Shared with the page: database access (with journal text for the search index),
+// outbox task handlers and tile URLs
+importScripts('/js/markdown.js', '/js/db.js', '/js/geocoder.js', '/js/outbox.js', '/js/tiles.js');
+
+const CACHE_PREFIX = 'trip-logbook';
+
+// precache-manifest:start
+// Generated by tools/precache-manifest.js - run it after changing any listed file
+const PRECACHE_VERSION = '2110b14ff7e0';
+const PRECACHE_MANIFEST = [
+    { url: '/index.html', revision: '398e38f40d58' },
+    { url: '/css/styles.css', revision: '73a156ac5240' },
+    { url: '/js/markdown.js', revision: 'c0073ed48f8e' },
+    { url: '/js/db.js', revision: 'e04393ad37b1' },
+    { url: '/js/query.js', revision: '2cfbda298b4c' },
+    { url: '/js/photos.js', revision: '564f5a7b4b36' },
+    { url: '/js/geocoder.js', revision: '67da6e1c0eb6' },
+    { url: '/js/tiles.js', revision: '47aa4875eb89' },
+    { url: '/js/geoformats.js', revision: '22a941f8de86' },
+    { url: '/js/ical.js', revision: '402ec1c736b9' },
+    { url: '/js/travelbook.js', revision: '744fae5e379e' },
+    { url: '/js/archive.js', revision: '757ea39c2e52' },
+    { url: '/js/snapshots.js', revision: 'd70441db985d' },
+    { url: '/js/outbox.js', revision: '78134ccd1610' },
+    { url: '/js/app.js', revision: '9c87e9aedc59' },
+    { url: '/data/countries.geojson', revision: '263bc5ea80d2' },
+    { url: '/data/gazetteer.json', revision: 'c627b18acd82' },
+    { url: '/manifest.json', revision: '7295d273545e' },
+    { url: '/icons/icon-512.svg', revision: '584751d83441' },
+    { url: 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css', revision: null },
+    { url: 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js', revision: null },
+    { url: 'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css', revision: null },
+    { url: 'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js', revision: null },
+    { url: 'https://unpkg.com/leaflet.heat@0.2.0/dist/leaflet-heat.js', revision: null }
 ];
+// precache-manifest:end
 
-// Install event - cache static assets
-self.addEventListener('install', (event) => {
-    console.log('[SW] Installing service worker...');
+const PRECACHE_NAME = `${CACHE_PREFIX}-precache-${PRECACHE_VERSION}`;
+const REVISION_HEADER = 'X-Precache-Revision';
+const CACHED_AT_HEADER = 'X-Cached-At';
 
-    event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then((cache) => {
-                console.log('[SW] Caching static assets');
-                return cache.addAll(STATIC_ASSETS);
-            })
-            .then(() => {
-                console.log('[SW] Service worker installed');
-                return self.skipWaiting();
-            })
-            .catch((error) => {
-                console.error('[SW] Cache failed:', error);
-            })
-    );
+/**
+ * Runtime caches, filled as the app is used
+ * Entries older than maxAge are refetched; beyond maxEntries the oldest are dropped.
+ */
+const RUNTIME_CACHES = {
+    tiles: {
+        name: `${CACHE_PREFIX}-tiles`,
+        maxEntries: 2000,
+        maxAge: 30 * 24 * 60 * 60 * 1000,     // 30 days
+        matches: (url) => url.hostname.endsWith('basemaps.cartocdn.com')
+            || url.hostname.endsWith('tile.openstreetmap.org')
+            || url.hostname === 'server.arcgisonline.com'
+    },
+    fonts: {
+        name: `${CACHE_PREFIX}-fonts`,
+        maxEntries: 30,
+        maxAge: 365 * 24 * 60 * 60 * 1000,    // 1 year
+        matches: (url) => url.hostname === 'fonts.googleapis.com'
+            || url.hostname === 'fonts.gstatic.com'
+    }
+};
+
+// Same-origin entries are matched by path, cross-origin ones by full URL
+function precacheKey(url) {
+    return url.origin === self.location.origin ? url.pathname : url.href;
+}
+
+const PRECACHED_KEYS = new Set(
+    PRECACHE_MANIFEST.map(({ url }) => precacheKey(new URL(url, self.location.origin)))
+);
+
+// Install event - precache the app shell for this version
+self.addEventListener('install', (event) => {
+    console.log(`[SW] Installing version ${PRECACHE_VERSION}...`);
+    event.waitUntil(precache());
+    // No skipWaiting here: the page asks for it once the user accepts the update
 });
 
-// Activate event - cleanup old caches
+async function precache() {
+    const cache = await caches.open(PRECACHE_NAME);
+    const cacheNames = await caches.keys();
+    const previous = cacheNames.filter(name => name.startsWith(`${CACHE_PREFIX}-precache-`) && name !== PRECACHE_NAME);
+
+    await Promise.all(PRECACHE_MANIFEST.map(async ({ url, revision }) => {
+        // Files whose revision did not change are copied instead of downloaded again
+        for (const name of previous) {
+            const cached = await (await caches.open(name)).match(url);
+            if (cached && cached.headers.get(REVISION_HEADER) === String(revision)) {
+                return cache.put(url, cached);
+            }
+        }
+
+        const response = await fetch(new Request(url, { cache: 'reload' }));
+        if (!response.ok) {
+            throw new Error(`Precache of ${url} failed with status ${response.status}`);
+        }
+        return cache.put(url, withHeader(response, REVISION_HEADER, String(revision)));
+    }));
+
+    console.log(`[SW] Precached ${PRECACHE_MANIFEST.length} files`);
+}
+
+// Activate event - drop caches of older versions (downloaded map regions stay)
 self.addEventListener('activate', (event) => {
     console.log('[SW] Activating service worker...');
 
+    const keep = new Set([PRECACHE_NAME, ...Object.values(RUNTIME_CACHES).map(config => config.name)]);
+    const isObsolete = (name) => !keep.has(name) && !name.startsWith(TILE_REGION_CACHE_PREFIX);
+
     event.waitUntil(
         caches.keys()
             .then((cacheNames) => {
                 return Promise.all(
                     cacheNames
-                        .filter((name) => name !== CACHE_NAME)
+                        .filter(isObsolete)
                         .map((name) => {
                             console.log('[SW] Deleting old cache:', name);
                             return caches.delete(name);
@@ -53,81 +126,146 @@ self.addEventListener('activate', (event) => {
                 );
             })
             .then(() => {
-                console.log('[SW] Service worker activated');
+                console.log(`[SW] Version ${PRECACHE_VERSION} activated`);
                 return self.clients.claim();
             })
     );
 });
 
-// Fetch event - serve from cache, fallback to network
+// Fetch event - precache first, map regions and runtime caches for tiles and fonts, network for the rest
 self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
     // Skip non-GET requests
-    if (event.request.method !== 'GET') {
+    if (request.method !== 'GET') {
         return;
     }
 
     // Skip chrome-extension and other non-http requests
-    if (!event.request.url.startsWith('http')) {
+    if (!request.url.startsWith('http')) {
         return;
     }
 
-    event.respondWith(
-        caches.match(event.request)
-            .then((cachedResponse) => {
-                if (cachedResponse) {
-                    // Return cached response and update cache in background
-                    event.waitUntil(updateCache(event.request));
-                    return cachedResponse;
-                }
-
-                // Not in cache, fetch from network
-                return fetch(event.request)
-                    .then((response) => {
-                        // Cache the new response
-                        if (response.ok && shouldCache(event.request.url)) {
-                            const responseClone = response.clone();
-                            caches.open(CACHE_NAME)
-                                .then((cache) => {
-                                    cache.put(event.request, responseClone);
-                                });
-                        }
-                        return response;
-                    })
-                    .catch(() => {
-                        // Network failed, return offline page for navigation
-                        if (event.request.mode === 'navigate') {
-                            return caches.match('/index.html');
-                        }
-                        return new Response('Offline', { status: 503 });
-                    });
-            })
-    );
+    const url = new URL(request.url);
+
+    // Every navigation gets the app shell
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('/index.html', { cacheName: PRECACHE_NAME })
+                .then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    if (PRECACHED_KEYS.has(precacheKey(url))) {
+        event.respondWith(
+            caches.match(precacheKey(url), { cacheName: PRECACHE_NAME })
+                .then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    if (RUNTIME_CACHES.tiles.matches(url)) {
+        // Region downloads (tiles.js) store tiles themselves
+        if (request.cache !== 'no-store') event.respondWith(serveTile(event));
+        return;
+    }
+
+    if (RUNTIME_CACHES.fonts.matches(url)) {
+        event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHES.fonts));
+    }
 });
 
-// Update cache in background
-async function updateCache(request) {
+// Copy a response with one extra header (opaque responses can't be copied)
+function withHeader(response, name, value) {
+    if (response.type === 'opaque') return response;
+
+    const headers = new Headers(response.headers);
+    headers.set(name, value);
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+function isExpired(response, config) {
+    const cachedAt = parseInt(response.headers.get(CACHED_AT_HEADER));
+    return !isNaN(cachedAt) && Date.now() - cachedAt > config.maxAge;
+}
+
+// Fetch a request and store it in a runtime cache, keeping the cache within its limit
+async function fetchAndCache(event, config) {
+    const response = await fetch(event.request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(config.name);
+        await cache.put(event.request, withHeader(response.clone(), CACHED_AT_HEADER, String(Date.now())));
+        event.waitUntil(trimCache(config));
+    }
+    return response;
+}
+
+// Listing a large cache is slow, so only check the limit every TRIM_INTERVAL writes
+const TRIM_INTERVAL = 50;
+const writesSinceTrim = new Map();
+
+// Keys come back in insertion order, so the first ones are the oldest
+async function trimCache(config) {
+    const writes = (writesSinceTrim.get(config.name) || 0) + 1;
+    writesSinceTrim.set(config.name, writes % TRIM_INTERVAL);
+    if (writes < TRIM_INTERVAL) return;
+
+    const cache = await caches.open(config.name);
+    const keys = await cache.keys();
+    const excess = keys.slice(0, Math.max(0, keys.length - config.maxEntries));
+    await Promise.all(excess.map(key => cache.delete(key)));
+}
+
+async function cacheFirst(event, config) {
+    const cached = await caches.match(event.request, { cacheName: config.name });
+    if (cached && !isExpired(cached, config)) {
+        return cached;
+    }
+
     try {
-        const response = await fetch(request);
-        if (response.ok && shouldCache(request.url)) {
-            const cache = await caches.open(CACHE_NAME);
-            await cache.put(request, response);
-        }
+        return await fetchAndCache(event, config);
     } catch (error) {
-        // Network request failed, ignore
+        // Offline: an expired copy beats nothing
+        return cached || new Response('Offline', { status: 503 });
     }
 }
 
-// Check if URL should be cached
-function shouldCache(url) {
-    // Don't cache API calls or external resources except CDN
-    const cacheableOrigins = [
-        self.location.origin,
-        'https://fonts.googleapis.com',
-        'https://fonts.gstatic.com',
-        'https://unpkg.com'
-    ];
-
-    return cacheableOrigins.some(origin => url.startsWith(origin));
+// Downloaded regions first (stored under normalized URLs, never expire), then the runtime cache
+async function serveTile(event) {
+    const downloaded = await matchRegionTile(event.request.url);
+    return downloaded || cacheFirst(event, RUNTIME_CACHES.tiles);
+}
+
+// Looks in region caches only: the runtime cache can hold the same URL, with an expiry
+async function matchRegionTile(url) {
+    const key = normalizeTileUrl(url);
+    const regions = (await caches.keys()).filter(name => name.startsWith(TILE_REGION_CACHE_PREFIX));
+    for (const cacheName of regions) {
+        const response = await caches.match(key, { cacheName });
+        if (response) return response;
+    }
+    return null;
+}
+
+async function staleWhileRevalidate(event, config) {
+    const cached = await caches.match(event.request, { cacheName: config.name });
+    const refresh = fetchAndCache(event, config);
+
+    if (cached && !isExpired(cached, config)) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+
+    try {
+        return await refresh;
+    } catch (error) {
+        return cached || new Response('Offline', { status: 503 });
+    }
 }
 
 // Handle messages from main thread
@@ -137,12 +275,29 @@ self.addEventListener('message', (event) => {
     }
 });
 
-// Background sync for future use
+// Background sync - replay queued network tasks
 self.addEventListener('sync', (event) => {
     console.log('[SW] Background sync:', event.tag);
-    // Handle background sync for offline data
+    if (event.tag !== OUTBOX_SYNC_TAG) return;
+
+    event.waitUntil(
+        replayOutbox().then(async (report) => {
+            await notifyClients({ type: 'outbox', report });
+
+            // Rejecting makes the browser fire the sync again later
+            if (report.pending > 0 && !event.lastChance) {
+                throw new Error(`${report.pending} outbox task(s) still pending`);
+            }
+        })
+    );
 });
 
+// Post a message to every open page
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
 // Push notifications for future use
 self.addEventListener('push', (event) => {
     console.log('[SW] Push received');
@@ -0,0 +1,58 @@
+/**
+ * Backup archive tests
+ *
+ * Run with: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+function loadArchive(records) {
+    const scope = loadScripts('markdown.js', 'db.js', 'archive.js');
+    scope('tripDB').exportRecords = async () => ({ ...records(), version: scope('DB_VERSION') });
+    return scope;
+}
+
+const sampleRecords = () => ({
+    trips: [{ id: 1, title: 'Lisbon' }],
+    photos: [{ id: 5, tripId: 1, type: 'image/jpeg', blob: new Blob([new Uint8Array([1, 2, 3, 255])], { type: 'image/jpeg' }) }],
+    media: [{ id: 2, tripId: 1, type: 'audio/webm', blob: new Blob(['memo'], { type: 'audio/webm' }) }]
+});
+
+for (const password of ['', 'correct horse']) {
+    test(`an archive ${password ? 'with' : 'without'} a password restores every record`, async () => {
+        const scope = loadArchive(sampleRecords);
+        const archive = await scope('openBackupArchive')(await scope('createBackupArchive')({ password }));
+        assert.strictEqual(archive.manifest.photos, 1);
+        assert.strictEqual(Boolean(archive.manifest.encryption), Boolean(password));
+
+        const data = await scope('readBackupArchive')(archive, password);
+        assert.strictEqual(data.trips[0].title, 'Lisbon');
+        assert.strictEqual(data.photos[0].needsSizes, 1);
+        assert.strictEqual(data.photos[0].blob.type, 'image/jpeg');
+        assert.deepStrictEqual([...new Uint8Array(await data.photos[0].blob.arrayBuffer())], [1, 2, 3, 255]);
+        assert.strictEqual(await data.media[0].blob.text(), 'memo');
+
+        if (password) {
+            await assert.rejects(scope('readBackupArchive')(archive, 'wrong'), /Wrong password/);
+        }
+    });
+}
+
+test('a damaged entry is rejected before anything is returned', async () => {
+    const scope = loadArchive(sampleRecords);
+    const bytes = new Uint8Array(await (await scope('createBackupArchive')()).arrayBuffer());
+    bytes[30 + 'photos/5.jpeg'.length] ^= 1;   // First byte of the photo
+
+    const archive = await scope('openBackupArchive')(new Blob([bytes]));
+    await assert.rejects(scope('readBackupArchive')(archive), /Checksum mismatch for photos\/5.jpeg/);
+});
+
+test('the ZIP writer refuses more entries than the format can count', async () => {
+    const scope = loadArchive(sampleRecords);
+    const zip = new (scope('ZipWriter'))(() => {});
+    const empty = new Uint8Array(0);
+    for (let i = 0; i < 0xFFFF; i++) await zip.addFile(`${i}`, empty);
+    await assert.rejects(zip.addFile('one-too-many', empty), { name: 'RangeError', message: /65,535 files/ });
+});
@@ -0,0 +1,36 @@
+/**
+ * Geocoder tests
+ *
+ * Run with: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+function loadGeocoder(providers) {
+    const scope = loadScripts('markdown.js', 'db.js', 'geocoder.js');
+    const tripDB = scope('tripDB');
+    tripDB.getCachedGeocode = async () => null;
+    tripDB.cacheGeocode = async () => {};
+
+    const geocoder = scope('geocoder');
+    geocoder.gazetteer.lookup = async () => null;
+    geocoder.setProviders(providers);
+    return geocoder;
+}
+
+const failing = { name: 'down', search: async () => { throw new Error('Network error'); } };
+const unknown = { name: 'empty', search: async () => null };
+const working = { name: 'up', search: async () => ({ lat: 38.72, lng: -9.14, label: 'Lisbon' }) };
+
+test('a failing provider falls through to the next one', async () => {
+    const { result, complete } = await loadGeocoder([failing, working]).lookup('Lisbon');
+    assert.strictEqual(result.source, 'up');
+    assert.strictEqual(complete, true);
+});
+
+test('the lookup is incomplete only when every provider failed', async () => {
+    assert.strictEqual((await loadGeocoder([failing, unknown]).lookup('Atlantis')).complete, true);
+    assert.strictEqual((await loadGeocoder([failing, failing]).lookup('Atlantis')).complete, false);
+});
@@ -0,0 +1,44 @@
+/**
+ * Map format import tests
+ *
+ * Run with: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+test('GeoJSON points without two numeric coordinates are skipped', () => {
+    const parseGeoJSON = loadScripts('markdown.js', 'db.js', 'geoformats.js')('parseGeoJSON');
+    const point = (coordinates, name) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates },
+        properties: { name }
+    });
+
+    const trips = parseGeoJSON(JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+            point([-9.14, 38.72], 'Lisbon'),
+            point([2.35, 48.86, 35], 'Paris'),
+            point([12.5], 'Half'),
+            point(['x', 41.9], 'Text'),
+            point(null, 'Missing'),
+            { type: 'Feature', geometry: { type: 'Point' }, properties: { name: 'No coordinates' } }
+        ]
+    }));
+
+    assert.deepStrictEqual(Array.from(trips, trip => trip.title), ['Lisbon', 'Paris']);
+    assert.strictEqual(trips[0].lat, 38.72);
+});
+
+test('malformed GeoJSON documents hold no points', () => {
+    const scope = loadScripts('markdown.js', 'db.js', 'geoformats.js');
+    const parseGeoJSON = scope('parseGeoJSON');
+    const parseGeoFile = scope('parseGeoFile');
+
+    ['null', '42', '{"type":"FeatureCollection"}', '{"type":"FeatureCollection","features":{}}'].forEach(text => {
+        assert.strictEqual(parseGeoJSON(text).length, 0, text);
+    });
+    assert.throws(() => parseGeoFile('geojson', 'null'), { message: /no points/i });
+});
@@ -0,0 +1,33 @@
+/**
+ * Test helpers: load the app's classic scripts into one shared global scope
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Run scripts from js/ in a fresh context, like script tags on one page
+ * @param {...string} files - e.g. 'markdown.js', 'db.js'
+ * @returns {Function} Evaluates an expression in that scope, e.g. scope('TripDatabase')
+ */
+function loadScripts(...files) {
+    const context = vm.createContext({
+        console: { log() {}, warn() {}, error() {} },
+        indexedDB: { open: () => ({}) },
+        IDBKeyRange: { only: value => ({ only: value }) },
+        navigator: { onLine: true },
+        Blob,
+        atob,
+        btoa,
+        crypto,
+        TextEncoder,
+        TextDecoder
+    });
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'), context, { filename: file });
+    });
+    return expression => vm.runInContext(expression, context);
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,51 @@
+/**
+ * Calendar import tests
+ *
+ * Run with: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+test('alarms inside an event do not replace its summary', () => {
+    const parseICS = loadScripts('ical.js')('parseICS');
+    const events = parseICS(calendar(
+        'BEGIN:VEVENT',
+        'UID:flight-1',
+        'SUMMARY:Flight to Lisbon',
+        'DTSTART:20240315T093000',
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        'SUMMARY:Alarm',
+        'DESCRIPTION:Reminder',
+        'TRIGGER:-PT30M',
+        'END:VALARM',
+        'LOCATION:Berlin Brandenburg',
+        'END:VEVENT'
+    ));
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].summary, 'Flight to Lisbon');
+    assert.strictEqual(events[0].description, '');
+    assert.strictEqual(events[0].location, 'Berlin Brandenburg', 'properties after the alarm are read');
+    assert.strictEqual(events[0].kind, 'flight');
+});
+
+test('a stray END:VEVENT is ignored', () => {
+    const parseICS = loadScripts('ical.js')('parseICS');
+    const events = parseICS(calendar(
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'SUMMARY:Hotel Alfama',
+        'DTSTART;VALUE=DATE:20240315',
+        'DTEND;VALUE=DATE:20240318',
+        'END:VEVENT'
+    ));
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].startDate, '2024-03-15');
+    assert.strictEqual(events[0].endDate, '2024-03-17');
+});
@@ -0,0 +1,67 @@
+/**
+ * Import tests
+ *
+ * Run with: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+test('journal photo references follow imported photos to their new ids', () => {
+    const remapJournalPhotos = loadScripts('markdown.js', 'db.js')('remapJournalPhotos');
+    const unchanged = { id: 'a', body: 'No photos here' };
+    const journal = [
+        unchanged,
+        { id: 'b', body: '![Tram](photo:1) and ![](photo:2)\n![](photo:9)' }
+    ];
+
+    // Old ids overlapping new ones must not be remapped twice
+    const result = remapJournalPhotos(journal, new Map([[1, 2], [2, 5]]));
+
+    assert.strictEqual(result[0], unchanged);
+    assert.strictEqual(result[1].body, '![Tram](photo:2) and ![](photo:5)\n![](photo:9)');
+    assert.strictEqual(journal[1].body, '![Tram](photo:1) and ![](photo:2)\n![](photo:9)');
+});
+
+test('a replace import with an unreadable photo leaves the database untouched', async () => {
+    const scope = loadScripts('markdown.js', 'db.js');
+    const tripDB = scope('tripDB');
+    const writes = [];
+    tripDB.getAllTrips = async () => [];
+    tripDB.clearAllData = async () => writes.push('clear');
+    tripDB.addTrip = async () => writes.push('trip');
+
+    const backup = {
+        version: scope('DB_VERSION'),
+        trips: [{ id: 1, title: 'Lisbon', stops: [], journal: [] }],
+        photos: [{ id: 1, tripId: 1, data: 'data:image/jpeg;base64,%%%' }]
+    };
+
+    await assert.rejects(tripDB.importData(backup, { mode: 'replace' }));
+    assert.strictEqual(writes.length, 0);
+});
+
+test('collections without trip ids import as empty collections', async () => {
+    const scope = loadScripts('markdown.js', 'db.js');
+    const tripDB = scope('tripDB');
+    const added = [];
+    tripDB.getAllTrips = async () => [];
+    tripDB.addTrip = async () => 10;
+    tripDB.getTrip = async () => ({ id: 10, journal: [] });
+    tripDB.getCollections = async () => [];
+    tripDB.addCollection = async collection => added.push(collection);
+    tripDB.getSetting = async () => null;
+    tripDB.getSmartCollections = async () => [];
+    tripDB.getChecklistTemplates = async () => [];
+
+    const summary = await tripDB.importData({
+        version: scope('DB_VERSION'),
+        trips: [{ id: 1, title: 'Lisbon', stops: [], journal: [] }],
+        collections: [{ id: 3, name: 'Europe' }]
+    });
+
+    assert.strictEqual(summary.collections, 1);
+    assert.strictEqual(added[0].name, 'Europe');
+    assert.strictEqual(added[0].tripIds.length, 0);
+});
@@ -0,0 +1,192 @@
+/**
+ * Schema migration tests
+ *
+ * Run with: node --test test/
+ *
+ * TripDatabase.runMigrations is run against a small in-memory stand-in for the
+ * versionchange transaction. Like IndexedDB, it executes requests one at a time
+ * in the order they were made, and cursors read records as they are when they
+ * reach them, so cursors over the same store interleave as they would in a browser.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+// =============================================================================
+// IN-MEMORY UPGRADE TRANSACTION
+// =============================================================================
+
+function nameList(names) {
+    return { contains: name => names.has(name) };
+}
+
+function createUpgrade() {
+    const stores = new Map();
+    const queue = [];
+    let draining = null;
+
+    const drain = async () => {
+        while (queue.length > 0) {
+            await new Promise(resolve => setImmediate(resolve));
+            queue.shift()();
+        }
+        draining = null;
+    };
+    const enqueue = (operation) => {
+        queue.push(operation);
+        if (!draining) draining = drain();
+    };
+    const request = (run) => {
+        const req = {};
+        enqueue(() => {
+            req.result = run();
+            req.onsuccess?.();
+        });
+        return req;
+    };
+
+    const openCursor = (store, filter = () => true) => {
+        const req = {};
+        let lastKey = -Infinity;
+        const advance = () => enqueue(() => {
+            const key = [...store.records.keys()]
+                .filter(k => k > lastKey && filter(store.records.get(k)))
+                .sort((a, b) => a - b)[0];
+            if (key === undefined) {
+                req.result = null;
+            } else {
+                lastKey = key;
+                req.result = {
+                    primaryKey: key,
+                    value: { ...store.records.get(key) },
+                    update: value => request(() => store.records.set(key, value)),
+                    continue: advance
+                };
+            }
+            req.onsuccess?.();
+        });
+        advance();
+        return req;
+    };
+
+    const storeApi = (store) => ({
+        indexNames: nameList(store.indexes),
+        createIndex: (name, keyPath) => store.indexes.set(name, keyPath),
+        index: name => ({
+            openCursor: range => openCursor(store, record => record[store.indexes.get(name)] === range.only)
+        }),
+        openCursor: () => openCursor(store),
+        add: value => request(() => {
+            const key = store.keyPath in value ? value[store.keyPath] : ++store.lastKey;
+            store.lastKey = Math.max(store.lastKey, typeof key === 'number' ? key : 0);
+            store.records.set(key, { ...value, [store.keyPath]: key });
+            return key;
+        }),
+        put: value => request(() => store.records.set(value[store.keyPath], value)),
+        clear: () => request(() => store.records.clear())
+    });
+
+    const db = {
+        objectStoreNames: nameList(stores),
+        createObjectStore(name, { keyPath }) {
+            stores.set(name, { keyPath, records: new Map(), indexes: new Map(), lastKey: 0 });
+            return storeApi(stores.get(name));
+        }
+    };
+    const tx = { objectStore: name => storeApi(stores.get(name)) };
+    const done = async () => {
+        while (draining) await draining;
+    };
+
+    return { db, tx, stores, done };
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+test('upgrading a v1 database applies every step to existing records', async () => {
+    const scope = loadScripts('markdown.js', 'db.js');
+    const TripDatabase = scope('TripDatabase');
+    const DB_VERSION = scope('DB_VERSION');
+
+    const { db, tx, stores, done } = createUpgrade();
+    TripDatabase.runMigrations(db, tx, 0, 1);
+    await done();
+
+    stores.get('trips').records.set(1, {
+        id: 1,
+        title: 'Road trip',
+        country: 'usa',
+        city: 'Flagstaff',
+        startDate: '2019-05-01',
+        notes: 'Saw the Grand Canyon at sunrise',
+        coverPhoto: 'data:image/jpeg;base64,/9j/',
+        favorite: false,
+        createdAt: '2019-05-10T12:00:00.000Z'
+    });
+    stores.get('photos').records.set(1, { id: 1, tripId: 1, data: 'data:image/jpeg;base64,/9j/' });
+
+    TripDatabase.runMigrations(db, tx, 1, DB_VERSION);
+    await done();
+
+    const trip = stores.get('trips').records.get(1);
+    assert.strictEqual(trip.country, 'United States', 'v2 normalizes the country');
+    assert.strictEqual(trip.endDate, '2019-05-01', 'v2 derives the end date');
+    assert.strictEqual(JSON.stringify(trip.stops), '[]', 'v3 adds stops');
+    assert.ok(!('coverPhoto' in trip), 'v5 drops the inline cover photo');
+    assert.ok(!('notes' in trip), 'v11 removes notes');
+    assert.strictEqual(trip.journal.length, 1, 'v11 moves notes into the journal');
+    assert.strictEqual(trip.journal[0].body, 'Saw the Grand Canyon at sunrise');
+    assert.strictEqual(trip.journal[0].date, '2019-05-01');
+
+    const photo = stores.get('photos').records.get(1);
+    assert.ok(!('data' in photo), 'v5 converts the data URL');
+    assert.strictEqual(photo.blob.type, 'image/jpeg');
+    assert.strictEqual(photo.needsSizes, 1);
+
+    ['expenses', 'settings', 'geocodeCache', 'outbox', 'tileRegions', 'searchIndex',
+        'collections', 'media', 'checklists', 'checklistTemplates'].forEach(name => {
+        assert.ok(stores.has(name), `${name} store exists`);
+    });
+    assert.ok(stores.get('checklistTemplates').records.size > 0, 'v13 seeds checklist templates');
+
+    const index = stores.get('searchIndex').records;
+    assert.ok(index.get('canyon')?.postings[1], 'old notes are searchable');
+    assert.ok(index.get('united')?.postings[1], 'the normalized country is indexed');
+    assert.ok(!index.has('usa'), 'the index is built from upgraded trips');
+});
+
+test('upgrading a v10 database reindexes notes moved into the journal', async () => {
+    const scope = loadScripts('markdown.js', 'db.js');
+    const TripDatabase = scope('TripDatabase');
+    const DB_VERSION = scope('DB_VERSION');
+
+    const { db, tx, stores, done } = createUpgrade();
+    TripDatabase.runMigrations(db, tx, 0, 10);
+    await done();
+
+    // A v10 index never held notes
+    stores.get('trips').records.set(7, { id: 7, title: 'Lisbon', notes: 'Tram 28 to Alfama', stops: [] });
+    stores.get('searchIndex').records.set('lisbon', { term: 'lisbon', postings: { 7: 10 } });
+
+    TripDatabase.runMigrations(db, tx, 10, DB_VERSION);
+    await done();
+
+    const index = stores.get('searchIndex').records;
+    assert.ok(index.get('alfama')?.postings[7], 'journal words are indexed');
+    assert.ok(index.get('lisbon')?.postings[7], 'title words are still indexed');
+});
+
+test('markdown.js loads before db.js, which upgrades the database as it runs', () => {
+    const read = file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+
+    const page = read('index.html');
+    assert.ok(page.indexOf('js/markdown.js') < page.indexOf('js/db.js'), 'index.html');
+
+    const imports = read('sw.js').match(/importScripts\(([^)]*)\)/)[1];
+    assert.ok(imports.indexOf('markdown.js') < imports.indexOf('db.js'), 'sw.js');
+});
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Trip Logbook - Precache Manifest Generator
+ *
+ * @description Rewrites the PRECACHE_MANIFEST block in sw.js with a content hash
+ *              for every local file, so a deploy that changes any asset also
+ *              changes sw.js and triggers the in-app update prompt.
+ *
+ * Usage: node tools/precache-manifest.js
+ *
+ * The list of URLs is read from sw.js itself: to precache a new file, add an
+ * entry with `revision: null` and run this script. Cross-origin URLs are left
+ * as they are; they should carry their version in the URL.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SW_PATH = path.join(ROOT, 'sw.js');
+const BLOCK = /(\/\/ precache-manifest:start\n)([\s\S]*?)(\/\/ precache-manifest:end)/;
+
+function hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+const source = fs.readFileSync(SW_PATH, 'utf8');
+const block = source.match(BLOCK);
+if (!block) {
+    console.error('No precache-manifest block found in sw.js');
+    process.exit(1);
+}
+
+const urls = [...block[2].matchAll(/url: '([^']+)'/g)].map(match => match[1]);
+const entries = urls.map(url => {
+    if (/^https?:/.test(url)) {
+        return { url, revision: null };
+    }
+
+    const file = path.join(ROOT, url === '/' ? 'index.html' : url);
+    return { url, revision: hash(fs.readFileSync(file)) };
+});
+
+const version = hash(entries.map(entry => `${entry.url}@${entry.revision}`).join('\n'));
+const lines = entries.map(({ url, revision }) =>
+    `    { url: '${url}', revision: ${revision ? `'${revision}'` : 'null'} }`);
+
+const manifest = [
+    '// Generated by tools/precache-manifest.js - run it after changing any listed file',
+    `const PRECACHE_VERSION = '${version}';`,
+    'const PRECACHE_MANIFEST = [',
+    lines.join(',\n'),
+    '];',
+    ''
+].join('\n');
+
+fs.writeFileSync(SW_PATH, source.replace(BLOCK, `$1${manifest}$3`));
+console.log(`Precache manifest updated: ${entries.length} entries, version ${version}`);